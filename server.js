@@ -4,6 +4,12 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { JunkRemovalScraper } = require('./src/scraper');
+const { SiteDiscovery } = require('./src/discovery');
+const { JobQueue } = require('./src/job-queue');
+const { DEVICE_NAMES } = require('./src/devices');
+const { ResultCache, CACHE_MODES, parseCacheControl } = require('./src/cache');
+const { diffResults } = require('./src/diff');
+const { CompetitorMonitor } = require('./src/monitor');
 const path = require('path');
 
 // Create Express app
@@ -13,8 +19,9 @@ const app = express();
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control'],
+  exposedHeaders: ['X-Cache']
 }));
 
 // Rate limiting
@@ -35,17 +42,200 @@ app.use((req, res, next) => {
   next();
 });
 
+// Scrapes are persisted to SQLite only when STORAGE_ENABLED=true or SCRAPE_DB is set, so the
+// native better-sqlite3 module is not even loaded on servers without storage
+const storageEnabled = process.env.STORAGE_ENABLED === 'true' ||
+  (!!process.env.SCRAPE_DB && process.env.STORAGE_ENABLED !== 'false');
+const scrapeStore = storageEnabled
+  ? new (require('./src/storage').ScrapeStore)({ filePath: process.env.SCRAPE_DB || path.join('output', 'scrapes.db') })
+  : null;
+
 // Initialize scraper
 let scraper = null;
+let scraperReady = null;
 const initScraper = async () => {
-  if (!scraper) {
-    scraper = new JunkRemovalScraper(process.env.VERBOSE === 'true');
-    await scraper.initialize();
-    console.log('✅ Scraper initialized');
+  // Share one in-flight initialization between concurrent requests and jobs
+  if (!scraperReady) {
+    scraper = new JunkRemovalScraper(process.env.VERBOSE === 'true', {
+      maxOpenPages: parseInt(process.env.MAX_OPEN_TABS, 10) || 4,
+      store: scrapeStore
+    });
+    scraperReady = scraper.initialize()
+      .then(() => {
+        console.log('✅ Scraper initialized');
+        return scraper;
+      })
+      .catch(error => {
+        scraperReady = null;
+        throw error;
+      });
+  }
+  return scraperReady;
+};
+
+// Helper to validate HTTP(S) URLs
+const isValidHttpUrl = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return ['http:', 'https:'].includes(urlObj.protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+// Helper to validate include/exclude regular expression patterns
+const validatePatterns = (patterns) => {
+  if (patterns === undefined) return null;
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  for (const pattern of list) {
+    if (typeof pattern !== 'string') return 'Patterns must be strings';
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      return `Invalid pattern "${pattern}": ${e.message}`;
+    }
+  }
+  return null;
+};
+
+// Upper bound on pages a single crawl request may scrape
+const MAX_CRAWL_PAGES = parseInt(process.env.MAX_CRAWL_PAGES, 10) || 50;
+
+// Network archives are only read and written inside this directory
+const ARCHIVE_DIR = path.resolve(process.env.ARCHIVE_DIR || 'output/archives');
+const ARCHIVE_NAME_PATTERN = /^[\w.-]+$/;
+
+// Helper to validate per-page scrape options shared by scrape, crawl and job requests
+const parseScrapeOptions = (options = {}) => {
+  const device = options.device || 'desktop';
+  if (!DEVICE_NAMES.includes(device)) {
+    return { error: `device must be one of: ${DEVICE_NAMES.join(', ')}` };
+  }
+  
+  const scrapeOptions = { device };
+  if (options.checkLinks !== undefined) {
+    if (typeof options.checkLinks !== 'boolean') {
+      return { error: 'checkLinks must be true or false' };
+    }
+    scrapeOptions.checkLinks = options.checkLinks;
+  }
+  
+  const { recordArchive, replayArchive } = options;
+  if (recordArchive && replayArchive) {
+    return { error: 'recordArchive and replayArchive cannot be used together' };
+  }
+  for (const name of [recordArchive, replayArchive]) {
+    if (name !== undefined && (typeof name !== 'string' || !ARCHIVE_NAME_PATTERN.test(name) || name.startsWith('.'))) {
+      return { error: 'Archive names may only contain letters, numbers, ".", "-" and "_"' };
+    }
+  }
+  if (recordArchive) {
+    scrapeOptions.recordTo = path.join(ARCHIVE_DIR, `${recordArchive}.har`);
+  }
+  if (replayArchive) {
+    scrapeOptions.replayFrom = path.join(ARCHIVE_DIR, `${replayArchive}.har`);
+  }
+  
+  return { scrapeOptions };
+};
+
+// Helper to validate crawl request options and map them to crawler options
+const parseCrawlOptions = (options = {}) => {
+  const { scrapeOptions, error: scrapeError } = parseScrapeOptions(options);
+  if (scrapeError) {
+    return { error: scrapeError };
+  }
+  if (scrapeOptions.recordTo || scrapeOptions.replayFrom) {
+    return { error: 'Network archives are only supported for single-page scrapes' };
+  }
+  
+  const maxDepth = options.maxDepth !== undefined ? parseInt(options.maxDepth, 10) : 2;
+  const maxPages = options.maxPages !== undefined ? parseInt(options.maxPages, 10) : 20;
+  
+  if (isNaN(maxDepth) || maxDepth < 0 || isNaN(maxPages) || maxPages < 1 || maxPages > MAX_CRAWL_PAGES) {
+    return { error: `maxDepth must be >= 0 and maxPages between 1 and ${MAX_CRAWL_PAGES}` };
+  }
+  
+  const patternError = validatePatterns(options.include) || validatePatterns(options.exclude);
+  if (patternError) {
+    return { error: patternError };
+  }
+  
+  return {
+    crawlOptions: {
+      maxDepth,
+      maxPages,
+      scrapeOptions,
+      seedFromSitemap: options.seedFromSitemap === true,
+      respectRobots: options.respectRobots === true,
+      include: options.include,
+      exclude: options.exclude
+    }
+  };
+};
+
+// Scrape result cache - in memory by default, or on disk with CACHE_BACKEND=file
+const resultCache = new ResultCache({
+  backend: process.env.CACHE_BACKEND || 'memory',
+  ttl: process.env.CACHE_TTL !== undefined ? parseInt(process.env.CACHE_TTL, 10) : 3600,
+  directory: process.env.CACHE_DIR,
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 200
+});
+
+// Helper to read cache controls from the request body ("cache" option) or the Cache-Control header
+const parseCacheRequest = (req, options = {}) => {
+  const request = parseCacheControl(req.get('Cache-Control'));
+  if (options.cache !== undefined) {
+    if (!CACHE_MODES.includes(options.cache)) {
+      return { error: `cache must be one of: ${CACHE_MODES.join(', ')}` };
+    }
+    request.mode = options.cache;
   }
-  return scraper;
+  return { cacheRequest: request };
 };
 
+// Background job queue - jobs share the single scraper browser
+const jobQueue = new JobQueue(async (job, { reportProgress, isCancelled }) => {
+  await initScraper();
+  const { url, crawlOptions, scrapeOptions, cacheRequest } = job.payload;
+  
+  if (job.type === 'crawl') {
+    console.log(`🕸️  [job ${job.id}] Crawling ${url}...`);
+    return scraper.crawlWebsite(url, { ...crawlOptions, onProgress: reportProgress, isCancelled });
+  }
+  
+  console.log(`📄 [job ${job.id}] Scraping ${url}...`);
+  const { result, cache } = await resultCache.fetch(
+    url,
+    scrapeOptions,
+    () => scraper.scrapeWebsite(url, { ...scrapeOptions, onProgress: reportProgress, isCancelled }),
+    cacheRequest
+  );
+  return {
+    ...result,
+    metadata: {
+      sectionsFound: result.sections.length,
+      sectionTypes: [...new Set(result.sections.map(s => s.sectionType))],
+      cache: cache,
+      timestamp: new Date().toISOString()
+    }
+  };
+}, {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  maxQueued: parseInt(process.env.JOB_MAX_QUEUED, 10) || 100
+});
+
+// Scheduled competitor monitoring - monitored pages are always scraped fresh, never from the cache
+const monitor = new CompetitorMonitor(async (url, options) => {
+  await initScraper();
+  return scraper.scrapeWebsite(url, options);
+}, {
+  directory: process.env.MONITOR_DIR || path.join('output', 'monitors'),
+  checkInterval: (parseInt(process.env.MONITOR_CHECK_INTERVAL, 10) || 60) * 1000,
+  maxSnapshots: parseInt(process.env.MONITOR_MAX_SNAPSHOTS, 10) || 30,
+  log: (message) => console.log(`👁️  ${message}`)
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -55,6 +245,25 @@ app.get('/', (req, res) => {
       'GET /': 'API information',
       'GET /health': 'Health check',
       'POST /api/scrape': 'Scrape a junk removal website',
+      'POST /api/crawl': 'Crawl same-origin pages starting from a URL',
+      'POST /api/compare-devices': 'Compare sections rendered on two device profiles',
+      'POST /api/diff': 'Report added, removed, moved and modified sections between two scrape results',
+      'POST /api/discover': 'List candidate URLs from sitemap.xml and robots.txt',
+      'POST /api/jobs': 'Queue a background scrape or crawl job',
+      'GET /api/jobs': 'List jobs and queue status',
+      'GET /api/jobs/:id': 'Job status, progress and result',
+      'DELETE /api/jobs/:id': 'Cancel a job',
+      'DELETE /api/cache': 'Clear cached scrape results (optionally ?url=...)',
+      'GET /api/scrapes': 'List stored scrapes (?domain=, ?url=, ?from=, ?to=, ?limit=, ?offset=)',
+      'GET /api/scrapes/domains': 'Domains with stored scrapes',
+      'GET /api/scrapes/search': 'Search section text across stored scrapes (?q=, ?domain=, ?type=)',
+      'GET /api/scrapes/:id': 'A stored scrape result',
+      'POST /api/monitors': 'Monitor a competitor URL on a schedule (hourly, daily, weekly, 6h...)',
+      'GET /api/monitors': 'List monitored URLs and their last check',
+      'GET /api/monitors/:id': 'Monitor details, snapshots and recent changes',
+      'GET /api/monitors/:id/changes': 'Change history of a monitored URL',
+      'POST /api/monitors/:id/run': 'Check a monitored URL now',
+      'DELETE /api/monitors/:id': 'Stop monitoring a URL',
       'GET /api/test': 'Test endpoint with example URL'
     }
   });
@@ -66,7 +275,9 @@ app.get('/health', (req, res) => {
     status: 'ok',
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    browserTabs: scraper && scraper.pagePool ? scraper.pagePool.stats() : null,
+    jobs: jobQueue.stats()
   });
 });
 
@@ -89,42 +300,63 @@ app.get('/api/test', async (req, res) => {
 
 // Main scraping endpoint
 app.post('/api/scrape', async (req, res) => {
-  const { url, options = {} } = req.body;
+  const { url, html, baseUrl, options = {} } = req.body;
   
   // Validate request
-  if (!url) {
+  if (!url && html === undefined) {
     return res.status(400).json({
       error: 'Bad Request',
-      message: 'URL is required in request body',
+      message: 'URL or HTML is required in request body',
       example: { url: 'https://www.junkmastersmn.com' }
     });
   }
   
+  if (html !== undefined && (typeof html !== 'string' || !html.trim())) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'html must be a non-empty string'
+    });
+  }
+  
   // Validate URL format
-  try {
-    const urlObj = new URL(url);
-    if (!['http:', 'https:'].includes(urlObj.protocol)) {
-      throw new Error('Invalid protocol');
-    }
-  } catch (e) {
+  if ((url && !isValidHttpUrl(url)) || (baseUrl && !isValidHttpUrl(baseUrl))) {
     return res.status(400).json({
       error: 'Invalid URL',
       message: 'Please provide a valid HTTP or HTTPS URL'
     });
   }
   
+  const { scrapeOptions, error: optionsError } = parseScrapeOptions(options);
+  const { cacheRequest, error: cacheError } = parseCacheRequest(req, options);
+  if (optionsError || cacheError) {
+    return res.status(400).json({
+      error: 'Invalid Options',
+      message: optionsError || cacheError
+    });
+  }
+  
   try {
-    // Initialize scraper if needed
-    await initScraper();
-    
-    console.log(`📄 Scraping ${url}...`);
+    console.log(`📄 Scraping ${html !== undefined ? 'inline HTML' : url} (${scrapeOptions.device})...`);
     const startTime = Date.now();
     
     // Perform scraping
-    const result = await scraper.scrapeWebsite(url);
+    let result;
+    let cache;
+    if (html !== undefined) {
+      // Inline HTML is rendered in the same page as a live URL and never cached
+      await initScraper();
+      result = await scraper.scrapeHtml(html, { ...scrapeOptions, baseUrl: baseUrl || url });
+      cache = { status: 'bypass' };
+    } else {
+      ({ result, cache } = await resultCache.fetch(url, scrapeOptions, async () => {
+        // Initialize scraper if needed
+        await initScraper();
+        return scraper.scrapeWebsite(url, scrapeOptions);
+      }, cacheRequest));
+    }
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
-    console.log(`✅ Scraping complete in ${duration}s - Found ${result.sections.length} sections`);
+    console.log(`✅ Scraping complete in ${duration}s (cache ${cache.status}) - Found ${result.sections.length} sections`);
     
     // Add metadata
     const response = {
@@ -133,10 +365,12 @@ app.post('/api/scrape', async (req, res) => {
         scrapingDuration: parseFloat(duration),
         sectionsFound: result.sections.length,
         sectionTypes: [...new Set(result.sections.map(s => s.sectionType))],
+        cache: cache,
         timestamp: new Date().toISOString()
       }
     };
     
+    res.set('X-Cache', cache.status.toUpperCase());
     res.json(response);
     
   } catch (error) {
@@ -159,6 +393,498 @@ app.post('/api/scrape', async (req, res) => {
   }
 });
 
+// Device rendering comparison endpoint
+app.post('/api/compare-devices', async (req, res) => {
+  const { url, devices = ['desktop', 'mobile'] } = req.body;
+  
+  if (!url || !isValidHttpUrl(url)) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      message: 'Please provide a valid HTTP or HTTPS URL',
+      example: { url: 'https://www.junkmastersmn.com', devices: ['desktop', 'mobile'] }
+    });
+  }
+  
+  if (!Array.isArray(devices) || devices.length !== 2 || devices[0] === devices[1] ||
+      !devices.every(device => DEVICE_NAMES.includes(device))) {
+    return res.status(400).json({
+      error: 'Invalid Options',
+      message: `devices must be two different names from: ${DEVICE_NAMES.join(', ')}`
+    });
+  }
+  
+  try {
+    await initScraper();
+    
+    console.log(`📱 Comparing ${url} on ${devices.join(' vs ')}...`);
+    const startTime = Date.now();
+    const result = await scraper.compareDevices(url, devices);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    
+    console.log(`✅ Comparison complete in ${duration}s`);
+    res.json({
+      ...result,
+      metadata: {
+        scrapingDuration: parseFloat(duration),
+        timestamp: new Date().toISOString()
+      }
+    });
+    
+  } catch (error) {
+    console.error('❌ Comparison error:', error);
+    res.status(500).json({
+      error: 'Comparison Failed',
+      message: error.message,
+      url: url,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Content diff between two scrape results of the same page
+app.post('/api/diff', (req, res) => {
+  const { before, after } = req.body;
+  
+  if (!before || !after) {
+    return res.status(400).json({
+      error: 'Missing Results',
+      message: 'Please provide "before" and "after" scrape results',
+      example: { before: { url: 'https://www.junkmastersmn.com', sections: [] }, after: { url: 'https://www.junkmastersmn.com', sections: [] } }
+    });
+  }
+  
+  try {
+    const result = diffResults(before, after);
+    console.log(`🔍 Diffed ${result.after.url || 'results'}: ${result.summary.modifiedSections} modified, ` +
+      `${result.summary.addedSections} added, ${result.summary.removedSections} removed`);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid Results',
+      message: error.message
+    });
+  }
+});
+
+// Drop cached results, for one URL or entirely
+app.delete('/api/cache', async (req, res) => {
+  const { url } = req.query;
+  
+  if (url && !isValidHttpUrl(url)) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      message: 'Please provide a valid HTTP or HTTPS URL'
+    });
+  }
+  
+  try {
+    if (url) {
+      // Drop the entry for every device profile
+      await Promise.all(DEVICE_NAMES.map(device => resultCache.invalidate(url, { device })));
+    } else {
+      await resultCache.clear();
+    }
+    res.json({ cleared: url || 'all', timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Cache Clear Failed',
+      message: error.message
+    });
+  }
+});
+
+// Multi-page crawl endpoint
+app.post('/api/crawl', async (req, res) => {
+  const { url, options = {} } = req.body;
+  
+  if (!url) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'URL is required in request body',
+      example: { url: 'https://www.junkmastersmn.com', options: { maxDepth: 2, maxPages: 20 } }
+    });
+  }
+  
+  if (!isValidHttpUrl(url)) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      message: 'Please provide a valid HTTP or HTTPS URL'
+    });
+  }
+  
+  const { crawlOptions, error: optionsError } = parseCrawlOptions(options);
+  if (optionsError) {
+    return res.status(400).json({
+      error: 'Invalid Options',
+      message: optionsError
+    });
+  }
+  
+  try {
+    await initScraper();
+    
+    console.log(`🕸️  Crawling ${url} (max depth ${crawlOptions.maxDepth}, max pages ${crawlOptions.maxPages})...`);
+    const result = await scraper.crawlWebsite(url, crawlOptions);
+    
+    console.log(`✅ Crawl complete in ${result.summary.crawlDuration}s - ${result.summary.pagesCrawled} pages`);
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('❌ Crawl error:', error);
+    res.status(500).json({
+      error: 'Crawl Failed',
+      message: error.message,
+      url: url,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Sitemap / robots.txt discovery endpoint
+app.post('/api/discover', async (req, res) => {
+  const { url, options = {} } = req.body;
+  
+  if (!url || !isValidHttpUrl(url)) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      message: 'Please provide a valid HTTP or HTTPS URL',
+      example: { url: 'https://www.junkmastersmn.com', options: { exclude: ['/blog/'] } }
+    });
+  }
+  
+  const patternError = validatePatterns(options.include) || validatePatterns(options.exclude);
+  if (patternError) {
+    return res.status(400).json({
+      error: 'Invalid Options',
+      message: patternError
+    });
+  }
+  
+  try {
+    console.log(`🗺️  Discovering URLs for ${url}...`);
+    const discovery = new SiteDiscovery({
+      include: options.include,
+      exclude: options.exclude,
+      verbose: process.env.VERBOSE === 'true'
+    });
+    const result = await discovery.discover(url);
+    
+    console.log(`✅ Discovery complete - ${result.urls.length} URLs, ${result.skipped.length} blocked by robots.txt`);
+    res.json(result);
+    
+  } catch (error) {
+    console.error('❌ Discovery error:', error);
+    res.status(500).json({
+      error: 'Discovery Failed',
+      message: error.message,
+      url: url,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Asynchronous job endpoints
+app.post('/api/jobs', (req, res) => {
+  const { type = 'scrape', url, options = {} } = req.body;
+  
+  if (!['scrape', 'crawl'].includes(type)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Job type must be "scrape" or "crawl"'
+    });
+  }
+  
+  if (!url || !isValidHttpUrl(url)) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      message: 'Please provide a valid HTTP or HTTPS URL',
+      example: { type: 'scrape', url: 'https://www.junkmastersmn.com' }
+    });
+  }
+  
+  const payload = { url };
+  const parsed = type === 'crawl' ? parseCrawlOptions(options) : parseScrapeOptions(options);
+  if (parsed.error) {
+    return res.status(400).json({
+      error: 'Invalid Options',
+      message: parsed.error
+    });
+  }
+  const { cacheRequest, error: cacheError } = parseCacheRequest(req, options);
+  if (cacheError) {
+    return res.status(400).json({
+      error: 'Invalid Options',
+      message: cacheError
+    });
+  }
+  payload.crawlOptions = parsed.crawlOptions;
+  payload.scrapeOptions = parsed.scrapeOptions;
+  payload.cacheRequest = cacheRequest;
+  
+  try {
+    const job = jobQueue.add(type, payload);
+    console.log(`🗂️  Job ${job.id} queued (${type} ${url})`);
+    
+    res.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        ...jobQueue.serialize(job, false),
+        statusUrl: `/api/jobs/${job.id}`
+      });
+  } catch (error) {
+    res.status(503).json({
+      error: 'Service Unavailable',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/jobs', (req, res) => {
+  res.json({
+    ...jobQueue.stats(),
+    items: jobQueue.list().map(job => jobQueue.serialize(job, false))
+  });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Job ${req.params.id} not found`
+    });
+  }
+  res.json(jobQueue.serialize(job));
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Job ${req.params.id} not found`
+    });
+  }
+  console.log(`🛑 Job ${job.id} cancellation requested (status: ${job.status})`);
+  res.json(jobQueue.serialize(job, false));
+});
+
+// Stored scrape history endpoints
+const requireStore = (res) => {
+  if (scrapeStore) return true;
+  res.status(503).json({
+    error: 'Storage Disabled',
+    message: 'Scrape storage is not configured (set STORAGE_ENABLED=true or SCRAPE_DB)'
+  });
+  return false;
+};
+
+app.get('/api/scrapes', (req, res) => {
+  if (!requireStore(res)) return;
+  const { domain, url, from, to } = req.query;
+  
+  try {
+    const scrapes = scrapeStore.list({
+      domain,
+      url,
+      from,
+      to,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    res.json(scrapes);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid Query',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/scrapes/domains', (req, res) => {
+  if (!requireStore(res)) return;
+  
+  try {
+    res.json({ items: scrapeStore.domains() });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Storage Error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/scrapes/search', (req, res) => {
+  if (!requireStore(res)) return;
+  const { q, domain, type } = req.query;
+  
+  if (!q || !q.trim()) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Please provide a search query with ?q=',
+      example: '/api/scrapes/search?q=hot+tub+removal&domain=junkmastersmn.com'
+    });
+  }
+  
+  try {
+    const items = scrapeStore.search(q, {
+      domain,
+      sectionType: type,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    res.json({ query: q, total: items.length, items });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Storage Error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/scrapes/:id', (req, res) => {
+  if (!requireStore(res)) return;
+  const id = parseInt(req.params.id, 10);
+  
+  if (isNaN(id)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Invalid scrape id: ${req.params.id}`
+    });
+  }
+  
+  try {
+    const result = scrapeStore.get(id);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Stored scrape ${req.params.id} not found`
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Storage Error',
+      message: error.message
+    });
+  }
+});
+
+// Competitor monitoring endpoints
+app.get('/api/monitors', async (req, res) => {
+  try {
+    const monitors = await monitor.list();
+    res.json({ total: monitors.length, items: monitors });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Monitor Error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/monitors', async (req, res) => {
+  const { url, schedule = 'daily', name, device = 'desktop' } = req.body;
+  
+  if (!url || !isValidHttpUrl(url)) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      message: 'Please provide a valid HTTP or HTTPS URL',
+      example: { url: 'https://www.junkmastersmn.com', schedule: 'daily' }
+    });
+  }
+  
+  try {
+    const created = await monitor.add({ url, schedule, name, device });
+    console.log(`👁️  Monitoring ${url} (${schedule})`);
+    res.status(201)
+      .location(`/api/monitors/${created.id}`)
+      .json(created);
+  } catch (error) {
+    const status = error.message.includes('already monitored') ? 409 : 400;
+    res.status(status).json({
+      error: status === 409 ? 'Conflict' : 'Invalid Options',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/monitors/:id', async (req, res) => {
+  try {
+    const found = await monitor.get(req.params.id);
+    if (!found) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Monitor ${req.params.id} not found`
+      });
+    }
+    res.json({
+      ...found,
+      snapshots: await monitor.store.listSnapshots(found.id),
+      recentChanges: (await monitor.history(found.id, 5)).map(({ diff, ...change }) => change)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Monitor Error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/monitors/:id/changes', async (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 50;
+  try {
+    const found = await monitor.get(req.params.id);
+    if (!found) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Monitor ${req.params.id} not found`
+      });
+    }
+    const changes = await monitor.history(found.id, limit);
+    res.json({ monitorId: found.id, url: found.url, total: changes.length, items: changes });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Monitor Error',
+      message: error.message
+    });
+  }
+});
+
+// Rescrape a monitored page now instead of waiting for its schedule
+app.post('/api/monitors/:id/run', async (req, res) => {
+  try {
+    const check = await monitor.check(req.params.id);
+    res.json(check);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 409;
+    res.status(status).json({
+      error: status === 404 ? 'Not Found' : 'Conflict',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/monitors/:id', async (req, res) => {
+  try {
+    const removed = await monitor.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Monitor ${req.params.id} not found`
+      });
+    }
+    console.log(`👁️  Monitor ${req.params.id} removed`);
+    res.json({ removed: req.params.id, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Monitor Error',
+      message: error.message
+    });
+  }
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -167,7 +893,16 @@ app.use((req, res) => {
     availableEndpoints: {
       'GET /': 'API information',
       'GET /health': 'Health check',
-      'POST /api/scrape': 'Scrape a website'
+      'POST /api/scrape': 'Scrape a website',
+      'POST /api/crawl': 'Crawl a website',
+      'POST /api/discover': 'Discover URLs from sitemap.xml',
+      'POST /api/diff': 'Diff two scrape results',
+      'POST /api/jobs': 'Queue a background job',
+      'GET /api/jobs/:id': 'Get job status',
+      'GET /api/scrapes': 'List stored scrapes',
+      'GET /api/scrapes/search': 'Search stored section text',
+      'GET /api/monitors': 'List monitored competitor URLs',
+      'GET /api/monitors/:id/changes': 'Get change history'
     }
   });
 });
@@ -185,11 +920,18 @@ app.use((err, req, res, next) => {
 const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 ${signal} received, shutting down gracefully...`);
   
+  jobQueue.close();
+  monitor.stop();
+  
   if (scraper) {
     await scraper.close();
     console.log('✅ Scraper closed');
   }
   
+  if (scrapeStore) {
+    scrapeStore.close();
+  }
+  
   process.exit(0);
 };
 
@@ -208,7 +950,13 @@ app.listen(PORT, HOST, () => {
 📝 Documentation: GET /
 🔧 Health Check: GET /health
 🔍 Scrape Endpoint: POST /api/scrape
+🕸️  Crawl Endpoint: POST /api/crawl
+👁️  Monitors: GET /api/monitors
   `);
+  
+  if (process.env.MONITOR_ENABLED !== 'false') {
+    monitor.start();
+  }
 });
 
 module.exports = app;
@@ -0,0 +1,195 @@
+// src/batch.js
+const fs = require('fs').promises;
+const path = require('path');
+
+// Column names accepted as the URL column in CSV input
+const URL_COLUMNS = ['url', 'urls', 'website', 'site', 'link', 'homepage', 'domain'];
+
+// Split one CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+// Bare domains in spreadsheets are common; assume https
+function toUrl(value) {
+  if (!value) return null;
+  const candidate = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+  try {
+    const urlObj = new URL(candidate);
+    // "a.com,Acme" parses with a comma in the hostname; no real host has one
+    return urlObj.hostname.includes('.') && !urlObj.hostname.includes(',') ? urlObj.toString() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseUrlList(content) {
+  const lines = content
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  // Commas are legal inside URLs (query strings, paths), so the file is only read as CSV when the
+  // first line is a header naming the URL column, or a line with a comma is not a URL on its own
+  const hasHeader = lines.length > 0 && parseCsvLine(lines[0]).some(field => URL_COLUMNS.includes(field.toLowerCase()));
+  const isCsv = hasHeader || lines.some(line => line.includes(',') && !toUrl(line));
+  const invalid = [];
+  let values;
+
+  if (isCsv && lines.length > 0) {
+    const header = parseCsvLine(lines[0]).map(field => field.toLowerCase());
+    let column = header.findIndex(field => URL_COLUMNS.includes(field));
+    let rows = lines.slice(1);
+
+    // No recognised header - use the first column that holds a URL
+    if (column === -1) {
+      rows = lines;
+      column = Math.max(0, parseCsvLine(lines[0]).findIndex(field => toUrl(field)));
+    }
+    // A one-column file has no separators, so keep unquoted commas that belong to the URL
+    values = header.length === 1 ? rows : rows.map(line => parseCsvLine(line)[column]);
+  } else {
+    values = lines;
+  }
+
+  const urls = [];
+  const seen = new Set();
+  values.forEach(value => {
+    const url = toUrl(value);
+    if (!url) {
+      if (value) invalid.push(value);
+      return;
+    }
+    if (!seen.has(url)) {
+      seen.add(url);
+      urls.push(url);
+    }
+  });
+
+  return { urls, invalid };
+}
+
+async function readUrlsFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  return parseUrlList(content);
+}
+
+// Same naming scheme as the test suite's multi-site output
+function resultFilename(url) {
+  return url.replace(/https?:\/\//, '').replace(/\/$/, '').replace(/[\/\?#:&=]/g, '_') + '.json';
+}
+
+async function runBatch(scraper, urls, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 3);
+  const outputDir = options.outputDir || 'output';
+  const pretty = options.pretty !== false;
+  const onResult = options.onResult || (() => {});
+  const scrapeOptions = options.scrapeOptions || {};
+  const cache = options.cache || null;
+  const cacheRequest = options.cacheRequest || {};
+  const entries = new Array(urls.length);
+  const usedFilenames = new Set();
+  let nextIndex = 0;
+
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const worker = async () => {
+    while (nextIndex < urls.length) {
+      const index = nextIndex++;
+      const url = urls[index];
+      const startTime = Date.now();
+      const entry = { url, status: 'success', duration: 0, sections: 0, cache: null, file: null, error: null };
+
+      try {
+        let result;
+        if (cache) {
+          const cached = await cache.fetch(url, scrapeOptions, () => scraper.scrapeWebsite(url, scrapeOptions), cacheRequest);
+          result = cached.result;
+          entry.cache = cached.cache.status;
+        } else {
+          result = await scraper.scrapeWebsite(url, scrapeOptions);
+        }
+        entry.sections = result.sections.length;
+        if (result.errors.length > 0) {
+          entry.status = 'failed';
+          entry.error = result.errors[0].message;
+        }
+
+        let filename = resultFilename(url);
+        if (usedFilenames.has(filename)) {
+          filename = filename.replace(/\.json$/, `_${index + 1}.json`);
+        }
+        usedFilenames.add(filename);
+
+        entry.file = path.join(outputDir, filename);
+        const jsonOutput = pretty ? JSON.stringify(result, null, 2) : JSON.stringify(result);
+        await fs.writeFile(entry.file, jsonOutput, 'utf8');
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+
+      entry.duration = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+      entries[index] = entry;
+      onResult(entry, index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, urls.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return {
+    total: entries.length,
+    succeeded: entries.filter(entry => entry.status === 'success').length,
+    failed: entries.filter(entry => entry.status === 'failed').length,
+    results: entries
+  };
+}
+
+function formatSummaryTable(entries) {
+  const rows = entries.map((entry, index) => [
+    String(index + 1),
+    entry.status === 'success' ? '✅ ok' : '❌ failed',
+    `${entry.duration.toFixed(2)}s`,
+    String(entry.sections),
+    entry.url + (entry.error ? `  (${entry.error})` : '')
+  ]);
+  const header = ['#', 'Status', 'Duration', 'Sections', 'URL'];
+  const widths = header.map((title, col) =>
+    Math.max(title.length, ...rows.map(row => (col === 4 ? 0 : row[col].length)))
+  );
+  const format = row => row.map((cell, col) => (col === 4 ? cell : cell.padEnd(widths[col]))).join('  ');
+
+  return [format(header), format(widths.map(width => '-'.repeat(width))), ...rows.map(format)].join('\n');
+}
+
+module.exports = { parseUrlList, readUrlsFile, runBatch, resultFilename, formatSummaryTable };
@@ -0,0 +1,219 @@
+// src/cache.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Only these scrape options change the result; hooks and archives are not part of the key
+const CACHE_KEY_OPTIONS = ['device'];
+
+// Cache modes, modelled on Cache-Control request directives
+const CACHE_MODES = ['default', 'refresh', 'bypass'];
+
+// Helper to normalize a URL so trivially different spellings share a cache entry
+function normalizeUrl(url) {
+  const urlObj = new URL(url);
+  urlObj.hash = '';
+  urlObj.hostname = urlObj.hostname.toLowerCase();
+  if ((urlObj.protocol === 'https:' && urlObj.port === '443') || (urlObj.protocol === 'http:' && urlObj.port === '80')) {
+    urlObj.port = '';
+  }
+  urlObj.searchParams.sort();
+  if (urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+    urlObj.pathname = urlObj.pathname.replace(/\/+$/, '');
+  }
+  return urlObj.toString();
+}
+
+function buildCacheKey(url, options = {}) {
+  const keyOptions = {};
+  CACHE_KEY_OPTIONS.forEach(name => {
+    keyOptions[name] = options[name] !== undefined ? options[name] : null;
+  });
+  const raw = `${normalizeUrl(url)}|${JSON.stringify(keyOptions)}`;
+  return crypto.createHash('sha1').update(raw).digest('hex');
+}
+
+class MemoryCacheBackend {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 200;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    // Re-insert to keep Map order as least-recently-used first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+class FileCacheBackend {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join('output', '.cache');
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a concurrent reader never sees a half-written file
+    const tmpPath = `${this.filePath(key)}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entry), 'utf8');
+    await fs.rename(tmpPath, this.filePath(key));
+  }
+
+  async delete(key) {
+    await fs.unlink(this.filePath(key)).catch(() => {});
+  }
+
+  async clear() {
+    const files = await fs.readdir(this.directory).catch(() => []);
+    await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => fs.unlink(path.join(this.directory, file)).catch(() => {})));
+  }
+}
+
+class ResultCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl !== undefined ? options.ttl : 3600; // seconds
+    this.backendName = options.backend || 'memory';
+    if (this.backendName === 'file') {
+      this.backend = new FileCacheBackend({ directory: options.directory });
+    } else if (this.backendName === 'memory') {
+      this.backend = new MemoryCacheBackend({ maxEntries: options.maxEntries });
+    } else {
+      throw new Error(`Unknown cache backend "${this.backendName}". Use "memory" or "file"`);
+    }
+    this.inFlight = new Map();
+  }
+
+  // Inline HTML and network archives are already reproducible, and link checks report live status, so they skip the cache
+  isCacheable(url, options = {}) {
+    return !!url && /^https?:\/\//i.test(url) &&
+      typeof options.html !== 'string' && !options.recordTo && !options.replayFrom && !options.checkLinks;
+  }
+
+  // Returns { result, cache } where cache describes how the result was obtained
+  async fetch(url, options, scrape, request = {}) {
+    const mode = request.mode || 'default';
+    if (!CACHE_MODES.includes(mode)) {
+      throw new Error(`Unknown cache mode "${mode}". Use one of: ${CACHE_MODES.join(', ')}`);
+    }
+
+    if (mode === 'bypass' || !this.isCacheable(url, options)) {
+      return { result: await scrape(), cache: { status: 'bypass' } };
+    }
+
+    const key = buildCacheKey(url, options);
+
+    if (mode === 'default') {
+      const entry = await this.backend.get(key);
+      const now = Date.now();
+      const maxAge = request.maxAge !== undefined ? request.maxAge * 1000 : Infinity;
+      if (entry && entry.expiresAt > now && now - entry.storedAt <= maxAge) {
+        return { result: entry.result, cache: this.describe('hit', key, entry) };
+      }
+    }
+
+    // Concurrent misses for the same key share one scrape
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(key, this.scrapeAndStore(key, scrape).finally(() => this.inFlight.delete(key)));
+    }
+    const { result, entry } = await this.inFlight.get(key);
+    return { result, cache: this.describe(mode === 'refresh' ? 'refresh' : 'miss', key, entry) };
+  }
+
+  async scrapeAndStore(key, scrape) {
+    const result = await scrape();
+    // Failed scrapes are never cached
+    if (result.errors && result.errors.length > 0) {
+      return { result, entry: null };
+    }
+
+    const storedAt = Date.now();
+    const entry = { storedAt, expiresAt: storedAt + this.ttl * 1000, result };
+    await this.backend.set(key, entry);
+    return { result, entry };
+  }
+
+  describe(status, key, entry) {
+    const info = { status, key, backend: this.backendName, ttl: this.ttl };
+    if (entry) {
+      info.storedAt = new Date(entry.storedAt).toISOString();
+      info.expiresAt = new Date(entry.expiresAt).toISOString();
+      info.age = Math.round((Date.now() - entry.storedAt) / 1000);
+    } else {
+      info.stored = false;
+    }
+    return info;
+  }
+
+  async invalidate(url, options = {}) {
+    await this.backend.delete(buildCacheKey(url, options));
+  }
+
+  async clear() {
+    await this.backend.clear();
+  }
+}
+
+// Map a Cache-Control request header onto a cache mode and max age
+function parseCacheControl(header) {
+  const request = { mode: 'default' };
+  if (!header) return request;
+
+  header.toLowerCase().split(',').map(part => part.trim()).forEach(directive => {
+    if (directive === 'no-store') {
+      request.mode = 'bypass';
+    } else if (directive === 'no-cache' && request.mode !== 'bypass') {
+      request.mode = 'refresh';
+    } else if (directive.startsWith('max-age=')) {
+      const maxAge = parseInt(directive.slice('max-age='.length), 10);
+      if (!isNaN(maxAge)) {
+        request.maxAge = maxAge;
+        if (maxAge === 0 && request.mode === 'default') request.mode = 'refresh';
+      }
+    }
+  });
+
+  return request;
+}
+
+module.exports = {
+  ResultCache,
+  MemoryCacheBackend,
+  FileCacheBackend,
+  CACHE_MODES,
+  normalizeUrl,
+  buildCacheKey,
+  parseCacheControl
+};
@@ -2,17 +2,479 @@
 // src/cli.js
 const yargs = require('yargs');
 const { JunkRemovalScraper } = require('./scraper');
+const { readUrlsFile, runBatch, formatSummaryTable } = require('./batch');
+const { DEVICE_NAMES } = require('./devices');
+const { isDirectory } = require('./sources');
+const { ResultCache } = require('./cache');
+const { diffResults } = require('./diff');
+const { CompetitorMonitor, MonitorStore } = require('./monitor');
 const fs = require('fs').promises;
 const path = require('path');
 
+// Commands that don't take the scrape inputs (--url, --urls-file, --file)
+const STANDALONE_COMMANDS = ['diff', 'monitor', 'scrapes'];
+
+// better-sqlite3 is a native module, so storage is only loaded when a command uses it
+function openStore(argv) {
+  const { ScrapeStore } = require('./storage');
+  return new ScrapeStore({ filePath: argv.db });
+}
+
+function createCache(argv) {
+  return new ResultCache({ backend: 'file', directory: argv.cacheDir, ttl: argv.cacheTtl });
+}
+
+// Map --cache / --refresh onto cache modes; without either the CLI always scrapes fresh
+function cacheMode(argv) {
+  if (argv.refresh) return 'refresh';
+  return argv.cache ? 'default' : 'bypass';
+}
+
+async function saveResult(result, outputPath, pretty) {
+  // Ensure output directory exists
+  const outputDir = path.dirname(outputPath);
+  if (outputDir && outputDir !== '.') {
+    await fs.mkdir(outputDir, { recursive: true });
+  }
+  
+  // Save to file
+  const jsonOutput = pretty 
+    ? JSON.stringify(result, null, 2) 
+    : JSON.stringify(result);
+  
+  await fs.writeFile(outputPath, jsonOutput, 'utf8');
+  console.log(`\n💾 Results saved to: ${outputPath}`);
+}
+
+function printSkipped(discovery) {
+  if (discovery.skipped.length > 0) {
+    console.log(`\n🚫 Skipped by robots.txt: ${discovery.skipped.length}`);
+    discovery.skipped.forEach(entry => console.log(`   - ${entry.url} (${entry.rule})`));
+  }
+  if (discovery.filtered.length > 0) {
+    console.log(`\n🔎 Filtered out by include/exclude patterns: ${discovery.filtered.length}`);
+  }
+}
+
+async function runDiscover(scraper, argv) {
+  console.log(`🗺️  Discovering URLs for ${argv.url}...`);
+  const result = await scraper.discoverUrls(argv.url, {
+    include: argv.include,
+    exclude: argv.exclude
+  });
+  
+  console.log(`\n🤖 robots.txt: ${result.robots.found ? 'found' : 'not found'}` +
+    (result.robots.crawlDelay ? ` (Crawl-delay: ${result.robots.crawlDelay}s)` : '') +
+    (result.robots.requestedCrawlDelay > result.robots.crawlDelay ? `, capped from ${result.robots.requestedCrawlDelay}s` : ''));
+  result.sitemaps.forEach(sitemap => {
+    console.log(`🗺️  ${sitemap.url} - ${sitemap.type} with ${sitemap.entries} entries`);
+  });
+  
+  console.log(`\n✅ Candidate URLs: ${result.urls.length}`);
+  result.urls.forEach(entry => console.log(`   ${entry.url}`));
+  
+  printSkipped(result);
+  
+  if (result.errors.length > 0) {
+    console.log(`\n⚠️  Errors encountered: ${result.errors.length}`);
+    result.errors.forEach(err => console.error(`   - ${err.url}: ${err.message}`));
+  }
+  
+  await saveResult(result, argv.output, argv.pretty);
+}
+
+async function runLocalFile(scraper, argv) {
+  if (await isDirectory(argv.file)) {
+    console.log(`📁 Scraping HTML files in ${argv.file}...`);
+    const result = await scraper.scrapeDirectory(argv.file, { device: argv.device, checkLinks: argv.checkLinks });
+    
+    console.log(`\n✅ Scraped ${result.summary.files} files (${result.summary.failed} failed)`);
+    result.pages.forEach(page => {
+      const status = page.errors.length > 0 ? '❌' : '✅';
+      console.log(`${status} ${page.file} - ${page.sections.length} sections`);
+    });
+    
+    await saveResult(result, argv.output, argv.pretty);
+    return;
+  }
+  
+  console.log(`📄 Scraping local file ${argv.file}...`);
+  let result;
+  if (argv.baseUrl) {
+    // Render as an HTML string so relative links resolve against the original site
+    const html = await fs.readFile(argv.file, 'utf8');
+    result = await scraper.scrapeHtml(html, { baseUrl: argv.baseUrl, device: argv.device, checkLinks: argv.checkLinks });
+  } else {
+    result = await scraper.scrapeWebsite(argv.file, { device: argv.device, checkLinks: argv.checkLinks });
+  }
+  
+  console.log(`\n✅ Scraping complete!`);
+  console.log(`📊 Title: ${result.title}`);
+  console.log(`📊 Total sections found: ${result.sections.length}`);
+  
+  if (result.errors.length > 0) {
+    console.log(`\n⚠️  Errors encountered: ${result.errors.length}`);
+    result.errors.forEach(err => console.error(`   - ${err.message}`));
+  }
+  
+  await saveResult(result, argv.output, argv.pretty);
+}
+
+async function runDeviceComparison(scraper, argv) {
+  const devices = [argv.device, argv.compareWith];
+  console.log(`📱 Comparing ${argv.url} on ${devices.join(' vs ')}...`);
+  const startTime = Date.now();
+  const result = await scraper.compareDevices(argv.url, devices);
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  const { comparison } = result;
+  
+  console.log(`\n✅ Comparison complete in ${duration}s!`);
+  devices.forEach(device => {
+    console.log(`📊 ${device}: ${result.results[device].sections.length} sections`);
+  });
+  console.log(`📊 Shared sections: ${comparison.summary.sharedSections}`);
+  
+  devices.forEach(device => {
+    const only = comparison.onlyOn[device];
+    if (only.length > 0) {
+      console.log(`\n🔹 Only on ${device} (${only.length}):`);
+      only.forEach(section => console.log(`   [${section.sectionType}] ${section.text.substring(0, 80)}`));
+    }
+  });
+  
+  if (comparison.orderDifferences.length > 0) {
+    console.log(`\n🔀 Reordered sections (${comparison.orderDifferences.length}):`);
+    comparison.orderDifferences.forEach(diff => {
+      console.log(`   ${diff[devices[0]].position} → ${diff[devices[1]].position}: ${diff.text.substring(0, 70)}`);
+    });
+  }
+  
+  await saveResult(result, argv.output, argv.pretty);
+}
+
+async function runCrawl(scraper, argv) {
+  console.log(`🕸️  Crawling ${argv.url} (max depth ${argv.maxDepth}, max pages ${argv.maxPages})...`);
+  const result = await scraper.crawlWebsite(argv.url, {
+    maxDepth: argv.maxDepth,
+    maxPages: argv.maxPages,
+    scrapeOptions: { device: argv.device, checkLinks: argv.checkLinks },
+    seedFromSitemap: argv.sitemap,
+    respectRobots: argv.respectRobots,
+    include: argv.include,
+    exclude: argv.exclude
+  });
+  const { summary } = result;
+  
+  console.log(`\n✅ Crawl complete in ${summary.crawlDuration}s!`);
+  console.log(`📊 Pages crawled: ${summary.pagesCrawled}`);
+  console.log(`📊 Total sections found: ${summary.totalSections}`);
+  
+  console.log('\n📄 Pages:');
+  summary.pagesOverview.forEach(page => {
+    const status = page.errors > 0 ? '⚠️ ' : '  ';
+    console.log(`${status} [${page.depth}] ${page.url} - ${page.sections} sections`);
+  });
+  
+  if (result.discovery) {
+    printSkipped(result.discovery);
+  }
+  
+  if (result.errors.length > 0) {
+    console.log(`\n⚠️  Errors encountered: ${result.errors.length}`);
+    result.errors.forEach(err => console.error(`   - ${err.url}: ${err.message}`));
+  }
+  
+  console.log('\n📋 Sections by type:');
+  Object.entries(summary.sectionTypes).forEach(([type, count]) => {
+    console.log(`   ${type}: ${count}`);
+  });
+  
+  await saveResult(result, argv.output, argv.pretty);
+}
+
+async function runBatchFile(scraper, argv) {
+  const { urls, invalid } = await readUrlsFile(argv.urlsFile);
+  
+  if (invalid.length > 0) {
+    console.log(`⚠️  Ignoring ${invalid.length} invalid entries: ${invalid.join(', ')}`);
+  }
+  if (urls.length === 0) {
+    throw new Error(`No valid URLs found in ${argv.urlsFile}`);
+  }
+  
+  console.log(`📄 Scraping ${urls.length} URLs with concurrency ${argv.concurrency}...\n`);
+  const startTime = Date.now();
+  const summary = await runBatch(scraper, urls, {
+    concurrency: argv.concurrency,
+    outputDir: argv.outputDir,
+    scrapeOptions: { device: argv.device, checkLinks: argv.checkLinks },
+    cache: createCache(argv),
+    cacheRequest: { mode: cacheMode(argv) },
+    pretty: argv.pretty,
+    onResult: (entry, index) => {
+      const icon = entry.status === 'success' ? '✅' : '❌';
+      const cacheNote = entry.cache === 'hit' ? ', cached' : '';
+      console.log(`${icon} [${index + 1}/${urls.length}] ${entry.url} (${entry.duration}s${cacheNote})`);
+    }
+  });
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  
+  const cacheHits = summary.results.filter(entry => entry.cache === 'hit').length;
+  const cacheNote = cacheHits > 0 ? ` (${cacheHits} served from cache)` : '';
+  console.log(`\n📊 Batch complete in ${duration}s: ${summary.succeeded} succeeded, ${summary.failed} failed${cacheNote}\n`);
+  console.log(formatSummaryTable(summary.results));
+  
+  const summaryPath = path.join(argv.outputDir, 'batch-summary.json');
+  await fs.writeFile(summaryPath, JSON.stringify({ ...summary, duration: parseFloat(duration) }, null, 2), 'utf8');
+  console.log(`\n💾 Results saved to: ${argv.outputDir} (summary in ${summaryPath})`);
+  
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function readResultFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read scrape result ${filePath}: ${error.message}`);
+  }
+}
+
+async function runDiff(argv) {
+  const before = await readResultFile(argv.before);
+  const after = await readResultFile(argv.after);
+  console.log(`🔍 Comparing ${argv.before} → ${argv.after}...`);
+  const result = diffResults(before, after);
+  const { summary } = result;
+  
+  if (!summary.changed && !summary.titleChanged) {
+    console.log('\n✅ No content changes');
+  } else {
+    console.log(`\n📊 ${summary.addedSections} added, ${summary.removedSections} removed, ` +
+      `${summary.movedSections} moved, ${summary.modifiedSections} modified ` +
+      `(+${summary.wordsAdded} / -${summary.wordsRemoved} words)`);
+  }
+  if (summary.titleChanged) {
+    console.log(`📝 Title: "${before.title}" → "${after.title}"`);
+  }
+  
+  if (result.added.length > 0) {
+    console.log(`\n🟢 Added (${result.added.length}):`);
+    result.added.forEach(section => console.log(`   [${section.sectionType}] ${section.text.substring(0, 80)}`));
+  }
+  if (result.removed.length > 0) {
+    console.log(`\n🔴 Removed (${result.removed.length}):`);
+    result.removed.forEach(section => console.log(`   [${section.sectionType}] ${section.text.substring(0, 80)}`));
+  }
+  if (result.modified.length > 0) {
+    console.log(`\n✏️  Modified (${result.modified.length}):`);
+    result.modified.forEach(entry => {
+      const changes = entry.textDiff
+        .filter(part => part.type !== 'equal')
+        .map(part => `${part.type === 'added' ? '+' : '-'}"${part.text.substring(0, 40)}"`)
+        .slice(0, 4);
+      const typeNote = entry.typeChange ? ` (${entry.typeChange.from} → ${entry.typeChange.to})` : '';
+      console.log(`   [${entry.after.sectionType}]${typeNote} ${changes.join(' ')}`);
+    });
+  }
+  if (result.moved.length > 0) {
+    console.log(`\n🔀 Moved (${result.moved.length}):`);
+    result.moved.forEach(entry => {
+      console.log(`   ${entry.before.position} → ${entry.after.position}: ${entry.text.substring(0, 70)}`);
+    });
+  }
+  
+  await saveResult(result, argv.output, argv.pretty);
+}
+
+function printMonitor(monitor) {
+  const status = monitor.lastStatus ? `${monitor.lastStatus} at ${monitor.lastRunAt}` : 'not checked yet';
+  console.log(`   ${monitor.id}  ${monitor.url} [${monitor.device}, ${monitor.schedule}] - ${status}, ` +
+    `${monitor.changes} changes, next run ${monitor.nextRunAt}`);
+}
+
+function printMonitorChange(change) {
+  const { summary } = change;
+  console.log(`\n📅 ${change.detectedAt}: ${summary.addedSections} added, ${summary.removedSections} removed, ` +
+    `${summary.movedSections} moved, ${summary.modifiedSections} modified`);
+  change.changes.forEach(item => {
+    const detail = item.from !== undefined
+      ? `${JSON.stringify(item.from)} → ${JSON.stringify(item.to)}`
+      : (item.prices ? `${item.prices.join(', ')} - ${item.text}` : item.text);
+    console.log(`   ${item.type}: ${String(detail).substring(0, 100)}`);
+  });
+}
+
+async function runMonitorCommand(argv) {
+  const store = new MonitorStore({ directory: argv.monitorDir });
+  const monitor = new CompetitorMonitor(null, {
+    store,
+    log: argv.verbose ? (message) => console.log(`[MONITOR] ${message}`) : undefined
+  });
+  const requireTarget = (description) => {
+    if (!argv.target) throw new Error(`monitor ${argv.action} requires ${description}`);
+  };
+  
+  switch (argv.action) {
+    case 'add': {
+      requireTarget('a URL');
+      const created = await monitor.add({ url: argv.target, schedule: argv.schedule, name: argv.name, device: argv.device });
+      console.log(`👁️  Monitoring ${created.url} (${created.schedule}) as ${created.id}`);
+      console.log('   The server checks it on schedule, or run it now with: monitor run ' + created.id);
+      return;
+    }
+    case 'remove': {
+      requireTarget('a monitor id');
+      if (!await monitor.remove(argv.target)) throw new Error(`Monitor ${argv.target} not found`);
+      console.log(`🗑️  Monitor ${argv.target} removed`);
+      return;
+    }
+    case 'history': {
+      requireTarget('a monitor id');
+      const found = await monitor.get(argv.target);
+      if (!found) throw new Error(`Monitor ${argv.target} not found`);
+      const changes = await monitor.history(found.id, argv.limit);
+      console.log(`📜 ${found.url}: ${changes.length} recorded changes`);
+      changes.forEach(printMonitorChange);
+      return;
+    }
+    case 'run': {
+      // Checks run in this process, so they need their own browser
+      const scrapeStore = argv.store ? openStore(argv) : null;
+      const scraper = new JunkRemovalScraper(argv.verbose, { store: scrapeStore });
+      monitor.scrape = (url, options) => scraper.scrapeWebsite(url, options);
+      try {
+        await scraper.initialize();
+        const checks = argv.target ? [await monitor.check(argv.target)] : await monitor.runDue();
+        if (checks.length === 0) console.log('✅ No monitors due');
+        checks.forEach(check => {
+          const icon = check.status === 'failed' ? '❌' : (check.status === 'changed' ? '🔔' : '✅');
+          console.log(`${icon} ${check.url}: ${check.status}${check.error ? ` - ${check.error}` : ''}`);
+          if (check.change) printMonitorChange(check.change);
+        });
+        if (checks.some(check => check.status === 'failed')) process.exitCode = 1;
+      } finally {
+        await scraper.close();
+        if (scrapeStore) scrapeStore.close();
+      }
+      return;
+    }
+    default: {
+      const monitors = await monitor.list();
+      console.log(`👁️  ${monitors.length} monitored URLs`);
+      monitors.forEach(printMonitor);
+    }
+  }
+}
+
+async function runScrapesCommand(argv) {
+  const store = openStore(argv);
+  try {
+    switch (argv.action) {
+      case 'show': {
+        if (!argv.target) throw new Error('scrapes show requires a scrape id');
+        const result = store.get(parseInt(argv.target, 10));
+        if (!result) throw new Error(`Stored scrape ${argv.target} not found`);
+        console.log(`📄 #${result.storageId} ${result.url || result.source} (${result.scrapedAt}): ` +
+          `${result.sections.length} sections, ${result.errors.length} errors`);
+        await saveResult(result, argv.output, argv.pretty);
+        return;
+      }
+      case 'search': {
+        if (!argv.target) throw new Error('scrapes search requires a query');
+        const matches = store.search(argv.target, { domain: argv.domain, sectionType: argv.type, limit: argv.limit });
+        console.log(`🔍 ${matches.length} matching sections for "${argv.target}"`);
+        matches.forEach(match => {
+          console.log(`   #${match.scrapeId} ${match.url} (${match.scrapedAt}) [${match.sectionType}] ${match.snippet}`);
+        });
+        return;
+      }
+      case 'domains': {
+        const domains = store.domains();
+        console.log(`🌐 ${domains.length} domains`);
+        domains.forEach(entry => {
+          console.log(`   ${entry.domain}: ${entry.scrapes} scrapes, last ${entry.lastScrapedAt}`);
+        });
+        return;
+      }
+      default: {
+        const { total, items } = store.list({ domain: argv.domain, from: argv.from, to: argv.to, limit: argv.limit });
+        console.log(`🗄️  ${total} stored scrapes${total > items.length ? ` (showing ${items.length})` : ''}`);
+        items.forEach(item => {
+          const status = item.errors > 0 ? '⚠️ ' : '  ';
+          console.log(`${status} #${item.id} ${item.scrapedAt} ${item.url || item.source} - ${item.sections} sections`);
+        });
+      }
+    }
+  } finally {
+    store.close();
+  }
+}
+
 async function main() {
   const argv = yargs
-    .usage('Usage: $0 [options]')
+    .usage('Usage: $0 [command] [options]')
+    .command('$0', 'Scrape a page, site or batch of URLs')
+    .command('diff <before> <after>', 'Report content changes between two saved scrape results', (command) => command
+      .positional('before', { type: 'string', description: 'Earlier scrape result JSON file' })
+      .positional('after', { type: 'string', description: 'Later scrape result JSON file' })
+      .option('output', { default: 'content-diff.json' }))
+    .command('monitor [action] [target]', 'Manage scheduled competitor monitors and their change history', (command) => command
+      .positional('action', {
+        type: 'string',
+        choices: ['list', 'add', 'remove', 'history', 'run'],
+        default: 'list',
+        description: 'list | add <url> | remove <id> | history <id> | run [id]'
+      })
+      .positional('target', { type: 'string', description: 'URL to add, or monitor id' })
+      .option('schedule', { type: 'string', description: 'hourly, daily, weekly or an interval like 6h', default: 'daily' })
+      .option('name', { type: 'string', description: 'Label for the monitored page' })
+      .option('limit', { type: 'number', description: 'Number of changes to show with history', default: 10 })
+      .option('monitor-dir', { type: 'string', description: 'Directory holding monitors, snapshots and changes', default: 'output/monitors' }))
+    .command('scrapes [action] [target]', 'Query scrapes stored in the SQLite database', (command) => command
+      .positional('action', {
+        type: 'string',
+        choices: ['list', 'show', 'search', 'domains'],
+        default: 'list',
+        description: 'list | show <id> | search <query> | domains'
+      })
+      .positional('target', { type: 'string', description: 'Scrape id to show, or text to search for' })
+      .option('domain', { type: 'string', description: 'Only scrapes of this domain' })
+      .option('from', { type: 'string', description: 'Only scrapes on or after this date (YYYY-MM-DD)' })
+      .option('to', { type: 'string', description: 'Only scrapes on or before this date (YYYY-MM-DD)' })
+      .option('type', { type: 'string', description: 'Only search sections of this type' })
+      .option('limit', { type: 'number', description: 'Maximum rows to show', default: 50 })
+      .option('output', { default: 'stored-scrape.json' }))
     .option('url', {
       alias: 'u',
       type: 'string',
-      description: 'URL to scrape',
-      demandOption: true
+      description: 'URL to scrape'
+    })
+    .option('urls-file', {
+      alias: 'f',
+      type: 'string',
+      description: 'Text or CSV file with one URL per line (or a "url" column) to scrape in batch'
+    })
+    .option('file', {
+      alias: 'F',
+      type: 'string',
+      description: 'Local HTML file or directory of HTML files to scrape instead of a URL'
+    })
+    .option('base-url', {
+      type: 'string',
+      description: 'Original URL of a saved HTML file, used to resolve relative links'
+    })
+    .option('output-dir', {
+      alias: 'd',
+      type: 'string',
+      description: 'Directory for per-URL result files in batch mode',
+      default: 'output'
+    })
+    .option('concurrency', {
+      type: 'number',
+      description: 'Number of pages scraped in parallel in batch mode',
+      default: 3
     })
     .option('output', {
       alias: 'o',
@@ -38,32 +500,240 @@ async function main() {
       description: 'Page load timeout in seconds',
       default: 30
     })
+    .option('device', {
+      alias: 'D',
+      type: 'string',
+      choices: DEVICE_NAMES,
+      description: 'Device profile to render the page with',
+      default: 'desktop'
+    })
+    .option('compare-with', {
+      type: 'string',
+      choices: DEVICE_NAMES,
+      description: 'Scrape with a second device profile and report section differences'
+    })
+    .option('record', {
+      type: 'string',
+      description: 'Record every network response into this archive file (HAR-like JSON)'
+    })
+    .option('replay', {
+      type: 'string',
+      description: 'Serve the page entirely from this recorded archive file, offline'
+    })
+    .option('check-links', {
+      type: 'boolean',
+      description: 'Request every link on the page and report broken links and redirects',
+      default: false
+    })
+    .option('cache', {
+      type: 'boolean',
+      description: 'Reuse cached results for URLs scraped within --cache-ttl',
+      default: false
+    })
+    .option('refresh', {
+      type: 'boolean',
+      description: 'Ignore cached results but store the fresh scrape in the cache',
+      default: false
+    })
+    .option('cache-ttl', {
+      type: 'number',
+      description: 'Seconds a cached result stays valid',
+      default: 3600
+    })
+    .option('cache-dir', {
+      type: 'string',
+      description: 'Directory for cached results',
+      default: 'output/.cache'
+    })
+    .option('store', {
+      type: 'boolean',
+      description: 'Save every scrape to the SQLite database (on by default when SCRAPE_DB is set)',
+      default: !!process.env.SCRAPE_DB
+    })
+    .option('db', {
+      type: 'string',
+      description: 'SQLite database file for stored scrapes',
+      default: process.env.SCRAPE_DB || 'output/scrapes.db'
+    })
+    .option('crawl', {
+      alias: 'c',
+      type: 'boolean',
+      description: 'Crawl same-origin links starting from the URL',
+      default: false
+    })
+    .option('max-depth', {
+      type: 'number',
+      description: 'Maximum link depth to follow in crawl mode',
+      default: 2
+    })
+    .option('max-pages', {
+      type: 'number',
+      description: 'Maximum number of pages to scrape in crawl mode',
+      default: 20
+    })
+    .option('sitemap', {
+      type: 'boolean',
+      description: 'Seed the crawl from the site\'s sitemap.xml',
+      default: false
+    })
+    .option('respect-robots', {
+      type: 'boolean',
+      description: 'Skip URLs disallowed by robots.txt and honour Crawl-delay',
+      default: false
+    })
+    .option('include', {
+      type: 'array',
+      string: true,
+      description: 'Only crawl URLs matching these regular expressions'
+    })
+    .option('exclude', {
+      type: 'array',
+      string: true,
+      description: 'Never crawl URLs matching these regular expressions'
+    })
+    .option('discover', {
+      type: 'boolean',
+      description: 'Only list candidate URLs from sitemap.xml and robots.txt, without scraping',
+      default: false
+    })
+    .check(argv => {
+      if (STANDALONE_COMMANDS.includes(argv._[0])) {
+        return true;
+      }
+      const inputs = [argv.url, argv.urlsFile, argv.file].filter(Boolean);
+      if (inputs.length === 0) {
+        throw new Error('One of --url, --urls-file or --file is required');
+      }
+      if (inputs.length > 1) {
+        throw new Error('--url, --urls-file and --file cannot be used together');
+      }
+      if ((argv.crawl || argv.discover || argv.compareWith) && !argv.url) {
+        throw new Error('--crawl, --discover and --compare-with require --url');
+      }
+      if (argv.record && argv.replay) {
+        throw new Error('--record and --replay cannot be used together');
+      }
+      if ((argv.record || argv.replay) && !argv.url) {
+        throw new Error('--record and --replay require --url');
+      }
+      if (argv.compareWith && argv.compareWith === argv.device) {
+        throw new Error('--compare-with must name a different device than --device');
+      }
+      if (argv.concurrency < 1) {
+        throw new Error('--concurrency must be at least 1');
+      }
+      return true;
+    })
     .example('$0 -u https://www.junkmastersmn.com', 'Basic scraping')
+    .example('$0 -u https://www.junkmastersmn.com --crawl --max-pages 50', 'Crawl a whole site')
+    .example('$0 -u https://www.junkmastersmn.com --crawl --sitemap --respect-robots --exclude /blog/', 'Crawl sitemap pages except the blog')
     .example('$0 -u https://www.junkmastersmn.com -o results.json -v', 'Verbose with custom output')
+    .example('$0 -u https://www.junkmastersmn.com --device desktop --compare-with mobile', 'Compare desktop and mobile rendering')
+    .example('$0 -u https://www.junkmastersmn.com --record archives/junkmasters.har', 'Record network traffic')
+    .example('$0 -u https://www.junkmastersmn.com --replay archives/junkmasters.har', 'Rerun offline from the archive')
+    .example('$0 -F exports/client-home.html --base-url https://client.com/', 'Scrape a saved HTML export')
+    .example('$0 -f competitors.csv -d output/minneapolis --concurrency 4', 'Batch scrape a market')
+    .example('$0 diff output/home-june.json output/home-july.json', 'Show what changed between two scrapes')
+    .example('$0 monitor add https://www.junkmastersmn.com --schedule daily', 'Watch a competitor for changes')
+    .example('$0 monitor history <id>', 'Show detected changes of a monitored page')
+    .example('$0 scrapes list --domain junkmastersmn.com --from 2024-06-01', 'List stored scrapes of a competitor')
+    .example('$0 scrapes search "hot tub removal"', 'Search every stored scrape')
     .help()
     .alias('help', 'h')
     .argv;
   
-  const scraper = new JunkRemovalScraper(argv.verbose);
+  // Diffing and monitor management work on saved files, so no browser is needed
+  if (STANDALONE_COMMANDS.includes(argv._[0])) {
+    try {
+      const commands = { diff: runDiff, monitor: runMonitorCommand, scrapes: runScrapesCommand };
+      await commands[argv._[0]](argv);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+  
+  const store = argv.store ? openStore(argv) : null;
+  const scraper = new JunkRemovalScraper(argv.verbose, { maxOpenPages: argv.concurrency, store });
+  
+  // Discovery only makes HTTP requests, so no browser is needed
+  if (argv.discover) {
+    try {
+      await runDiscover(scraper, argv);
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
   
   try {
     console.log(`🚀 Initializing scraper...`);
     await scraper.initialize();
     
-    console.log(`📄 Scraping ${argv.url}...`);
+    if (argv.urlsFile) {
+      await runBatchFile(scraper, argv);
+      return;
+    }
+    
+    if (argv.file) {
+      await runLocalFile(scraper, argv);
+      return;
+    }
+    
+    if (argv.crawl) {
+      await runCrawl(scraper, argv);
+      return;
+    }
+    
+    if (argv.compareWith) {
+      await runDeviceComparison(scraper, argv);
+      return;
+    }
+    
+    console.log(`📄 Scraping ${argv.url} (${argv.device})...`);
     const startTime = Date.now();
-    const result = await scraper.scrapeWebsite(argv.url);
+    const scrapeOptions = {
+      device: argv.device,
+      recordTo: argv.record,
+      replayFrom: argv.replay,
+      checkLinks: argv.checkLinks
+    };
+    const { result, cache } = await createCache(argv).fetch(
+      argv.url,
+      scrapeOptions,
+      () => scraper.scrapeWebsite(argv.url, scrapeOptions),
+      { mode: cacheMode(argv) }
+    );
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
     console.log(`\n✅ Scraping complete in ${duration}s!`);
     console.log(`📊 Title: ${result.title}`);
     console.log(`📊 Total sections found: ${result.sections.length}`);
     
+    if (cache.status === 'hit') {
+      console.log(`🗄️  Served from cache (scraped ${cache.age}s ago, use --refresh to rescrape)`);
+    }
+    
+    if (result.archive && result.archive.mode === 'record') {
+      console.log(`📼 Recorded ${result.archive.entries} responses to ${result.archive.path}`);
+    } else if (result.archive) {
+      console.log(`📼 Replayed ${result.archive.served} responses from ${result.archive.path}` +
+        (result.archive.misses.length ? ` (${result.archive.misses.length} requests not in archive)` : ''));
+    }
+    
     if (result.errors && result.errors.length > 0) {
       console.log(`\n⚠️  Errors encountered: ${result.errors.length}`);
       result.errors.forEach(err => console.error(`   - ${err.message}`));
     }
     
+    const linkCheck = result.linkInventory && result.linkInventory.check;
+    if (linkCheck && !linkCheck.skipped) {
+      console.log(`\n🔗 Checked ${linkCheck.checked} links: ${linkCheck.broken.length} broken, ${linkCheck.redirected.length} redirected`);
+      linkCheck.broken.forEach(entry => console.log(`   ❌ ${entry.status || entry.error} ${entry.url}`));
+    }
+    
     // Count sections by type
     const sectionCounts = {};
     result.sections.forEach(section => {
@@ -75,19 +745,7 @@ async function main() {
       console.log(`   ${type}: ${count}`);
     });
     
-    // Ensure output directory exists
-    const outputDir = path.dirname(argv.output);
-    if (outputDir && outputDir !== '.') {
-      await fs.mkdir(outputDir, { recursive: true });
-    }
-    
-    // Save to file
-    const jsonOutput = argv.pretty 
-      ? JSON.stringify(result, null, 2) 
-      : JSON.stringify(result);
-    
-    await fs.writeFile(argv.output, jsonOutput, 'utf8');
-    console.log(`\n💾 Results saved to: ${argv.output}`);
+    await saveResult(result, argv.output, argv.pretty);
     
   } catch (error) {
     console.error('\n❌ Error:', error.message);
@@ -97,6 +755,7 @@ async function main() {
     process.exit(1);
   } finally {
     await scraper.close();
+    if (store) store.close();
   }
 }
 
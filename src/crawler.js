@@ -0,0 +1,245 @@
+// src/crawler.js
+const { SiteDiscovery } = require('./discovery');
+
+// File extensions that never lead to a scrapeable HTML page
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|bmp|mp4|mov|avi|mp3|wav|zip|gz|rar|docx?|xlsx?|pptx?|css|js|json|xml|txt)$/i;
+
+class SiteCrawler {
+  constructor(scraper, options = {}) {
+    this.scraper = scraper;
+    this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 2;
+    this.maxPages = options.maxPages !== undefined ? options.maxPages : 20;
+    this.scrapeOptions = options.scrapeOptions || {};
+    this.seedFromSitemap = options.seedFromSitemap || false;
+    this.respectRobots = options.respectRobots || false;
+    this.include = options.include;
+    this.exclude = options.exclude;
+    this.discovery = null;
+    this.onProgress = options.onProgress || null;
+    this.isCancelled = options.isCancelled || (() => false);
+  }
+
+  log(message) {
+    this.scraper.log(`[CRAWL] ${message}`);
+  }
+
+  // Strip fragments and trailing slashes so the same page isn't queued twice
+  normalizeUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      urlObj.hash = '';
+      if (urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+        urlObj.pathname = urlObj.pathname.replace(/\/+$/, '');
+      }
+      return urlObj.toString();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  isCrawlable(url, origin) {
+    const urlObj = new URL(url);
+    if (urlObj.origin !== origin) return false;
+    if (NON_HTML_EXTENSIONS.test(urlObj.pathname)) return false;
+    return true;
+  }
+
+  needsDiscovery() {
+    return this.seedFromSitemap || this.respectRobots || !!this.include || !!this.exclude;
+  }
+
+  // Load robots.txt and (optionally) sitemap URLs before crawling
+  async prepareDiscovery(startUrl) {
+    this.discovery = new SiteDiscovery({
+      include: this.include,
+      exclude: this.exclude,
+      respectRobots: this.respectRobots,
+      maxUrls: this.maxPages * 10,
+      verbose: this.scraper.verbose
+    });
+
+    if (this.seedFromSitemap) {
+      return this.discovery.discover(startUrl);
+    }
+
+    const robots = this.respectRobots
+      ? await this.discovery.fetchRobots(new URL(startUrl).origin)
+      : null;
+    return {
+      robots: robots
+        ? { ...robots, crawlDelay: this.discovery.getCrawlDelay(), requestedCrawlDelay: this.discovery.getRequestedCrawlDelay() }
+        : null,
+      sitemaps: [],
+      urls: [],
+      skipped: [],
+      filtered: [],
+      errors: []
+    };
+  }
+
+  async crawl(startUrl) {
+    const startedAt = Date.now();
+    const normalizedStart = this.normalizeUrl(startUrl);
+    const queue = [{ url: normalizedStart, depth: 0, parentUrl: null }];
+    const seen = new Set([normalizedStart]);
+    const pages = [];
+    const errors = [];
+    let origin = new URL(normalizedStart).origin;
+    let discoveryReport = null;
+
+    // Explicit start URL is always scraped; filters and robots apply to everything found after it
+    const enqueue = (url, depth, parentUrl) => {
+      const check = this.discovery ? this.discovery.checkUrl(url) : { allowed: true };
+      if (check.allowed) {
+        queue.push({ url, depth, parentUrl });
+      } else if (check.reason === 'robots') {
+        discoveryReport.skipped.push({ url: url, reason: check.reason, rule: check.rule });
+      } else {
+        discoveryReport.filtered.push({ url: url, reason: check.reason });
+      }
+    };
+
+    if (this.needsDiscovery()) {
+      const { urls: seeds, ...report } = await this.prepareDiscovery(normalizedStart);
+      discoveryReport = { ...report, seeded: seeds.length };
+
+      seeds.forEach(({ url }) => {
+        const normalized = this.normalizeUrl(url);
+        if (!normalized || seen.has(normalized)) return;
+        seen.add(normalized);
+        queue.push({ url: normalized, depth: 0, parentUrl: null });
+      });
+      this.log(`Seeded ${seeds.length} URLs from sitemap, ${discoveryReport.skipped.length} blocked by robots.txt`);
+    }
+
+    // Already capped at MAX_CRAWL_DELAY by the discovery step
+    const crawlDelay = this.discovery ? this.discovery.getCrawlDelay() : null;
+    if (this.discovery && crawlDelay !== this.discovery.getRequestedCrawlDelay()) {
+      this.log(`robots.txt asks for a ${this.discovery.getRequestedCrawlDelay()}s Crawl-delay; waiting ${crawlDelay}s instead`);
+    }
+
+    let cancelled = false;
+    // Links shared by every page (nav, footer) are checked once per crawl
+    const linkCheckCache = new Map();
+
+    while (queue.length > 0 && pages.length < this.maxPages) {
+      if (this.isCancelled()) {
+        cancelled = true;
+        break;
+      }
+      const { url, depth, parentUrl } = queue.shift();
+
+      // Honour robots.txt Crawl-delay between page loads
+      if (crawlDelay && pages.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, crawlDelay * 1000));
+      }
+
+      this.log(`Scraping ${url} (depth ${depth}, ${pages.length + 1}/${this.maxPages})`);
+
+      const pageStart = Date.now();
+      const result = await this.scraper.scrapeWebsite(url, {
+        ...this.scrapeOptions,
+        linkCheckCache,
+        collectLinks: true,
+        isCancelled: this.isCancelled
+      });
+      if (this.onProgress) {
+        this.onProgress((pages.length + 1) / this.maxPages * 100, `scraped ${pages.length + 1} pages`);
+      }
+      if (this.isCancelled()) {
+        cancelled = true;
+        break;
+      }
+      const links = result.links || [];
+      delete result.links;
+
+      // Follow redirects on the start page (e.g. example.com -> www.example.com). Sitemap seeds are
+      // queued at depth 0 too, but one of them redirecting elsewhere must not move the crawl
+      if (pages.length === 0 && result.finalUrl) {
+        origin = new URL(result.finalUrl).origin;
+      }
+
+      pages.push({
+        ...result,
+        depth: depth,
+        parentUrl: parentUrl,
+        scrapingDuration: parseFloat(((Date.now() - pageStart) / 1000).toFixed(2))
+      });
+
+      if (result.errors.length > 0) {
+        errors.push(...result.errors.map(err => ({ url: url, message: err.message })));
+      }
+
+      if (depth >= this.maxDepth) continue;
+
+      links.forEach(link => {
+        const normalized = this.normalizeUrl(link);
+        if (!normalized || seen.has(normalized)) return;
+        if (!this.isCrawlable(normalized, origin)) return;
+
+        seen.add(normalized);
+        enqueue(normalized, depth + 1, url);
+      });
+    }
+
+    this.log(`Crawl complete: ${pages.length} pages scraped, ${queue.length} left in queue`);
+
+    return {
+      startUrl: startUrl,
+      crawledAt: new Date(startedAt).toISOString(),
+      options: {
+        maxDepth: this.maxDepth,
+        maxPages: this.maxPages,
+        seedFromSitemap: this.seedFromSitemap,
+        respectRobots: this.respectRobots
+      },
+      discovery: discoveryReport,
+      cancelled: cancelled,
+      pages: pages,
+      summary: this.summarize(pages, queue.length, Date.now() - startedAt),
+      errors: errors
+    };
+  }
+
+  summarize(pages, unvisitedCount, durationMs) {
+    const sectionTypes = {};
+    const titles = {};
+    let totalSections = 0;
+    let totalChars = 0;
+
+    pages.forEach(page => {
+      totalSections += page.sections.length;
+      page.sections.forEach(section => {
+        sectionTypes[section.sectionType] = (sectionTypes[section.sectionType] || 0) + 1;
+        totalChars += section.charCount;
+      });
+      if (page.title) {
+        titles[page.title] = (titles[page.title] || []).concat(page.url);
+      }
+    });
+
+    return {
+      pagesCrawled: pages.length,
+      pagesFailed: pages.filter(page => page.errors.length > 0).length,
+      pagesUnvisited: unvisitedCount,
+      maxDepthReached: pages.reduce((max, page) => Math.max(max, page.depth), 0),
+      totalSections: totalSections,
+      totalChars: totalChars,
+      averageSectionsPerPage: pages.length ? parseFloat((totalSections / pages.length).toFixed(1)) : 0,
+      sectionTypes: sectionTypes,
+      duplicateTitles: Object.entries(titles)
+        .filter(([, urls]) => urls.length > 1)
+        .map(([title, urls]) => ({ title, urls })),
+      crawlDuration: parseFloat((durationMs / 1000).toFixed(2)),
+      pagesOverview: pages.map(page => ({
+        url: page.url,
+        title: page.title,
+        depth: page.depth,
+        sections: page.sections.length,
+        errors: page.errors.length
+      }))
+    };
+  }
+}
+
+module.exports = { SiteCrawler };
@@ -0,0 +1,149 @@
+// src/devices.js
+const { matchSections } = require('./section-match');
+
+const DEVICE_PROFILES = {
+  desktop: {
+    name: 'desktop',
+    viewport: {
+      width: 1920,
+      height: 1080,
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false,
+      isLandscape: true
+    },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
+  },
+  tablet: {
+    name: 'tablet',
+    viewport: {
+      width: 820,
+      height: 1180,
+      deviceScaleFactor: 2,
+      isMobile: true,
+      hasTouch: true,
+      isLandscape: false
+    },
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'
+  },
+  mobile: {
+    name: 'mobile',
+    viewport: {
+      width: 390,
+      height: 844,
+      deviceScaleFactor: 3,
+      isMobile: true,
+      hasTouch: true,
+      isLandscape: false
+    },
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Mobile Safari/537.36'
+  }
+};
+
+const DEVICE_NAMES = Object.keys(DEVICE_PROFILES);
+
+function getDeviceProfile(name = 'desktop') {
+  const profile = DEVICE_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown device "${name}". Available devices: ${DEVICE_NAMES.join(', ')}`);
+  }
+  return profile;
+}
+
+const summarizeSection = (section) => ({
+  sectionId: section.sectionId,
+  sectionType: section.sectionType,
+  order: section.order,
+  text: section.text.length > 120 ? section.text.substring(0, 120) + '...' : section.text
+});
+
+// Sections outside the longest run that keeps its relative order on both devices are the ones that moved
+function findMovedPairs(pairs) {
+  const sorted = [...pairs].sort((a, b) => a[0].order - b[0].order);
+  const orders = sorted.map(pair => pair[1].order);
+  const lengths = orders.map(() => 1);
+  const previous = orders.map(() => -1);
+
+  for (let i = 0; i < orders.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (orders[j] < orders[i] && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  }
+
+  const inOrder = new Set();
+  let index = lengths.indexOf(Math.max(0, ...lengths));
+  while (index !== -1) {
+    inOrder.add(index);
+    index = previous[index];
+  }
+
+  return sorted.filter((pair, i) => !inOrder.has(i));
+}
+
+function compareDeviceResults(baseResult, otherResult) {
+  const baseDevice = baseResult.device;
+  const otherDevice = otherResult.device;
+  const matched = matchSections(baseResult.sections, otherResult.sections);
+  const pairs = matched.pairs.map(pair => [pair.before, pair.after]);
+  const unmatchedBase = matched.unmatchedBefore;
+  const unmatchedOther = matched.unmatchedAfter;
+
+  // Position of each shared section among the shared sections on its device
+  const baseRank = new Map(
+    pairs.map(pair => pair[0]).sort((a, b) => a.order - b.order).map((section, index) => [section, index + 1])
+  );
+  const otherRank = new Map(
+    pairs.map(pair => pair[1]).sort((a, b) => a.order - b.order).map((section, index) => [section, index + 1])
+  );
+
+  const orderDifferences = findMovedPairs(pairs)
+    .map(([base, other]) => ({
+      text: summarizeSection(base).text,
+      sectionType: base.sectionType,
+      [baseDevice]: { sectionId: base.sectionId, position: baseRank.get(base) },
+      [otherDevice]: { sectionId: other.sectionId, position: otherRank.get(other) },
+      shift: otherRank.get(other) - baseRank.get(base)
+    }));
+
+  const typeDifferences = pairs
+    .filter(([base, other]) => base.sectionType !== other.sectionType)
+    .map(([base, other]) => ({
+      text: summarizeSection(base).text,
+      [baseDevice]: base.sectionType,
+      [otherDevice]: other.sectionType
+    }));
+
+  return {
+    devices: [baseDevice, otherDevice],
+    onlyOn: {
+      [baseDevice]: unmatchedBase.sort((a, b) => a.order - b.order).map(summarizeSection),
+      [otherDevice]: unmatchedOther.sort((a, b) => a.order - b.order).map(summarizeSection)
+    },
+    orderDifferences: orderDifferences,
+    typeDifferences: typeDifferences,
+    summary: {
+      [`${baseDevice}Sections`]: baseResult.sections.length,
+      [`${otherDevice}Sections`]: otherResult.sections.length,
+      sharedSections: pairs.length,
+      [`only${capitalize(baseDevice)}`]: unmatchedBase.length,
+      [`only${capitalize(otherDevice)}`]: unmatchedOther.length,
+      reorderedSections: orderDifferences.length,
+      retypedSections: typeDifferences.length
+    }
+  };
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  DEVICE_PROFILES,
+  DEVICE_NAMES,
+  getDeviceProfile,
+  findMovedPairs,
+  compareDeviceResults
+};
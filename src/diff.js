@@ -0,0 +1,150 @@
+// src/diff.js
+const { findMovedPairs } = require('./devices');
+const { matchSections, normalizeText, tokenize } = require('./section-match');
+
+// Word diffs beyond this many comparisons fall back to replacing the whole text
+const MAX_DIFF_CELLS = 1000000;
+
+const summarizeSection = (section) => ({
+  sectionId: section.sectionId,
+  sectionType: section.sectionType,
+  order: section.order,
+  xpath: section.xpath,
+  text: section.text.length > 120 ? section.text.substring(0, 120) + '...' : section.text
+});
+
+function validateResult(result, label) {
+  if (!result || typeof result !== 'object' || !Array.isArray(result.sections)) {
+    throw new Error(`${label} is not a scrape result (missing "sections" array)`);
+  }
+}
+
+// Word-level diff from the longest common subsequence of the two word lists
+function diffWords(beforeText, afterText) {
+  const a = tokenize(beforeText);
+  const b = tokenize(afterText);
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    return [
+      { type: 'removed', text: a.join(' ') },
+      { type: 'added', text: b.join(' ') }
+    ].filter(part => part.text);
+  }
+
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += ' ' + word;
+    } else {
+      parts.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
+
+const countWords = (parts, type) => parts
+  .filter(part => part.type === type)
+  .reduce((total, part) => total + tokenize(part.text).length, 0);
+
+function diffResults(before, after) {
+  validateResult(before, 'Before result');
+  validateResult(after, 'After result');
+
+  const { pairs, unmatchedBefore, unmatchedAfter } = matchSections(before.sections, after.sections);
+
+  // Position of each shared section among the shared sections of its scrape
+  const beforeRank = new Map(
+    pairs.map(pair => pair.before).sort((a, b) => a.order - b.order).map((section, index) => [section, index + 1])
+  );
+  const afterRank = new Map(
+    pairs.map(pair => pair.after).sort((a, b) => a.order - b.order).map((section, index) => [section, index + 1])
+  );
+
+  const moved = findMovedPairs(pairs.map(pair => [pair.before, pair.after]))
+    .map(([beforeSection, afterSection]) => ({
+      text: summarizeSection(afterSection).text,
+      sectionType: afterSection.sectionType,
+      before: { sectionId: beforeSection.sectionId, position: beforeRank.get(beforeSection) },
+      after: { sectionId: afterSection.sectionId, position: afterRank.get(afterSection) },
+      shift: afterRank.get(afterSection) - beforeRank.get(beforeSection)
+    }));
+
+  const modified = pairs
+    .filter(pair => normalizeText(pair.before.text) !== normalizeText(pair.after.text) ||
+      pair.before.sectionType !== pair.after.sectionType)
+    .sort((a, b) => a.after.order - b.after.order)
+    .map(pair => {
+      const textDiff = diffWords(pair.before.text, pair.after.text);
+      const entry = {
+        before: summarizeSection(pair.before),
+        after: summarizeSection(pair.after),
+        similarity: Math.round(pair.similarity * 100) / 100,
+        wordsAdded: countWords(textDiff, 'added'),
+        wordsRemoved: countWords(textDiff, 'removed'),
+        textDiff: textDiff
+      };
+      if (pair.before.sectionType !== pair.after.sectionType) {
+        entry.typeChange = { from: pair.before.sectionType, to: pair.after.sectionType };
+      }
+      return entry;
+    });
+
+  const added = unmatchedAfter.sort((a, b) => a.order - b.order).map(summarizeSection);
+  const removed = unmatchedBefore.sort((a, b) => a.order - b.order).map(summarizeSection);
+
+  return {
+    before: { url: before.url, title: before.title, scrapedAt: before.scrapedAt },
+    after: { url: after.url, title: after.title, scrapedAt: after.scrapedAt },
+    comparedAt: new Date().toISOString(),
+    added: added,
+    removed: removed,
+    moved: moved,
+    modified: modified,
+    summary: {
+      changed: added.length + removed.length + moved.length + modified.length > 0,
+      titleChanged: (before.title || '') !== (after.title || ''),
+      beforeSections: before.sections.length,
+      afterSections: after.sections.length,
+      unchangedSections: pairs.length - modified.length,
+      addedSections: added.length,
+      removedSections: removed.length,
+      movedSections: moved.length,
+      modifiedSections: modified.length,
+      retypedSections: modified.filter(entry => entry.typeChange).length,
+      wordsAdded: modified.reduce((total, entry) => total + entry.wordsAdded, 0) +
+        unmatchedAfter.reduce((total, section) => total + tokenize(section.text).length, 0),
+      wordsRemoved: modified.reduce((total, entry) => total + entry.wordsRemoved, 0) +
+        unmatchedBefore.reduce((total, section) => total + tokenize(section.text).length, 0)
+    }
+  };
+}
+
+module.exports = { diffResults, diffWords, validateResult };
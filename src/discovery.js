@@ -0,0 +1,399 @@
+// src/discovery.js
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+const DEFAULT_USER_AGENT = 'JunkRemovalScraper';
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 50 * 1024 * 1024; // Sitemaps are capped at 50MB uncompressed
+const MAX_SITEMAPS = 50;
+
+// A robots.txt can ask for any Crawl-delay; anything longer than this would stall a crawl (or an API request)
+const MAX_CRAWL_DELAY = 30;
+
+// Same site means same host apart from a leading "www.", over http or https
+const siteHost = (url) => new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+const isSameSite = (url, siteUrl) => {
+  try {
+    return /^https?:$/.test(new URL(url).protocol) && siteHost(url) === siteHost(siteUrl);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Helper to GET a URL, following redirects and gunzipping .gz bodies.
+// With options.siteUrl set, redirects may not leave that site.
+function fetchText(url, options = {}, redirects = 0) {
+  const timeout = options.timeout || 15000;
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, {
+      headers: {
+        'User-Agent': options.userAgent || DEFAULT_USER_AGENT,
+        'Accept-Encoding': 'gzip'
+      },
+      timeout: timeout
+    }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error(`Too many redirects for ${url}`));
+        }
+        const nextUrl = new URL(res.headers.location, url).toString();
+        if (options.siteUrl && !isSameSite(nextUrl, options.siteUrl)) {
+          return reject(new Error(`Redirect from ${url} to another site (${nextUrl}) not followed`));
+        }
+        return resolve(fetchText(nextUrl, options, redirects + 1));
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          req.destroy(new Error(`Response too large for ${url}`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        let body = Buffer.concat(chunks);
+        try {
+          // gzip magic bytes - covers both Content-Encoding and .xml.gz files
+          if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+            body = zlib.gunzipSync(body);
+          }
+        } catch (error) {
+          return reject(new Error(`Failed to decompress ${url}: ${error.message}`));
+        }
+        resolve({ url: url, status: res.statusCode, body: body.toString('utf8') });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request timed out for ${url}`)));
+    req.on('error', reject);
+  });
+}
+
+// Turn a robots.txt path pattern (with * and $) into a RegExp
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+class RobotsRules {
+  constructor(text = '') {
+    this.groups = [];
+    this.sitemaps = [];
+    this.parse(text);
+  }
+
+  parse(text) {
+    let current = null;
+    let lastWasAgent = false;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+      if (!match) return;
+
+      const field = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (field === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+        return;
+      }
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!current || !lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          this.groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+      if (!current) return;
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means everything is allowed
+        if (!value) return;
+        current.rules.push({
+          type: field,
+          path: value,
+          regex: robotsPatternToRegExp(value)
+        });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay)) current.crawlDelay = delay;
+      }
+    });
+  }
+
+  // Most specific matching group wins, falling back to "*"
+  getGroup(userAgent = DEFAULT_USER_AGENT) {
+    const agent = userAgent.toLowerCase();
+    let best = null;
+    let bestLength = -1;
+
+    this.groups.forEach(group => {
+      group.agents.forEach(name => {
+        if (name !== '*' && agent.includes(name) && name.length > bestLength) {
+          best = group;
+          bestLength = name.length;
+        }
+      });
+    });
+
+    return best || this.groups.find(group => group.agents.includes('*')) || null;
+  }
+
+  // Returns the rule that blocks the URL, or null when it may be fetched
+  getBlockingRule(url, userAgent) {
+    const group = this.getGroup(userAgent);
+    if (!group) return null;
+
+    const urlObj = new URL(url);
+    const path = urlObj.pathname + urlObj.search;
+    let match = null;
+
+    // Longest matching rule wins; Allow wins ties
+    group.rules.forEach(rule => {
+      if (!rule.regex.test(path)) return;
+      if (!match ||
+          rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.type === 'allow')) {
+        match = rule;
+      }
+    });
+
+    return match && match.type === 'disallow' ? match : null;
+  }
+
+  isAllowed(url, userAgent) {
+    return this.getBlockingRule(url, userAgent) === null;
+  }
+
+  getCrawlDelay(userAgent) {
+    const group = this.getGroup(userAgent);
+    return group ? group.crawlDelay : null;
+  }
+}
+
+// Pull <loc>/<lastmod> entries out of a <urlset> or <sitemapindex>
+function parseSitemap(xml) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const entryTag = isIndex ? 'sitemap' : 'url';
+  const entryRegex = new RegExp(`<${entryTag}[\\s>][\\s\\S]*?</${entryTag}>`, 'gi');
+  const decode = (value) => value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .trim();
+
+  const entries = (xml.match(entryRegex) || []).map(block => {
+    const loc = block.match(/<loc>([\s\S]*?)<\/loc>/i);
+    const lastmod = block.match(/<lastmod>([\s\S]*?)<\/lastmod>/i);
+    return {
+      loc: loc ? decode(loc[1]) : null,
+      lastmod: lastmod ? decode(lastmod[1]) : null
+    };
+  }).filter(entry => entry.loc);
+
+  return { type: isIndex ? 'index' : 'urlset', entries: entries };
+}
+
+// Patterns are regular expression sources (or RegExp objects)
+function toRegExps(patterns) {
+  if (!patterns) return [];
+  return (Array.isArray(patterns) ? patterns : [patterns])
+    .filter(Boolean)
+    .map(pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i'));
+}
+
+class SiteDiscovery {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.timeout = options.timeout || 15000;
+    this.include = toRegExps(options.include);
+    this.exclude = toRegExps(options.exclude);
+    this.respectRobots = options.respectRobots !== false;
+    this.maxUrls = options.maxUrls || 1000;
+    this.verbose = options.verbose || false;
+    this.maxCrawlDelay = options.maxCrawlDelay || MAX_CRAWL_DELAY;
+    this.robots = null;
+  }
+
+  log(message) {
+    if (this.verbose) {
+      console.log(`[DISCOVERY] ${message}`);
+    }
+  }
+
+  async fetchRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      // Rules and Sitemap: lines from another host would apply that host's policy to this site
+      const response = await fetchText(robotsUrl, { userAgent: this.userAgent, timeout: this.timeout, siteUrl: origin });
+      if (response.status >= 400) {
+        this.log(`No robots.txt at ${robotsUrl} (HTTP ${response.status})`);
+        this.robots = new RobotsRules('');
+        return { url: robotsUrl, found: false, status: response.status };
+      }
+      this.robots = new RobotsRules(response.body);
+      this.log(`Loaded robots.txt with ${this.robots.groups.length} groups`);
+      return { url: robotsUrl, found: true, status: response.status };
+    } catch (error) {
+      this.robots = new RobotsRules('');
+      return { url: robotsUrl, found: false, error: error.message };
+    }
+  }
+
+  matchesFilters(url) {
+    if (this.include.length > 0 && !this.include.some(regex => regex.test(url))) {
+      return 'include';
+    }
+    if (this.exclude.some(regex => regex.test(url))) {
+      return 'exclude';
+    }
+    return null;
+  }
+
+  // Returns { allowed: bool, reason, rule } for a single candidate URL
+  checkUrl(url) {
+    const filterReason = this.matchesFilters(url);
+    if (filterReason) {
+      return { allowed: false, reason: filterReason === 'include' ? 'not-included' : 'excluded' };
+    }
+    if (this.respectRobots && this.robots) {
+      const rule = this.robots.getBlockingRule(url, this.userAgent);
+      if (rule) {
+        return { allowed: false, reason: 'robots', rule: `Disallow: ${rule.path}` };
+      }
+    }
+    return { allowed: true };
+  }
+
+  // The delay robots.txt asks for, in seconds, before clamping
+  getRequestedCrawlDelay() {
+    if (!this.respectRobots || !this.robots) return null;
+    const delay = this.robots.getCrawlDelay(this.userAgent);
+    return delay !== null && delay > 0 ? delay : null;
+  }
+
+  getCrawlDelay() {
+    const delay = this.getRequestedCrawlDelay();
+    return delay === null ? null : Math.min(delay, this.maxCrawlDelay);
+  }
+
+  // Only sitemaps on the site being discovered are fetched: sitemap indexes and robots.txt
+  // come from the site, and following them to other hosts would let a caller of /api/discover
+  // make this server request arbitrary addresses
+  async collectSitemapUrls(sitemapUrls, errors, siteUrl) {
+    const queue = [...sitemapUrls];
+    const visited = new Set();
+    const fetched = [];
+    const entries = [];
+
+    while (queue.length > 0 && visited.size < MAX_SITEMAPS && entries.length < this.maxUrls) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+
+      if (siteUrl && !isSameSite(sitemapUrl, siteUrl)) {
+        errors.push({ url: sitemapUrl, message: 'Sitemap on another site not fetched' });
+        continue;
+      }
+
+      try {
+        const response = await fetchText(sitemapUrl, { userAgent: this.userAgent, timeout: this.timeout, siteUrl });
+        if (response.status >= 400) {
+          errors.push({ url: sitemapUrl, message: `HTTP ${response.status}` });
+          continue;
+        }
+
+        const sitemap = parseSitemap(response.body);
+        fetched.push({ url: sitemapUrl, type: sitemap.type, entries: sitemap.entries.length });
+        this.log(`Sitemap ${sitemapUrl}: ${sitemap.type} with ${sitemap.entries.length} entries`);
+
+        if (sitemap.type === 'index') {
+          queue.push(...sitemap.entries.map(entry => entry.loc));
+        } else {
+          entries.push(...sitemap.entries);
+        }
+      } catch (error) {
+        errors.push({ url: sitemapUrl, message: error.message });
+      }
+    }
+
+    return { fetched, entries: entries.slice(0, this.maxUrls) };
+  }
+
+  async discover(siteUrl) {
+    const origin = new URL(siteUrl).origin;
+    const errors = [];
+
+    const robots = await this.fetchRobots(origin);
+    const sitemapUrls = this.robots.sitemaps.length > 0
+      ? this.robots.sitemaps
+      : [`${origin}/sitemap.xml`];
+
+    const { fetched, entries } = await this.collectSitemapUrls(sitemapUrls, errors, siteUrl);
+
+    const urls = [];
+    const skipped = [];
+    const filtered = [];
+    const seen = new Set();
+
+    entries.forEach(entry => {
+      if (seen.has(entry.loc)) return;
+      seen.add(entry.loc);
+
+      // Sitemaps may legally list other hosts; we only scrape our own (with or without www.)
+      if (!isSameSite(entry.loc, origin)) {
+        filtered.push({ url: entry.loc, reason: 'other-origin' });
+        return;
+      }
+
+      const check = this.checkUrl(entry.loc);
+      if (check.allowed) {
+        urls.push({ url: entry.loc, lastmod: entry.lastmod });
+      } else if (check.reason === 'robots') {
+        skipped.push({ url: entry.loc, reason: check.reason, rule: check.rule });
+      } else {
+        filtered.push({ url: entry.loc, reason: check.reason });
+      }
+    });
+
+    return {
+      siteUrl: siteUrl,
+      discoveredAt: new Date().toISOString(),
+      robots: {
+        ...robots,
+        crawlDelay: this.getCrawlDelay(),
+        requestedCrawlDelay: this.getRequestedCrawlDelay(),
+        sitemaps: this.robots.sitemaps
+      },
+      sitemaps: fetched,
+      urls: urls,
+      skipped: skipped,
+      filtered: filtered,
+      errors: errors
+    };
+  }
+}
+
+module.exports = { SiteDiscovery, RobotsRules, parseSitemap, fetchText, isSameSite, MAX_CRAWL_DELAY };
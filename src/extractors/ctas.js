@@ -0,0 +1,237 @@
+// src/extractors/ctas.js
+const { PAGE_HELPERS } = require('./sections');
+const { DEVICE_PROFILES } = require('../devices');
+
+// Set on every CTA so its position can be measured again after the viewport changes
+const CTA_ATTRIBUTE = 'data-scraper-cta';
+
+// Smallest comfortable touch target (WCAG 2.5.5, Apple HIG)
+const MIN_TARGET_SIZE = 44;
+
+const BOOKING_HOSTS = /calendly\.com|housecallpro\.com|getjobber\.com|jobber\.com|servicetitan\.com|acuityscheduling\.com|setmore\.com|squareup\.com\/appointments|square\.site|booksy\.com|schedulicity\.com|youcanbook\.me|simplybook\.me|vagaro\.com|workiz\.com|markate\.com/i;
+const BOOKING_TEXT = /\b(book|schedule|reserve|appointment|get (?:a |my |your )?(?:free )?(?:quote|estimate)|free (?:quote|estimate)|request (?:a |an )?(?:quote|estimate|pickup|pick-up))\b/i;
+const BOOKING_PATH = /\/(book|booking|schedule|appointments?|reserve|quote|estimate)(?:[/?#-]|$)/i;
+
+async function collectCtas(page) {
+  return page.evaluate((helpers, ctaAttribute, bookingHosts, bookingText, bookingPath) => {
+    const { sectionOf, isPinned } = window[helpers];
+
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const textOf = (element) => clean(element.innerText || element.textContent) ||
+      clean(element.getAttribute('aria-label') || element.getAttribute('title') || element.value) ||
+      clean((element.querySelector('img[alt]') || { alt: '' }).alt);
+
+    const regionOf = (element) => {
+      if (element.closest('nav, [role="navigation"]')) return 'nav';
+      if (element.closest('header, [role="banner"], #header, .header, .site-header')) return 'header';
+      if (element.closest('footer, [role="contentinfo"], #footer, .footer, .site-footer')) return 'footer';
+      return 'main';
+    };
+
+    // Accordion, carousel and menu toggles are buttons but not calls to action
+    const isToggle = (element) => element.hasAttribute('aria-expanded') || element.hasAttribute('aria-controls') ||
+      /slick|swiper|carousel|slider|owl-|close|toggle|hamburger|menu/i.test(element.getAttribute('class') || '');
+
+    const BOOKING_HOSTS = new RegExp(bookingHosts, 'i');
+    const BOOKING_TEXT = new RegExp(bookingText, 'i');
+    const BOOKING_PATH = new RegExp(bookingPath, 'i');
+    const candidates = Array.from(document.querySelectorAll(
+      'a[href], button, input[type="submit"], input[type="button"], [role="button"]'
+    )).filter(element => {
+      const href = (element.getAttribute('href') || '').trim();
+      if (/^(tel|sms|mailto):/i.test(href)) return true;
+      if (isToggle(element) || !textOf(element)) return false;
+      if (element.tagName !== 'A') return true;
+      // Plain links count only when styled as buttons or leading to a booking page
+      return /\b(btn|button|cta)/i.test(element.getAttribute('class') || '') ||
+        BOOKING_HOSTS.test(href) || BOOKING_PATH.test(href) || BOOKING_TEXT.test(textOf(element));
+    });
+    // Keep the outermost element when a link wraps a button
+    const ctas = candidates.filter(element => !candidates.some(other => other !== element && other.contains(element)));
+
+    return ctas.map((element, index) => {
+      element.setAttribute(ctaAttribute, String(index));
+      const style = window.getComputedStyle(element);
+      const form = element.closest('form');
+      const isSubmit = !!form && (element.type === 'submit' || (element.tagName === 'BUTTON' && !element.getAttribute('type')));
+      return {
+        index: index,
+        tag: element.tagName.toLowerCase(),
+        text: textOf(element),
+        rawHref: element.getAttribute('href'),
+        href: element.href || null,
+        formAction: isSubmit ? (form.action || location.href) : null,
+        target: element.getAttribute('target') || null,
+        backgroundColor: style.backgroundColor,
+        color: style.color,
+        fontSize: style.fontSize,
+        region: regionOf(element),
+        sticky: isPinned(element),
+        sectionId: sectionOf(element)
+      };
+    });
+  }, PAGE_HELPERS, CTA_ATTRIBUTE, BOOKING_HOSTS.source, BOOKING_TEXT.source, BOOKING_PATH.source);
+}
+
+// Box and visibility of every marked CTA at the current viewport
+async function measureCtas(page) {
+  return page.evaluate(async (helpers, ctaAttribute) => {
+    // Let responsive layout settle after a resize
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    const { isPinned } = window[helpers];
+    const boxes = {};
+    document.querySelectorAll(`[${ctaAttribute}]`).forEach(element => {
+      const rect = element.getBoundingClientRect();
+      const style = window.getComputedStyle(element);
+      // Fixed bars stay in the viewport, so their top is measured from the viewport rather than the document
+      const fixed = isPinned(element);
+      boxes[element.getAttribute(ctaAttribute)] = {
+        top: Math.round(fixed ? rect.top : rect.top + window.scrollY),
+        left: Math.round(rect.left + window.scrollX),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        visible: style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0' &&
+          rect.width > 0 && rect.height > 0
+      };
+    });
+    return { boxes, viewportHeight: window.innerHeight };
+  }, PAGE_HELPERS, CTA_ATTRIBUTE);
+}
+
+// Re-measure at every device profile's size. Only width and height change: switching isMobile or
+// hasTouch would make Puppeteer reload the page and lose inline HTML and any page state. The other
+// sizes are therefore approximations: the user agent and hover/pointer media queries stay those of
+// the scraped device, so sites that sniff either still show that device's layout.
+async function measureAtViewports(page, device) {
+  const original = page.viewport();
+  const byDevice = {};
+  if (!original) {
+    byDevice[device] = await measureCtas(page);
+    return byDevice;
+  }
+  try {
+    for (const profile of Object.values(DEVICE_PROFILES)) {
+      await page.setViewport({ ...original, width: profile.viewport.width, height: profile.viewport.height });
+      byDevice[profile.name] = await measureCtas(page);
+    }
+  } finally {
+    await page.setViewport(original);
+  }
+  return byDevice;
+}
+
+// Later extractors and the html output should see the page without our markers
+async function unmarkCtas(page) {
+  await page.evaluate((ctaAttribute) => {
+    document.querySelectorAll(`[${ctaAttribute}]`).forEach(element => element.removeAttribute(ctaAttribute));
+  }, CTA_ATTRIBUTE);
+}
+
+// Helper to turn "rgb(255, 87, 34)" into "#ff5722"; fully transparent colours become null
+function toHex(color) {
+  const match = (color || '').match(/rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)(?:[,\s/]+([\d.]+))?/);
+  if (!match) return color || null;
+  if (match[4] !== undefined && parseFloat(match[4]) === 0) return null;
+  return '#' + match.slice(1, 4).map(value => parseInt(value, 10).toString(16).padStart(2, '0')).join('');
+}
+
+function ctaKind(cta) {
+  const href = (cta.rawHref || '').trim();
+  if (/^tel:/i.test(href)) return 'call';
+  if (/^sms:/i.test(href)) return 'text';
+  if (/^mailto:/i.test(href)) return 'email';
+  if (BOOKING_HOSTS.test(href) || BOOKING_PATH.test(href) || BOOKING_TEXT.test(cta.text)) return 'booking';
+  if (cta.formAction) return 'submit';
+  return 'button';
+}
+
+// Size and position are reported for the device the page was scraped as; visibility and
+// above-the-fold for every measured viewport
+function analyzeCtas(raw, measurements, sections = [], device = 'desktop') {
+  const sectionTypes = new Map(sections.map(section => [section.sectionId, section.sectionType]));
+  const devices = Object.keys(measurements);
+  const current = measurements[device] ? device : devices[0];
+
+  const items = raw.map(cta => {
+    const boxes = {};
+    const aboveFold = {};
+    devices.forEach(name => {
+      const measured = measurements[name].boxes[cta.index] || null;
+      boxes[name] = measured;
+      aboveFold[name] = !!measured && measured.visible && measured.top < measurements[name].viewportHeight;
+    });
+    const box = boxes[current] || { top: 0, left: 0, width: 0, height: 0, visible: false };
+
+    const href = (cta.rawHref || '').trim();
+    return {
+      kind: ctaKind(cta),
+      text: cta.text,
+      destination: /^(tel|sms|mailto):/i.test(href) ? href : (cta.href || cta.formAction || null),
+      tag: cta.tag,
+      size: { width: box.width, height: box.height },
+      smallTarget: box.visible && (box.width < MIN_TARGET_SIZE || box.height < MIN_TARGET_SIZE),
+      backgroundColor: toHex(cta.backgroundColor),
+      color: toHex(cta.color),
+      fontSize: cta.fontSize,
+      position: { top: box.top, left: box.left },
+      // Visible on at least one viewport; some sites show a sticky call button on mobile only
+      visible: devices.some(name => !!boxes[name] && boxes[name].visible),
+      aboveFold: aboveFold,
+      sticky: cta.sticky,
+      region: cta.region,
+      opensNewTab: cta.target === '_blank',
+      sectionId: cta.sectionId,
+      sectionType: sectionTypes.get(cta.sectionId) || null
+    };
+  });
+
+  const count = (predicate) => items.filter(predicate).length;
+  const byKind = {};
+  const bySection = {};
+  items.forEach(item => {
+    byKind[item.kind] = (byKind[item.kind] || 0) + 1;
+    if (item.sectionId) bySection[item.sectionId] = (bySection[item.sectionId] || 0) + 1;
+  });
+  const aboveFold = {};
+  const firstCtaTop = {};
+  devices.forEach(name => {
+    aboveFold[name] = count(item => item.aboveFold[name]);
+    const tops = raw
+      .map(cta => measurements[name].boxes[cta.index])
+      .filter(box => box && box.visible)
+      .map(box => box.top);
+    firstCtaTop[name] = tops.length > 0 ? Math.min(...tops) : null;
+  });
+  const words = sections.reduce((total, section) => total + (section.text || '').split(/\s+/).filter(Boolean).length, 0);
+
+  const summary = {
+    total: items.length,
+    visible: count(item => item.visible),
+    byKind: byKind,
+    aboveFold: aboveFold,
+    firstCtaTop: firstCtaTop,
+    bySection: bySection,
+    sectionsWithCta: Object.keys(bySection).length,
+    sections: sections.length,
+    perThousandWords: words > 0 ? Math.round(count(item => item.visible) / words * 10000) / 10 : null,
+    uniqueTexts: new Set(items.map(item => item.text.toLowerCase())).size,
+    smallTargets: count(item => item.smallTarget),
+    sticky: count(item => item.sticky),
+    // Viewports measured by resizing the scraped page rather than loading it as that device
+    widthOnlyViewports: devices.filter(name => name !== current)
+  };
+
+  return { summary, items };
+}
+
+async function extractCtas(page, results) {
+  try {
+    const raw = await collectCtas(page);
+    const measurements = await measureAtViewports(page, results.device);
+    return { ctaInventory: analyzeCtas(raw, measurements, results.sections, results.device) };
+  } finally {
+    await unmarkCtas(page);
+  }
+}
+
+module.exports = { extractCtas, analyzeCtas, toHex };
@@ -0,0 +1,239 @@
+// src/extractors/faq.js
+const { PAGE_HELPERS } = require('./sections');
+
+// Answers longer than this are usually a whole page section swallowed by a loose container match
+const MAX_ANSWER_LENGTH = 3000;
+
+// Set on every accordion this extractor opened, so it can be closed again afterwards
+const EXPANDED_ATTRIBUTE = 'data-scraper-expanded';
+
+// Time for opened accordions to render (or fetch) their answers
+const EXPAND_WAIT = 1000;
+
+// Open collapsed <details> and ARIA accordion toggles; many JS accordions only insert the answer on click
+async function expandAccordions(page) {
+  return page.evaluate((attribute) => {
+    let expanded = 0;
+    document.querySelectorAll('details:not([open])').forEach(details => {
+      details.setAttribute(attribute, 'details');
+      details.open = true;
+      expanded++;
+    });
+    document.querySelectorAll('[aria-expanded="false"]').forEach(toggle => {
+      // Menus, dropdowns and anything that would navigate or submit stay as they are
+      if (toggle.closest('nav, header, [role="navigation"], [role="menubar"], [role="combobox"]')) return;
+      const href = toggle.getAttribute('href');
+      if (toggle.tagName === 'A' && href && !href.startsWith('#')) return;
+      if (toggle.form && toggle.type === 'submit') return;
+      toggle.setAttribute(attribute, 'toggle');
+      toggle.click();
+      expanded++;
+    });
+    return expanded;
+  }, EXPANDED_ATTRIBUTE);
+}
+
+// Close what expandAccordions opened and drop its markers, leaving the page as it loaded
+async function restoreAccordions(page) {
+  await page.evaluate((attribute) => {
+    document.querySelectorAll(`[${attribute}]`).forEach(element => {
+      if (element.getAttribute(attribute) === 'details') {
+        element.open = false;
+      } else if (element.getAttribute('aria-expanded') === 'true') {
+        element.click();
+      }
+      element.removeAttribute(attribute);
+    });
+  }, EXPANDED_ATTRIBUTE);
+}
+
+async function collectFaq(page) {
+  return page.evaluate((helpers, attribute) => {
+    const { sectionOf } = window[helpers];
+
+    // textContent, unlike innerText, still reads collapsed panels
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const isHidden = (element) => {
+      const style = window.getComputedStyle(element);
+      return style.display === 'none' || style.visibility === 'hidden' || element.offsetHeight === 0 ||
+        element.getAttribute('aria-hidden') === 'true' || element.hasAttribute('hidden');
+    };
+    // Opened by expandAccordions, so its answer was hidden when the page loaded
+    const wasOpened = (element) => element.hasAttribute(attribute) || !!element.querySelector(`[${attribute}]`);
+
+    const pairs = [];
+    const used = new Set();
+    const addPair = (questionElement, answerElement, answerText, source, wasHidden) => {
+      if (used.has(questionElement)) return;
+      const question = clean(questionElement.textContent);
+      const answer = clean(answerText !== undefined ? answerText : answerElement.textContent);
+      if (!question || !answer || question === answer) return;
+      used.add(questionElement);
+      if (answerElement) used.add(answerElement);
+      pairs.push({
+        question,
+        answer,
+        source,
+        wasHidden: wasHidden !== undefined
+          ? wasHidden
+          : wasOpened(questionElement) || (answerElement ? isHidden(answerElement) : false),
+        sectionId: sectionOf(questionElement)
+      });
+    };
+
+    // <details><summary>Question</summary>Answer</details>
+    document.querySelectorAll('details').forEach(details => {
+      const summary = details.querySelector('summary');
+      if (!summary) return;
+      const answer = Array.from(details.childNodes)
+        .filter(node => node !== summary)
+        .map(node => node.textContent)
+        .join(' ');
+      addPair(summary, null, answer, 'details', !details.open || details.hasAttribute(attribute));
+    });
+
+    // ARIA accordions: a toggle with aria-controls pointing at its panel
+    document.querySelectorAll('[aria-controls][aria-expanded]').forEach(toggle => {
+      const panel = document.getElementById(toggle.getAttribute('aria-controls'));
+      if (panel && !panel.contains(toggle)) addPair(toggle, panel, undefined, 'accordion');
+    });
+
+    // Class-named pairs used by page builders (Bootstrap, Elementor, Divi, WordPress FAQ plugins)
+    const QUESTION_CLASS = /(^|[-_\s])(question|faq[-_]?q|faq[-_]?title|faq[-_]?question|accordion[-_]?(title|header|heading|button|toggle)|toggle[-_]?title|tab[-_]?title)([-_\s]|$)/i;
+    const ANSWER_CLASS = /(^|[-_\s])(answer|faq[-_]?a|faq[-_]?content|faq[-_]?answer|accordion[-_]?(content|body|panel|collapse)|toggle[-_]?content|tab[-_]?content|collapse)([-_\s]|$)/i;
+    document.querySelectorAll('[class]').forEach(element => {
+      if (used.has(element) || !QUESTION_CLASS.test(element.getAttribute('class'))) return;
+      if (element.parentElement && used.has(element.parentElement)) return;
+      let answer = element.nextElementSibling;
+      while (answer && !ANSWER_CLASS.test(answer.getAttribute('class') || '')) {
+        answer = QUESTION_CLASS.test(answer.getAttribute('class') || '') ? null : answer.nextElementSibling;
+      }
+      if (!answer && element.parentElement) {
+        const parentAnswer = element.parentElement.nextElementSibling;
+        if (parentAnswer && ANSWER_CLASS.test(parentAnswer.getAttribute('class') || '')) answer = parentAnswer;
+      }
+      if (answer) addPair(element, answer, undefined, 'faq-markup');
+    });
+
+    // Definition lists
+    document.querySelectorAll('dl').forEach(list => {
+      list.querySelectorAll('dt').forEach(term => {
+        const definition = term.nextElementSibling;
+        if (definition && definition.tagName === 'DD' && /\?\s*$/.test(term.textContent)) {
+          addPair(term, definition, undefined, 'definition-list');
+        }
+      });
+    });
+
+    // Plain FAQ blocks: question headings inside an FAQ container, answered by what follows them
+    const containers = Array.from(document.querySelectorAll('[id*="faq" i], [class*="faq" i], section, article'))
+      .filter(container => /faq|frequently asked|common questions/i.test(
+        `${container.id} ${container.getAttribute('class') || ''} ${clean((container.querySelector('h1, h2, h3') || {}).textContent)}`
+      ));
+    const isQuestion = (element) => {
+      const text = clean(element.textContent);
+      return text.length <= 200 && /\?$/.test(text);
+    };
+    containers.forEach(container => {
+      container.querySelectorAll('h2, h3, h4, h5, h6, strong, b, p').forEach(candidate => {
+        if (used.has(candidate) || !isQuestion(candidate)) return;
+        const block = candidate.tagName === 'STRONG' || candidate.tagName === 'B' ? candidate.parentElement : candidate;
+        if (block !== candidate && clean(block.textContent) !== clean(candidate.textContent)) {
+          // "<p><strong>Question?</strong> Answer</p>"
+          addPair(candidate, null, clean(block.textContent).substring(clean(candidate.textContent).length), 'heading');
+          return;
+        }
+        const parts = [];
+        let next = block.nextElementSibling;
+        while (next && !/^H[1-6]$/.test(next.tagName) && !isQuestion(next)) {
+          parts.push(next.textContent);
+          next = next.nextElementSibling;
+        }
+        if (parts.length > 0) addPair(candidate, null, parts.join(' '), 'heading');
+      });
+    });
+
+    return pairs;
+  }, PAGE_HELPERS, EXPANDED_ATTRIBUTE);
+}
+
+const normalizeQuestion = (text) => text.toLowerCase().replace(/^(q[:.]|\d+[.)])\s*/, '').replace(/[^a-z0-9]/g, '');
+
+// Questions already published as FAQPage schema on the page
+function schemaQuestions(structuredData = []) {
+  return structuredData
+    .filter(entry => entry.types && entry.types.includes('FAQPage') && entry.data)
+    .flatMap(entry => [].concat(entry.data.mainEntity || []))
+    .filter(question => question && typeof question.name === 'string')
+    .map(question => question.name.trim());
+}
+
+// Ready to paste into <script type="application/ld+json">
+function buildFaqJsonLd(items) {
+  if (items.length === 0) return null;
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: items.map(item => ({
+      '@type': 'Question',
+      name: item.question,
+      acceptedAnswer: { '@type': 'Answer', text: item.answer }
+    }))
+  };
+}
+
+function analyzeFaq(pairs, structuredData) {
+  const items = [];
+  const byQuestion = new Map();
+
+  pairs.forEach(pair => {
+    const key = normalizeQuestion(pair.question);
+    if (!key || byQuestion.has(key)) return;
+    const item = {
+      question: pair.question.replace(/^(Q[:.]|\d+[.)])\s*/, ''),
+      answer: pair.answer.replace(/^A[:.]\s*/, '').substring(0, MAX_ANSWER_LENGTH),
+      source: pair.source,
+      wasHidden: pair.wasHidden,
+      sectionId: pair.sectionId,
+      inSchema: false
+    };
+    byQuestion.set(key, item);
+    items.push(item);
+  });
+
+  const schema = schemaQuestions(structuredData);
+  const missingFromPage = [];
+  schema.forEach(question => {
+    const item = byQuestion.get(normalizeQuestion(question));
+    if (item) {
+      item.inSchema = true;
+    } else {
+      missingFromPage.push(question);
+    }
+  });
+
+  return {
+    items: items,
+    summary: {
+      questions: items.length,
+      hiddenAnswers: items.filter(item => item.wasHidden).length,
+      inSchema: items.filter(item => item.inSchema).length,
+      notInSchema: items.filter(item => !item.inSchema).length,
+      // Google expects FAQPage questions to be visible on the page
+      schemaOnly: missingFromPage
+    },
+    jsonLd: buildFaqJsonLd(items)
+  };
+}
+
+async function extractFaq(page, results) {
+  const expanded = await expandAccordions(page);
+  try {
+    if (expanded > 0) await page.waitForTimeout(EXPAND_WAIT);
+    return { faq: analyzeFaq(await collectFaq(page), results.structuredData) };
+  } finally {
+    if (expanded > 0) await restoreAccordions(page);
+  }
+}
+
+module.exports = { extractFaq, analyzeFaq, buildFaqJsonLd };
@@ -0,0 +1,325 @@
+// src/extractors/forms.js
+const { PAGE_HELPERS } = require('./sections');
+
+// Form builders and field-service platforms, matched against iframe src, form action and class names
+const PROVIDERS = [
+  { name: 'jotform', pattern: /jotform\.com|jotform/i },
+  { name: 'typeform', pattern: /typeform\.com/i },
+  { name: 'google-forms', pattern: /docs\.google\.com\/forms|forms\.gle/i },
+  { name: 'hubspot', pattern: /hsforms\.(com|net)|hs-form/i },
+  { name: 'wufoo', pattern: /wufoo\.com/i },
+  { name: 'formstack', pattern: /formstack\.com/i },
+  { name: 'cognito', pattern: /cognitoforms\.com/i },
+  { name: 'zoho', pattern: /forms\.zohopublic\.com|zoho\.com\/forms/i },
+  { name: 'paperform', pattern: /paperform\.co/i },
+  { name: 'formspree', pattern: /formspree\.io/i },
+  { name: 'mailchimp', pattern: /list-manage\.com|mailchimp|mc4wp/i },
+  { name: 'housecall-pro', pattern: /housecallpro\.com/i },
+  { name: 'jobber', pattern: /getjobber\.com|clienthub\.getjobber/i },
+  { name: 'servicetitan', pattern: /servicetitan\.com/i },
+  { name: 'workiz', pattern: /workiz\.com/i },
+  { name: 'calendly', pattern: /calendly\.com/i },
+  { name: 'acuity', pattern: /acuityscheduling\.com/i },
+  { name: 'gravity-forms', pattern: /(^|\s)gform/i },
+  { name: 'contact-form-7', pattern: /wpcf7/i },
+  { name: 'wpforms', pattern: /wpforms/i },
+  { name: 'elementor', pattern: /elementor-form/i }
+];
+
+// Scheduling tools are booking forms whatever their wording says
+const BOOKING_PROVIDERS = ['calendly', 'acuity'];
+
+const PURPOSE_KEYWORDS = {
+  quote: /\b(quote|estimate|pricing|price|what needs to go|items? to remove|load size|how much)\b/gi,
+  booking: /\b(book|booking|schedule|appointment|pick-?up date|preferred (date|time)|available (date|time)s?)\b/gi,
+  contact: /\b(contact|message|get in touch|questions?|comments?|reach out|how can we help)\b/gi,
+  newsletter: /\b(newsletter|subscribe|sign up for|mailing list|updates|deals|coupons)\b/gi
+};
+
+// Ties go to the first purpose: lead forms matter more than newsletters
+const PURPOSE_ORDER = ['quote', 'booking', 'contact', 'newsletter'];
+
+// What the visitor reads (heading, title, submit button) outweighs markup and field names
+const PROMINENT_WEIGHT = 3;
+
+async function collectForms(page) {
+  return page.evaluate((helpers) => {
+    const { sectionOf } = window[helpers];
+
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const isVisible = (element) => {
+      const style = window.getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+    };
+
+    // The heading a visitor reads above the form: inside it, or just before it within a few ancestors
+    const headingOf = (element) => {
+      const inside = element.querySelector('h1, h2, h3, h4, h5, h6, legend');
+      if (inside) return clean(inside.textContent);
+      let current = element;
+      for (let depth = 0; current && depth < 4; depth++, current = current.parentElement) {
+        let sibling = current.previousElementSibling;
+        while (sibling) {
+          if (/^H[1-6]$/.test(sibling.tagName)) return clean(sibling.textContent);
+          const nested = sibling.querySelector('h1, h2, h3, h4, h5, h6');
+          if (nested) return clean(nested.textContent);
+          sibling = sibling.previousElementSibling;
+        }
+      }
+      return null;
+    };
+
+    // Label text and where it came from: <label>, ARIA, then placeholder as a last resort
+    const labelOf = (field) => {
+      if (field.labels && field.labels.length > 0) {
+        const label = field.labels[0].cloneNode(true);
+        label.querySelectorAll('input, select, textarea, option').forEach(child => child.remove());
+        const text = clean(label.textContent);
+        if (text) return { label: text, labelSource: 'label' };
+      }
+      const labelledBy = (field.getAttribute('aria-labelledby') || '').split(/\s+/)
+        .map(id => document.getElementById(id))
+        .filter(Boolean)
+        .map(element => clean(element.textContent))
+        .join(' ');
+      if (labelledBy) return { label: labelledBy, labelSource: 'aria-labelledby' };
+      if (field.getAttribute('aria-label')) return { label: clean(field.getAttribute('aria-label')), labelSource: 'aria-label' };
+      if (field.getAttribute('placeholder')) return { label: clean(field.getAttribute('placeholder')), labelSource: 'placeholder' };
+      if (field.getAttribute('title')) return { label: clean(field.getAttribute('title')), labelSource: 'title' };
+      return { label: null, labelSource: null };
+    };
+
+    const forms = Array.from(document.querySelectorAll('form')).map(form => {
+      const fields = [];
+      const groups = new Map();
+      let hiddenFields = 0;
+
+      form.querySelectorAll('input, select, textarea').forEach(field => {
+        const type = field.tagName === 'INPUT' ? (field.getAttribute('type') || 'text').toLowerCase()
+          : field.tagName === 'SELECT' ? (field.multiple ? 'select-multiple' : 'select') : 'textarea';
+        if (['submit', 'button', 'reset', 'image'].includes(type)) return;
+        if (type === 'hidden') {
+          hiddenFields++;
+          return;
+        }
+
+        const required = field.required || field.getAttribute('aria-required') === 'true';
+        // Radio buttons and checkbox lists sharing a name are one question
+        if ((type === 'radio' || type === 'checkbox') && field.name && form.querySelectorAll(`[name="${CSS.escape(field.name)}"]`).length > 1) {
+          if (!groups.has(field.name)) {
+            const fieldset = field.closest('fieldset');
+            const legend = fieldset && fieldset.querySelector('legend');
+            const group = {
+              tag: 'input',
+              type: type,
+              name: field.name,
+              label: legend ? clean(legend.textContent) : null,
+              labelSource: legend ? 'legend' : null,
+              placeholder: null,
+              required: false,
+              options: [],
+              visible: false
+            };
+            groups.set(field.name, group);
+            fields.push(group);
+          }
+          const group = groups.get(field.name);
+          group.options.push(labelOf(field).label || field.value);
+          group.required = group.required || required;
+          group.visible = group.visible || isVisible(field);
+          return;
+        }
+
+        fields.push({
+          tag: field.tagName.toLowerCase(),
+          type: type,
+          name: field.getAttribute('name') || field.id || null,
+          ...labelOf(field),
+          placeholder: field.getAttribute('placeholder') || null,
+          required: required,
+          options: field.tagName === 'SELECT'
+            ? Array.from(field.options).map(option => clean(option.textContent)).filter(Boolean).slice(0, 50)
+            : null,
+          visible: isVisible(field)
+        });
+      });
+
+      const submit = form.querySelector('button[type="submit"], input[type="submit"], input[type="image"], button:not([type])');
+      return {
+        id: form.id || null,
+        name: form.getAttribute('name') || null,
+        className: form.getAttribute('class') || '',
+        action: form.getAttribute('action') ? form.action : null,
+        method: (form.getAttribute('method') || 'get').toLowerCase(),
+        heading: headingOf(form),
+        fields: fields,
+        hiddenFields: hiddenFields,
+        submitText: submit ? clean(submit.innerText || submit.value || submit.getAttribute('alt') || submit.getAttribute('aria-label')) || null : null,
+        captcha: !!form.querySelector('.g-recaptcha, .h-captcha, .cf-turnstile, [data-sitekey], iframe[src*="recaptcha"], iframe[src*="hcaptcha"]'),
+        visible: isVisible(form),
+        sectionId: sectionOf(form)
+      };
+    });
+
+    // Cross-origin widgets cannot be read, so only where they are and who serves them is known
+    const iframes = Array.from(document.querySelectorAll('iframe[src]'))
+      .filter(iframe => /^https?:/i.test(iframe.src))
+      .map(iframe => ({
+        src: iframe.src,
+        title: iframe.getAttribute('title') || null,
+        heading: headingOf(iframe),
+        visible: isVisible(iframe),
+        sectionId: sectionOf(iframe)
+      }));
+
+    return { forms, iframes };
+  }, PAGE_HELPERS);
+}
+
+// Helper to name the form builder or platform behind a URL or class list
+function providerOf(...values) {
+  const text = values.filter(Boolean).join(' ');
+  const provider = PROVIDERS.find(entry => entry.pattern.test(text));
+  return provider ? provider.name : null;
+}
+
+// Score each purpose by keyword hits in the heading, labels, submit text and action, plus field-type hints
+function guessPurpose(form) {
+  const fields = form.fields || [];
+  const visibleFields = fields.filter(field => field.visible !== false);
+  const sources = [
+    ...[form.heading, form.title, form.submitText].map(text => ({ text, weight: PROMINENT_WEIGHT })),
+    { text: [form.id, form.name, form.className, form.action, form.src].filter(Boolean).join(' '), weight: 1 },
+    // Each field counts once, however many of its label, name and placeholder match
+    ...fields.map(field => ({ text: [field.label, field.name, field.placeholder].filter(Boolean).join(' '), weight: 1 }))
+  ].filter(source => source.text);
+
+  const scores = {};
+  const signals = [];
+  PURPOSE_ORDER.forEach(purpose => {
+    scores[purpose] = 0;
+    const found = new Set();
+    sources.forEach(source => {
+      const matches = source.text.match(PURPOSE_KEYWORDS[purpose]) || [];
+      if (matches.length === 0) return;
+      scores[purpose] += source.weight;
+      matches.forEach(match => found.add(match.toLowerCase()));
+    });
+    found.forEach(match => signals.push(`${purpose}: ${match}`));
+  });
+
+  if (visibleFields.some(field => ['date', 'datetime-local', 'time'].includes(field.type))) {
+    scores.booking += 2;
+    signals.push('booking: date field');
+  }
+  if (visibleFields.some(field => field.type === 'file')) {
+    scores.quote += 1;
+    signals.push('quote: photo upload');
+  }
+  // A lone email box is the classic newsletter sign-up
+  const dataFields = visibleFields.filter(field => field.type !== 'checkbox');
+  if (dataFields.length === 1 && dataFields[0].type === 'email') {
+    scores.newsletter += 2;
+    signals.push('newsletter: single email field');
+  }
+
+  if (BOOKING_PROVIDERS.includes(form.provider)) return { purpose: 'booking', signals: [`booking: ${form.provider}`] };
+  if (dataFields.length === 1 && (dataFields[0].type === 'search' || /^(q|s|search|query)$/i.test(dataFields[0].name || ''))) {
+    return { purpose: 'search', signals: ['search: single search field'] };
+  }
+
+  // PURPOSE_ORDER breaks ties, so a quote or booking form that also asks for a message is not a contact form
+  const best = PURPOSE_ORDER.reduce((winner, purpose) => scores[purpose] > scores[winner] ? purpose : winner, PURPOSE_ORDER[0]);
+  if (scores[best] > 0) return { purpose: best, signals };
+  // An unlabelled form with a free-text box is still most likely a contact form
+  if (visibleFields.some(field => field.type === 'textarea')) return { purpose: 'contact', signals: ['contact: message box'] };
+  return { purpose: 'other', signals };
+}
+
+function analyzeForms(raw) {
+  const items = [];
+
+  raw.forms.forEach(form => {
+    const fields = form.fields.map(field => {
+      const label = field.label
+        ? field.label.replace(/\(required\)/i, '').replace(/\s*[*:]+\s*$/, '').replace(/\s*\*\s*/, ' ').trim()
+        : null;
+      return {
+        ...field,
+        label: label || null,
+        // "Phone *" marks a required field even without the attribute
+        required: field.required || /\*|\(required\)/i.test(field.label || '')
+      };
+    });
+    const provider = providerOf(form.action, form.className, form.id);
+    const { purpose, signals } = guessPurpose({ ...form, fields, provider });
+    items.push({
+      purpose: purpose,
+      purposeSignals: signals,
+      heading: form.heading,
+      action: form.action,
+      method: form.method,
+      submitText: form.submitText,
+      fields: fields,
+      fieldCount: fields.filter(field => field.visible).length,
+      requiredCount: fields.filter(field => field.visible && field.required).length,
+      hiddenFields: form.hiddenFields,
+      captcha: form.captcha,
+      provider: provider,
+      embedded: null,
+      visible: form.visible,
+      sectionId: form.sectionId
+    });
+  });
+
+  raw.iframes.forEach(iframe => {
+    const provider = providerOf(iframe.src);
+    if (!provider) return;
+    const { purpose, signals } = guessPurpose({ ...iframe, fields: [], provider });
+    items.push({
+      purpose: purpose,
+      purposeSignals: signals,
+      heading: iframe.heading,
+      action: null,
+      method: null,
+      submitText: null,
+      fields: null,
+      fieldCount: null,
+      requiredCount: null,
+      hiddenFields: null,
+      captcha: null,
+      provider: provider,
+      embedded: { type: 'iframe', src: iframe.src, title: iframe.title },
+      visible: iframe.visible,
+      sectionId: iframe.sectionId
+    });
+  });
+
+  const byPurpose = {};
+  items.forEach(item => {
+    byPurpose[item.purpose] = (byPurpose[item.purpose] || 0) + 1;
+  });
+  const leadForms = items.filter(item => ['quote', 'booking', 'contact'].includes(item.purpose));
+
+  return {
+    summary: {
+      total: items.length,
+      byPurpose: byPurpose,
+      leadForms: leadForms.length,
+      embeddedWidgets: items.filter(item => item.embedded).length,
+      providers: [...new Set(items.map(item => item.provider).filter(Boolean))],
+      // Shorter lead forms convert better, so this is worth tracking across competitors
+      shortestLeadForm: leadForms.some(item => item.fieldCount !== null)
+        ? Math.min(...leadForms.filter(item => item.fieldCount !== null).map(item => item.fieldCount))
+        : null
+    },
+    items
+  };
+}
+
+async function extractForms(page) {
+  return { forms: analyzeForms(await collectForms(page)) };
+}
+
+module.exports = { extractForms, analyzeForms, guessPurpose };
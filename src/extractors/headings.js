@@ -0,0 +1,119 @@
+// src/extractors/headings.js
+
+async function collectHeadings(page) {
+  return page.evaluate(() => {
+    return Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(element => {
+      const rect = element.getBoundingClientRect();
+      const style = window.getComputedStyle(element);
+      return {
+        level: parseInt(element.tagName.substring(1), 10),
+        text: (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim(),
+        top: Math.round(rect.top + window.scrollY),
+        hidden: style.display === 'none' || style.visibility === 'hidden' || rect.width === 0 || rect.height === 0
+      };
+    });
+  });
+}
+
+// Nest each heading under the closest preceding heading of a higher level
+function buildOutline(headings) {
+  const outline = [];
+  const stack = [];
+
+  headings.forEach((heading, index) => {
+    const node = {
+      level: heading.level,
+      tag: `h${heading.level}`,
+      text: heading.text,
+      order: index + 1,
+      top: heading.top,
+      hidden: heading.hidden,
+      children: []
+    };
+    while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
+      stack.pop();
+    }
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(node);
+    } else {
+      outline.push(node);
+    }
+    stack.push(node);
+  });
+
+  return outline;
+}
+
+function analyzeHeadings(headings) {
+  const issues = [];
+  const byLevel = { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
+  headings.forEach(heading => { byLevel[`h${heading.level}`]++; });
+
+  if (byLevel.h1 === 0) {
+    issues.push({ type: 'missing-h1', message: 'Page has no H1' });
+  } else if (byLevel.h1 > 1) {
+    issues.push({
+      type: 'multiple-h1',
+      message: `Page has ${byLevel.h1} H1 headings`,
+      headings: headings.filter(heading => heading.level === 1).map(heading => heading.text)
+    });
+  }
+
+  if (headings.length > 0 && headings[0].level !== 1) {
+    issues.push({ type: 'first-not-h1', message: `First heading is an H${headings[0].level}`, text: headings[0].text });
+  }
+
+  // Going deeper may only add one level at a time (h2 -> h4 skips h3); going back up is fine
+  headings.forEach((heading, index) => {
+    const previous = headings[index - 1];
+    if (previous && heading.level > previous.level + 1) {
+      issues.push({
+        type: 'skipped-level',
+        message: `H${previous.level} followed by H${heading.level}`,
+        order: index + 1,
+        text: heading.text
+      });
+    }
+  });
+
+  headings.forEach((heading, index) => {
+    if (!heading.text) {
+      issues.push({ type: 'empty-heading', message: `Empty H${heading.level}`, order: index + 1 });
+    }
+  });
+
+  const occurrences = new Map();
+  headings.filter(heading => heading.text).forEach(heading => {
+    const key = heading.text.toLowerCase();
+    if (!occurrences.has(key)) occurrences.set(key, []);
+    occurrences.get(key).push(heading);
+  });
+  occurrences.forEach(matches => {
+    if (matches.length > 1) {
+      issues.push({
+        type: 'duplicate-heading',
+        message: `"${matches[0].text}" appears ${matches.length} times`,
+        text: matches[0].text,
+        count: matches.length,
+        levels: [...new Set(matches.map(heading => `h${heading.level}`))]
+      });
+    }
+  });
+
+  return {
+    total: headings.length,
+    hidden: headings.filter(heading => heading.hidden).length,
+    byLevel: byLevel,
+    issues: issues
+  };
+}
+
+async function extractHeadings(page) {
+  const headings = await collectHeadings(page);
+  return {
+    headingOutline: buildOutline(headings),
+    headingAnalysis: analyzeHeadings(headings)
+  };
+}
+
+module.exports = { extractHeadings, buildOutline, analyzeHeadings };
@@ -0,0 +1,302 @@
+// src/extractors/hours.js
+const { PAGE_HELPERS } = require('./sections');
+const { LOCAL_BUSINESS_TYPES } = require('./structured-data');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DAY_NAMES = {
+  mon: 'monday', monday: 'monday', mo: 'monday',
+  tue: 'tuesday', tues: 'tuesday', tuesday: 'tuesday', tu: 'tuesday',
+  wed: 'wednesday', weds: 'wednesday', wednesday: 'wednesday', we: 'wednesday',
+  thu: 'thursday', thur: 'thursday', thurs: 'thursday', thursday: 'thursday', th: 'thursday',
+  fri: 'friday', friday: 'friday', fr: 'friday',
+  sat: 'saturday', saturday: 'saturday', sa: 'saturday',
+  sun: 'sunday', sunday: 'sunday', su: 'sunday'
+};
+
+const DAY = '(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday|mon|tues|tue|weds|wed|thurs|thur|thu|fri|sat|sun)\\.?';
+const DAY_RANGE = `${DAY}(?:\\s*(?:-|–|—|to|through|thru)\\s*${DAY})?`;
+const DAY_SPEC = `(?:${DAY_RANGE}(?:\\s*(?:,|&|and)\\s*${DAY_RANGE})*|weekdays|weekends|daily|every day|7 days a week|seven days a week)`;
+
+const CLOCK = '(?:\\d{1,2}(?::\\d{2})?\\s*(?:a\\.?m\\.?|p\\.?m\\.?)?|noon|midnight)';
+const TIME_SPEC = `(?:${CLOCK}\\s*(?:-|–|—|to|until|till)\\s*${CLOCK}|closed|open 24 hours|24 hours)`;
+
+// "Mon-Fri: 8am - 6pm", "Saturday 9:00 AM to 4:00 PM", "Sunday: Closed"
+const DAYS_THEN_TIME = new RegExp(`(${DAY_SPEC})\\s*[:,\\-–—]?\\s*(?:from\\s+)?(${TIME_SPEC})`, 'gi');
+
+// "8am-6pm Monday through Saturday"
+const TIME_THEN_DAYS = new RegExp(`(${TIME_SPEC})\\s*,?\\s*(?:on\\s+)?(${DAY_SPEC})`, 'gi');
+
+const AVAILABILITY = [
+  { type: 'same-day', pattern: /\bsame[- ]day\b/i },
+  { type: 'next-day', pattern: /\bnext[- ]day\b|\btomorrow\b/i },
+  { type: '24-7', pattern: /\b24\s*\/\s*7\b|\b24-7\b|\b24 hours a day\b|\bopen 24 hours\b|\baround the clock\b/i },
+  { type: 'seven-days', pattern: /\b(?:7|seven) days a week\b|\bevery day\b/i },
+  // A bare "Saturday: Closed" in an hours list is not a weekend claim
+  { type: 'weekends', pattern: /\bweekends?\b|\b(?:open|available|service|work) (?:on )?(?:saturdays?|sundays?)\b/i }
+];
+
+async function collectHoursBlocks(page) {
+  return page.evaluate((helpers) => {
+    const { sectionOf } = window[helpers];
+
+    // Short lines like "Sat 9-4" never become sections, so read the smallest blocks that mention days and times
+    const DAY = /\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?\b|\bweekdays\b|\bdaily\b/i;
+    const TIME = /\d\s*(am|pm|a\.m\.|p\.m\.)|\d:\d{2}|\bclosed\b|24 hours/i;
+    const candidates = Array.from(document.querySelectorAll(
+      'table, dl, ul, ol, address, p, li, [class*="hour" i], [id*="hour" i], [class*="schedule" i], [class*="open" i]'
+    )).filter(element => {
+      const text = element.innerText || '';
+      return text.length < 1000 && DAY.test(text) && TIME.test(text);
+    });
+
+    // Tables and lists are read whole; any other block only when nothing smaller inside it matched
+    const LISTS = ['TABLE', 'DL', 'UL', 'OL'];
+    const inList = (element) => candidates.some(other => other !== element &&
+      LISTS.includes(other.tagName) && other.contains(element));
+    const wrapsMatch = (element) => !LISTS.includes(element.tagName) &&
+      candidates.some(other => other !== element && element.contains(other));
+
+    return candidates
+      .filter(element => !inList(element) && !wrapsMatch(element))
+      .map(element => ({
+        text: element.innerText,
+        kind: element.tagName.toLowerCase(),
+        sectionId: sectionOf(element)
+      }));
+  }, PAGE_HELPERS);
+}
+
+// Helper to expand "Mon-Fri, Sun" or "weekends" into day names
+function parseDays(spec) {
+  const value = spec.toLowerCase().replace(/\./g, '').trim();
+  if (/^(daily|every day|7 days a week|seven days a week)$/.test(value)) return [...DAYS];
+  if (value === 'weekdays') return DAYS.slice(0, 5);
+  if (value === 'weekends') return DAYS.slice(5);
+
+  const days = [];
+  value.split(/\s*(?:,|&|\band\b)\s*/).forEach(part => {
+    const range = part.split(/\s*(?:-|–|—|\bto\b|\bthrough\b|\bthru\b)\s*/).map(name => DAY_NAMES[name.trim()]);
+    if (range.some(day => !day)) return;
+    if (range.length === 1) {
+      days.push(range[0]);
+      return;
+    }
+    // Ranges may wrap around the week ("Fri-Mon")
+    const start = DAYS.indexOf(range[0]);
+    const end = DAYS.indexOf(range[range.length - 1]);
+    for (let i = start; ; i = (i + 1) % 7) {
+      days.push(DAYS[i]);
+      if (i === end) break;
+    }
+  });
+  return [...new Set(days)];
+}
+
+// Helper to read "8", "8:30", "8am", "5:30 p.m.", "noon"; returns { hours, minutes, meridiem }
+function parseClock(value) {
+  const text = value.toLowerCase().replace(/\./g, '').trim();
+  if (text === 'noon') return { hours: 12, minutes: 0, meridiem: 'pm' };
+  if (text === 'midnight') return { hours: 12, minutes: 0, meridiem: 'am', midnight: true };
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  return { hours: parseInt(match[1], 10), minutes: parseInt(match[2] || '0', 10), meridiem: match[3] || null };
+}
+
+const to24 = (clock, meridiem) => {
+  let hours = clock.hours;
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  return hours;
+};
+
+const format = (hours, minutes) => `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+
+// Turn "8am - 6pm", "8-5" or "1-5pm" into { opens, closes } in 24-hour time
+function parseTimeRange(spec) {
+  const value = spec.toLowerCase().trim();
+  if (value === 'closed') return { closed: true };
+  if (/24 hours/.test(value)) return { opens: '00:00', closes: '24:00' };
+
+  const [openText, closeText] = value.split(/\s*(?:-|–|—|\bto\b|\buntil\b|\btill\b)\s*/);
+  const open = parseClock(openText || '');
+  const close = parseClock(closeText || '');
+  if (!open || !close) return null;
+
+  // Fill in missing am/pm the way people read business hours: "8-5" is 8am to 5pm, "1-5pm" is 1pm to 5pm
+  const closeMeridiem = close.meridiem ||
+    (open.meridiem === 'pm' || close.hours === 12 || close.hours <= open.hours || close.hours < 7 ? 'pm' : 'am');
+  let openMeridiem = open.meridiem;
+  if (!openMeridiem) {
+    openMeridiem = open.hours === 12 || (closeMeridiem === 'pm' && open.hours < close.hours && open.hours < 7) ? 'pm' : 'am';
+  }
+
+  const opens = format(to24(open, openMeridiem), open.minutes);
+  const closes = close.midnight ? '24:00' : format(to24(close, closeMeridiem), close.minutes);
+  return { opens, closes };
+}
+
+// Hours found in free text, in either "days then time" or "time then days" order
+function parseHoursText(text) {
+  const entries = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(range => start < range.end && end > range.start);
+
+  const collect = (pattern, daysIndex, timeIndex) => {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (overlaps(start, end)) continue;
+      const days = parseDays(match[daysIndex]);
+      const time = parseTimeRange(match[timeIndex]);
+      if (days.length === 0 || !time) continue;
+      taken.push({ start, end });
+      entries.push({ text: match[0].replace(/\s+/g, ' ').trim(), days, ...time });
+    }
+  };
+  collect(DAYS_THEN_TIME, 1, 2);
+  collect(TIME_THEN_DAYS, 2, 1);
+
+  return entries;
+}
+
+// Schema openingHours strings use two-letter days: "Mo-Fr 08:00-18:00", "Sa 09:00-14:00"
+function parseOpeningHoursString(value) {
+  const match = String(value).trim().match(/^([A-Za-z,\s-]+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+  if (!match) return null;
+  const days = parseDays(match[1]);
+  if (days.length === 0) return null;
+  return { text: String(value).trim(), days, opens: match[2].padStart(5, '0'), closes: match[3].padStart(5, '0') };
+}
+
+function schemaHours(structuredData = []) {
+  const entries = [];
+  structuredData
+    .filter(entry => entry.data && entry.types && entry.types.some(type =>
+      LOCAL_BUSINESS_TYPES.includes(type) || type === 'Organization'))
+    .forEach(entry => {
+      [].concat(entry.data.openingHoursSpecification || []).forEach(spec => {
+        if (!spec || typeof spec !== 'object') return;
+        const days = [].concat(spec.dayOfWeek || [])
+          .map(day => String(day).replace(/^https?:\/\/(www\.)?schema\.org\//i, '').toLowerCase())
+          .filter(day => DAYS.includes(day));
+        if (days.length === 0) return;
+        const opens = String(spec.opens || '').substring(0, 5);
+        const closes = String(spec.closes || '').substring(0, 5);
+        // schema.org marks closed days with opens and closes both 00:00
+        if (opens === '00:00' && closes === '00:00') {
+          entries.push({ text: `${days.join(', ')} closed`, days, closed: true });
+        } else if (opens && closes) {
+          entries.push({ text: `${days.join(', ')} ${opens}-${closes}`, days, opens, closes: closes === '23:59' ? '24:00' : closes });
+        }
+      });
+      [].concat(entry.data.openingHours || []).forEach(value => {
+        // Several ranges can share one string: "Mo-Fr 08:00-18:00, Sa 09:00-12:00"
+        String(value).split(/(?<=\d{2}:\d{2})\s*[,;]\s*/).forEach(part => {
+          const parsed = parseOpeningHoursString(part);
+          if (parsed) entries.push(parsed);
+        });
+      });
+    });
+  return entries;
+}
+
+// Day by day: [] means closed, null means the page does not say
+function toWeekly(entries) {
+  const weekly = Object.fromEntries(DAYS.map(day => [day, null]));
+  entries.forEach(entry => {
+    entry.days.forEach(day => {
+      if (entry.closed) {
+        if (weekly[day] === null) weekly[day] = [];
+        return;
+      }
+      const existing = weekly[day] || [];
+      if (!existing.some(range => range.opens === entry.opens && range.closes === entry.closes)) {
+        weekly[day] = [...existing, { opens: entry.opens, closes: entry.closes }]
+          .sort((a, b) => a.opens.localeCompare(b.opens));
+      }
+    });
+  });
+  return weekly;
+}
+
+const describeDay = (ranges) => ranges === null ? 'unknown'
+  : ranges.length === 0 ? 'closed'
+    : ranges.map(range => `${range.opens}-${range.closes}`).join(', ');
+
+function findAvailability(texts) {
+  const claims = [];
+  texts.forEach(({ text, sectionId }) => {
+    AVAILABILITY.forEach(({ type, pattern }) => {
+      const match = text.match(pattern);
+      if (!match || claims.some(claim => claim.type === type && claim.sectionId === sectionId)) return;
+      const start = Math.max(0, match.index - 60);
+      claims.push({
+        type: type,
+        text: text.substring(start, match.index + match[0].length + 60).replace(/\s+/g, ' ').trim(),
+        sectionId: sectionId
+      });
+    });
+  });
+  return claims;
+}
+
+function analyzeHours(blocks, sections, structuredData) {
+  const pageEntries = [];
+  const seen = new Set();
+  const texts = [
+    ...blocks.map(block => ({ text: block.text, sectionId: block.sectionId })),
+    ...sections.map(section => ({ text: section.text || '', sectionId: section.sectionId }))
+  ];
+
+  texts.forEach(({ text, sectionId }) => {
+    parseHoursText(text).forEach(entry => {
+      const key = `${entry.days.join(',')}|${entry.closed ? 'closed' : `${entry.opens}-${entry.closes}`}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      pageEntries.push({ ...entry, source: 'page', sectionId });
+    });
+  });
+  const schemaEntries = schemaHours(structuredData).map(entry => ({ ...entry, source: 'schema', sectionId: null }));
+
+  const pageWeekly = toWeekly(pageEntries);
+  const schemaWeekly = toWeekly(schemaEntries);
+
+  // The visible page wins; schema fills the days the page does not mention
+  const weekly = {};
+  const mismatches = [];
+  DAYS.forEach(day => {
+    weekly[day] = pageWeekly[day] !== null ? pageWeekly[day] : schemaWeekly[day];
+    if (pageWeekly[day] !== null && schemaWeekly[day] !== null &&
+      describeDay(pageWeekly[day]) !== describeDay(schemaWeekly[day])) {
+      mismatches.push({ day, page: describeDay(pageWeekly[day]), schema: describeDay(schemaWeekly[day]) });
+    }
+  });
+
+  const claims = findAvailability(texts);
+  const has = (type) => claims.some(claim => claim.type === type);
+  const openEveryDay = DAYS.every(day => weekly[day] && weekly[day].length > 0);
+
+  return {
+    hours: {
+      weekly: weekly,
+      entries: [...pageEntries, ...schemaEntries],
+      mismatches: mismatches,
+      found: DAYS.some(day => weekly[day] !== null)
+    },
+    availability: {
+      sameDay: has('same-day'),
+      nextDay: has('next-day'),
+      twentyFourSeven: has('24-7') || DAYS.every(day => describeDay(weekly[day]) === '00:00-24:00'),
+      sevenDays: has('seven-days') || openEveryDay,
+      weekends: has('weekends') || ['saturday', 'sunday'].some(day => weekly[day] && weekly[day].length > 0),
+      claims: claims
+    }
+  };
+}
+
+async function extractHours(page, results) {
+  return analyzeHours(await collectHoursBlocks(page), results.sections, results.structuredData);
+}
+
+module.exports = { extractHours, analyzeHours, parseHoursText, parseTimeRange, parseDays };
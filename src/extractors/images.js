@@ -0,0 +1,246 @@
+// src/extractors/images.js
+const { PAGE_HELPERS } = require('./sections');
+
+// Background images smaller than this are icons and bullets, not content
+const MIN_BACKGROUND_WIDTH = 200;
+const MIN_BACKGROUND_HEIGHT = 100;
+
+// An image is oversized when it has this many times the pixels it is displayed at (after device pixel ratio)
+const OVERSIZE_FACTOR = 2;
+const LARGE_FILE_BYTES = 500 * 1024;
+
+// Empty alt is fine for decoration, but not on images this large or that are a link's only content
+const EMPTY_ALT_MIN_SIZE = 150;
+
+// Background images are loaded again to read their size: this many at once, each given this long
+const BACKGROUND_PROBE_CONCURRENCY = 6;
+const BACKGROUND_PROBE_TIMEOUT = 3000;
+
+async function collectImages(page) {
+  return page.evaluate(async (helpers, minWidth, minHeight, probeConcurrency, probeTimeout) => {
+    const { sectionOf } = window[helpers];
+
+    const isHidden = (element, rect) => {
+      const style = window.getComputedStyle(element);
+      return style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0' ||
+        rect.width === 0 || rect.height === 0;
+    };
+
+    const boxOf = (rect) => ({
+      top: Math.round(rect.top + window.scrollY),
+      left: Math.round(rect.left + window.scrollX),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    });
+
+    // Resource Timing sizes; cross-origin responses without Timing-Allow-Origin report 0
+    const bytes = {};
+    performance.getEntriesByType('resource').forEach(entry => {
+      const size = entry.encodedBodySize || entry.transferSize;
+      if (size) bytes[entry.name] = size;
+    });
+    const bytesOf = (url) => {
+      if (!url) return null;
+      if (url.startsWith('data:')) return Math.round((url.length - url.indexOf(',') - 1) * 0.75);
+      return bytes[url] || null;
+    };
+
+    const images = [];
+
+    document.querySelectorAll('img').forEach(img => {
+      const rect = img.getBoundingClientRect();
+      if (isHidden(img, rect)) return;
+      const link = img.closest('a');
+      const src = img.currentSrc || img.src || null;
+      images.push({
+        kind: 'img',
+        src: src,
+        alt: img.hasAttribute('alt') ? img.getAttribute('alt') : null,
+        decorative: img.getAttribute('role') === 'presentation' || img.getAttribute('role') === 'none' ||
+          img.getAttribute('aria-hidden') === 'true',
+        title: img.getAttribute('title') || null,
+        rendered: boxOf(rect),
+        attributes: {
+          width: img.getAttribute('width'),
+          height: img.getAttribute('height')
+        },
+        natural: img.naturalWidth ? { width: img.naturalWidth, height: img.naturalHeight } : null,
+        loading: img.getAttribute('loading'),
+        scriptLazy: ['data-src', 'data-lazy-src', 'data-srcset'].some(name => img.hasAttribute(name)) ||
+          /\blazy/i.test(img.className),
+        srcset: img.hasAttribute('srcset') || !!img.closest('picture'),
+        complete: img.complete,
+        bytes: bytesOf(src),
+        linkHasText: link ? !!(link.innerText || '').trim() : null,
+        sectionId: sectionOf(img)
+      });
+    });
+
+    // Large elements painted with a background image, e.g. hero banners
+    const backgrounds = [];
+    document.querySelectorAll('body *').forEach(element => {
+      const rect = element.getBoundingClientRect();
+      if (rect.width < minWidth || rect.height < minHeight) return;
+      const style = window.getComputedStyle(element);
+      const match = style.backgroundImage && style.backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+      if (!match || isHidden(element, rect)) return;
+      // An unescaped space or a broken data: URL is the page's problem; skip it rather than fail every image
+      let src;
+      try {
+        src = new URL(match[1], document.baseURI).href;
+      } catch (error) {
+        return;
+      }
+      backgrounds.push({ element, rect, src });
+    });
+
+    // Natural size is not exposed for backgrounds, so load each one (cached by now) to measure it
+    const measure = (src) => new Promise(resolve => {
+      const image = new Image();
+      const timer = setTimeout(() => resolve(null), probeTimeout);
+      image.onload = () => {
+        clearTimeout(timer);
+        resolve({ width: image.naturalWidth, height: image.naturalHeight });
+      };
+      image.onerror = () => {
+        clearTimeout(timer);
+        resolve(null);
+      };
+      image.src = src;
+    });
+
+    // A few probes at a time, and each image once however many elements use it
+    const sizes = new Map();
+    const pending = [...new Set(backgrounds.map(background => background.src))];
+    const probe = async () => {
+      while (pending.length > 0) {
+        const src = pending.shift();
+        sizes.set(src, await measure(src));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(probeConcurrency, pending.length) }, probe));
+
+    for (const background of backgrounds) {
+      const { element, rect, src } = background;
+      images.push({
+        kind: 'background',
+        src: src,
+        alt: null,
+        decorative: element.getAttribute('role') !== 'img',
+        label: element.getAttribute('aria-label') || null,
+        title: null,
+        rendered: boxOf(rect),
+        attributes: null,
+        natural: sizes.get(src),
+        loading: null,
+        scriptLazy: ['data-bg', 'data-background', 'data-bg-src'].some(name => element.hasAttribute(name)),
+        srcset: /image-set\(/.test(window.getComputedStyle(element).backgroundImage),
+        complete: true,
+        bytes: bytesOf(src),
+        linkHasText: null,
+        sectionId: sectionOf(element)
+      });
+    }
+
+    return { images, devicePixelRatio: window.devicePixelRatio || 1 };
+  }, PAGE_HELPERS, MIN_BACKGROUND_WIDTH, MIN_BACKGROUND_HEIGHT, BACKGROUND_PROBE_CONCURRENCY, BACKGROUND_PROBE_TIMEOUT);
+}
+
+// Helper to spot alt text that is really a file name ("IMG_1234.jpg", "hero-banner-2", "DSC00042")
+function isFilenameAlt(alt, src) {
+  const value = alt.trim();
+  if (!value) return false;
+  if (/\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?)$/i.test(value)) return true;
+  if (/^(img|image|dsc|dscn|photo|pic|screenshot|untitled)[-_ ]?\d+/i.test(value)) return true;
+  if (!/\s/.test(value) && /[-_]/.test(value) && /\d/.test(value)) return true;
+  if (src) {
+    const file = decodeURIComponent(src.split(/[?#]/)[0].split('/').pop() || '').replace(/\.[a-z0-9]+$/i, '');
+    if (file && file.toLowerCase() === value.toLowerCase() && !/\s/.test(value)) return true;
+  }
+  return false;
+}
+
+function imageWarnings(image, devicePixelRatio) {
+  const warnings = [];
+  const { rendered, natural } = image;
+
+  if (image.kind === 'img' && !image.decorative) {
+    if (image.alt === null) {
+      warnings.push({ type: 'missing-alt', message: 'Image has no alt attribute' });
+    } else if (!image.alt.trim()) {
+      if (image.linkHasText === false) {
+        warnings.push({ type: 'empty-alt', message: 'Empty alt on an image that is the only content of a link' });
+      } else if (rendered.width >= EMPTY_ALT_MIN_SIZE && rendered.height >= EMPTY_ALT_MIN_SIZE) {
+        warnings.push({ type: 'empty-alt', message: `Empty alt on a ${rendered.width}x${rendered.height} image; fine only if it is decorative` });
+      }
+    } else if (isFilenameAlt(image.alt, image.src)) {
+      warnings.push({ type: 'filename-alt', message: `Alt text looks like a file name: "${image.alt}"` });
+    }
+  }
+  if (image.kind === 'background' && !image.decorative && !image.label) {
+    warnings.push({ type: 'missing-alt', message: 'Background image with role="img" has no aria-label' });
+  }
+
+  if (natural && rendered.width > 0 && rendered.height > 0) {
+    const neededPixels = rendered.width * rendered.height * devicePixelRatio * devicePixelRatio;
+    const ratio = (natural.width * natural.height) / neededPixels;
+    if (ratio > OVERSIZE_FACTOR * OVERSIZE_FACTOR) {
+      warnings.push({
+        type: 'oversized',
+        message: `${natural.width}x${natural.height} image displayed at ${rendered.width}x${rendered.height}`,
+        ratio: Math.round(Math.sqrt(ratio) * 10) / 10
+      });
+    }
+  }
+  if (image.bytes && image.bytes > LARGE_FILE_BYTES) {
+    warnings.push({ type: 'large-file', message: `Image is ${Math.round(image.bytes / 1024)} KB` });
+  }
+
+  return warnings;
+}
+
+function analyzeImages(raw, sections = []) {
+  const sectionTypes = new Map(sections.map(section => [section.sectionId, section.sectionType]));
+
+  const images = raw.images.map(image => {
+    const entry = {
+      kind: image.kind,
+      src: image.src,
+      alt: image.alt,
+      decorative: image.decorative,
+      rendered: image.rendered,
+      attributes: image.attributes,
+      natural: image.natural,
+      loading: image.loading,
+      lazy: image.loading === 'lazy' || image.scriptLazy,
+      srcset: image.srcset,
+      bytes: image.bytes,
+      sectionId: image.sectionId,
+      sectionType: sectionTypes.get(image.sectionId) || null
+    };
+    if (image.label) entry.label = image.label;
+    entry.warnings = imageWarnings(image, raw.devicePixelRatio);
+    return entry;
+  });
+
+  const withWarning = (type) => images.filter(image => image.warnings.some(warning => warning.type === type)).length;
+  const summary = {
+    total: images.length,
+    backgrounds: images.filter(image => image.kind === 'background').length,
+    missingAlt: withWarning('missing-alt'),
+    emptyAlt: withWarning('empty-alt'),
+    filenameAlt: withWarning('filename-alt'),
+    oversized: withWarning('oversized'),
+    largeFiles: withWarning('large-file'),
+    lazy: images.filter(image => image.lazy).length,
+    totalBytes: images.reduce((total, image) => total + (image.bytes || 0), 0)
+  };
+
+  return { summary, images };
+}
+
+async function extractImages(page, results) {
+  return { imageInventory: analyzeImages(await collectImages(page), results.sections) };
+}
+
+module.exports = { extractImages, analyzeImages, isFilenameAlt };
@@ -0,0 +1,56 @@
+// src/extractors/index.js
+const { extractStructuredData } = require('./structured-data');
+const { extractMeta } = require('./meta');
+const { extractHeadings } = require('./headings');
+const { extractNap } = require('./nap');
+const { extractServiceAreas } = require('./service-areas');
+const { extractPricing } = require('./pricing');
+const { extractLinks } = require('./links');
+const { extractImages } = require('./images');
+const { extractFaq } = require('./faq');
+const { extractTestimonials } = require('./testimonials');
+const { extractHours } = require('./hours');
+const { extractCtas } = require('./ctas');
+const { extractForms } = require('./forms');
+const { markSections } = require('./sections');
+
+// Each extractor reads the rendered page after section extraction and returns fields to merge into the
+// result. They run in order, so later extractors can use what earlier ones found (e.g. structuredData).
+const EXTRACTORS = [
+  { name: 'structuredData', run: extractStructuredData },
+  { name: 'meta', run: extractMeta },
+  { name: 'headings', run: extractHeadings },
+  { name: 'nap', run: extractNap },
+  { name: 'serviceAreas', run: extractServiceAreas },
+  { name: 'pricing', run: extractPricing },
+  { name: 'links', run: extractLinks },
+  { name: 'images', run: extractImages },
+  { name: 'faq', run: extractFaq },
+  { name: 'testimonials', run: extractTestimonials },
+  { name: 'hours', run: extractHours },
+  { name: 'ctas', run: extractCtas },
+  { name: 'forms', run: extractForms }
+];
+
+const EXTRACTOR_NAMES = EXTRACTORS.map(extractor => extractor.name);
+
+async function runExtractors(page, results, options = {}) {
+  try {
+    await markSections(page, results.sections);
+  } catch (error) {
+    results.errors.push({ message: `Section mapping failed: ${error.message}`, stack: error.stack });
+  }
+
+  for (const extractor of EXTRACTORS) {
+    try {
+      Object.assign(results, await extractor.run(page, results, options));
+    } catch (error) {
+      results.errors.push({
+        message: `${extractor.name} extraction failed: ${error.message}`,
+        stack: error.stack
+      });
+    }
+  }
+}
+
+module.exports = { runExtractors, EXTRACTOR_NAMES };
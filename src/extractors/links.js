@@ -0,0 +1,280 @@
+// src/extractors/links.js
+const { PAGE_HELPERS } = require('./sections');
+
+// Upper bound on links requested by the optional status check, so huge footers do not stall a scrape
+const MAX_CHECKED_LINKS = 100;
+const LINK_CHECK_TIMEOUT = 15000;
+// Tabs used at once, and the total time one page's check may take
+const LINK_CHECK_CONCURRENCY = 3;
+const LINK_CHECK_BUDGET = 60000;
+
+// Only the document itself matters when checking a link, so skip everything it would load
+const BLOCKED_RESOURCE_TYPES = ['image', 'media', 'font', 'stylesheet', 'script', 'xhr', 'fetch', 'websocket'];
+
+async function collectLinks(page) {
+  return page.evaluate((helpers) => {
+    const { sectionOf } = window[helpers];
+
+    const regionOf = (element) => {
+      if (element.closest('nav, [role="navigation"]')) return 'nav';
+      if (element.closest('header, [role="banner"], #header, .header, .site-header')) return 'header';
+      if (element.closest('footer, [role="contentinfo"], #footer, .footer, .site-footer')) return 'footer';
+      return 'main';
+    };
+
+    // Visible text, else what a screen reader would announce
+    const textOf = (link) => {
+      const text = (link.innerText || link.textContent || '').replace(/\s+/g, ' ').trim();
+      if (text) return { text, textSource: 'content' };
+      const label = link.getAttribute('aria-label') || link.getAttribute('title');
+      if (label) return { text: label.trim(), textSource: 'label' };
+      const image = link.querySelector('img[alt]');
+      if (image && image.getAttribute('alt').trim()) return { text: image.getAttribute('alt').trim(), textSource: 'image-alt' };
+      return { text: '', textSource: null };
+    };
+
+    return {
+      pageUrl: location.href,
+      links: Array.from(document.querySelectorAll('a[href]')).map(link => {
+        const rect = link.getBoundingClientRect();
+        const style = window.getComputedStyle(link);
+        return {
+          rawHref: link.getAttribute('href'),
+          href: link.href,
+          ...textOf(link),
+          rel: (link.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean),
+          target: link.getAttribute('target') || null,
+          position: {
+            top: Math.round(rect.top + window.scrollY),
+            left: Math.round(rect.left + window.scrollX),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          },
+          visible: style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0,
+          region: regionOf(link),
+          sectionId: sectionOf(link)
+        };
+      })
+    };
+  }, PAGE_HELPERS);
+}
+
+const hostOf = (url) => url.hostname.toLowerCase().replace(/^www\./, '');
+
+// Helper to classify a link relative to the page it appears on
+function classifyLink(rawHref, resolvedHref, baseUrl) {
+  const trimmed = (rawHref || '').trim();
+  if (/^tel:/i.test(trimmed)) return { href: trimmed, type: 'tel' };
+  if (/^mailto:/i.test(trimmed)) return { href: trimmed, type: 'mailto' };
+  if (/^sms:/i.test(trimmed)) return { href: trimmed, type: 'sms' };
+  if (/^javascript:/i.test(trimmed)) return { href: trimmed, type: 'javascript' };
+  if (trimmed.startsWith('#')) return { href: baseUrl ? new URL(trimmed, baseUrl).toString() : trimmed, type: 'anchor' };
+
+  let url;
+  try {
+    url = /^https?:/i.test(resolvedHref) ? new URL(resolvedHref) : new URL(trimmed, baseUrl || undefined);
+  } catch (error) {
+    return { href: trimmed, type: 'invalid' };
+  }
+  if (!/^https?:$/.test(url.protocol)) return { href: url.toString(), type: 'other' };
+
+  let base = null;
+  try {
+    base = baseUrl ? new URL(baseUrl) : null;
+  } catch (error) {
+    base = null;
+  }
+  if (!base) return { href: url.toString(), type: 'external' };
+  return { href: url.toString(), type: hostOf(url) === hostOf(base) ? 'internal' : 'external' };
+}
+
+function analyzeLinks(raw, pageUrl) {
+  const baseUrl = /^https?:/i.test(raw.pageUrl) ? raw.pageUrl : pageUrl;
+
+  const links = raw.links.map(link => {
+    const { href, type } = classifyLink(link.rawHref, link.href, baseUrl);
+    return {
+      href: href,
+      text: link.text,
+      textSource: link.textSource,
+      type: type,
+      rel: link.rel,
+      nofollow: link.rel.includes('nofollow'),
+      sponsored: link.rel.includes('sponsored'),
+      ugc: link.rel.includes('ugc'),
+      target: link.target,
+      opensNewTab: link.target === '_blank',
+      position: link.position,
+      visible: link.visible,
+      region: link.region,
+      sectionId: link.sectionId
+    };
+  });
+
+  const count = (predicate) => links.filter(predicate).length;
+  const summary = {
+    total: links.length,
+    unique: new Set(links.map(link => link.href)).size,
+    internal: count(link => link.type === 'internal'),
+    external: count(link => link.type === 'external'),
+    anchor: count(link => link.type === 'anchor'),
+    tel: count(link => link.type === 'tel'),
+    mailto: count(link => link.type === 'mailto'),
+    nofollow: count(link => link.nofollow),
+    sponsored: count(link => link.sponsored),
+    ugc: count(link => link.ugc),
+    opensNewTab: count(link => link.opensNewTab),
+    // Only external links can be opened by a page that then rewrites window.opener
+    newTabWithoutNoopener: count(link => link.opensNewTab && link.type === 'external' &&
+      !link.rel.includes('noopener') && !link.rel.includes('noreferrer')),
+    emptyText: count(link => !link.text)
+  };
+
+  return { summary, links };
+}
+
+// Open a pooled tab that loads only documents
+async function openCheckTab(pagePool, timeout) {
+  const tab = await pagePool.acquire({ timeout });
+  try {
+    await tab.setRequestInterception(true);
+    tab.on('request', request => {
+      if (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())) {
+        request.abort();
+      } else {
+        request.continue();
+      }
+    });
+  } catch (error) {
+    await pagePool.release(tab);
+    throw error;
+  }
+  return tab;
+}
+
+// Resolves to the link's entry, plus whether the request ran out of time
+async function requestLink(tab, url, timeout) {
+  try {
+    const response = await tab.goto(url, { waitUntil: 'domcontentloaded', timeout });
+    const chain = response ? response.request().redirectChain() : [];
+    const status = response ? response.status() : null;
+    const entry = {
+      url: url,
+      status: status,
+      ok: status !== null && status < 400,
+      redirects: chain.map(request => ({
+        url: request.url(),
+        status: request.response() ? request.response().status() : null
+      })),
+      finalUrl: response ? response.url() : null,
+      error: null
+    };
+    return { entry, timedOut: false };
+  } catch (error) {
+    const entry = { url, status: null, ok: false, redirects: [], finalUrl: null, error: error.message };
+    return { entry, timedOut: error.name === 'TimeoutError' };
+  }
+}
+
+// Request each unique http(s) link and record its status and redirect chain. Tabs come from the
+// scraper's page pool, so checks count against maxOpenPages; links not started within the time budget
+// are reported as not checked. Pass the same cache to every page of a crawl to request shared links once.
+async function checkLinks(pagePool, urls, options = {}) {
+  const limit = options.limit || MAX_CHECKED_LINKS;
+  const concurrency = Math.max(1, options.concurrency || LINK_CHECK_CONCURRENCY);
+  const timeout = options.timeout || LINK_CHECK_TIMEOUT;
+  const deadline = Date.now() + (options.budget || LINK_CHECK_BUDGET);
+  const cache = options.cache || new Map();
+  const unique = [...new Set(urls.map(url => url.split('#')[0]))];
+  const queue = unique.slice(0, limit);
+  const checked = new Map();
+  let nextIndex = 0;
+
+  const worker = async () => {
+    let tab = null;
+    try {
+      while (nextIndex < queue.length && Date.now() < deadline) {
+        const url = queue[nextIndex];
+        if (cache.has(url)) {
+          nextIndex++;
+          checked.set(url, await cache.get(url));
+          continue;
+        }
+        if (!tab) {
+          try {
+            tab = await openCheckTab(pagePool, Math.max(1, deadline - Date.now()));
+          } catch (error) {
+            return; // No tab freed up within the budget; the other workers carry on
+          }
+          continue;
+        }
+
+        nextIndex++;
+        const linkTimeout = Math.max(1, Math.min(timeout, deadline - Date.now()));
+        const pending = requestLink(tab, url, linkTimeout);
+        cache.set(url, pending.then(result => result.entry));
+        const { entry, timedOut } = await pending;
+        // Cut short by the budget rather than slow on its own: not checked, not broken
+        if (timedOut && linkTimeout < timeout) {
+          cache.delete(url);
+        } else {
+          checked.set(url, entry);
+        }
+      }
+    } finally {
+      if (tab) await pagePool.release(tab);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, queue.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return {
+    results: queue.filter(url => checked.has(url)).map(url => checked.get(url)),
+    skipped: unique.filter(url => !checked.has(url)),
+    budgetExceeded: queue.some(url => !checked.has(url))
+  };
+}
+
+async function extractLinks(page, results, options = {}) {
+  const linkInventory = analyzeLinks(await collectLinks(page), results.url);
+
+  if (options.checkLinks) {
+    // Replayed pages are offline by design; checking their links would go to the live site
+    if (options.replayFrom) {
+      linkInventory.check = { skipped: true, reason: 'Link checks are not run when replaying an archive' };
+    } else {
+      const urls = linkInventory.links
+        .filter(link => link.type === 'internal' || link.type === 'external')
+        .map(link => link.href);
+      const { results: checked, skipped, budgetExceeded } = await checkLinks(options.pagePool, urls, {
+        limit: options.linkCheckLimit,
+        cache: options.linkCheckCache
+      });
+      const byUrl = new Map(checked.map(entry => [entry.url, entry]));
+
+      linkInventory.links.forEach(link => {
+        const entry = byUrl.get(link.href.split('#')[0]);
+        if (!entry) return;
+        link.status = entry.status;
+        link.broken = !entry.ok;
+        link.finalUrl = entry.redirects.length > 0 ? entry.finalUrl : null;
+      });
+
+      linkInventory.check = {
+        checked: checked.length,
+        broken: checked.filter(entry => !entry.ok),
+        redirected: checked.filter(entry => entry.ok && entry.redirects.length > 0),
+        notChecked: skipped.length,
+        budgetExceeded: budgetExceeded
+      };
+    }
+  }
+
+  return { linkInventory };
+}
+
+module.exports = { extractLinks, analyzeLinks, classifyLink, checkLinks };
@@ -0,0 +1,148 @@
+// src/extractors/meta.js
+
+// Lengths Google shows in search results before truncating
+const TITLE_MAX_LENGTH = 60;
+const DESCRIPTION_MIN_LENGTH = 70;
+const DESCRIPTION_MAX_LENGTH = 160;
+
+async function collectMeta(page) {
+  return page.evaluate(() => {
+    const contentOf = (selector) => Array.from(document.querySelectorAll(selector))
+      .map(element => (element.getAttribute('content') || '').trim());
+
+    // Open Graph uses property="og:*", Twitter uses name="twitter:*" (but sites mix them up)
+    const prefixed = (prefix) => {
+      const tags = {};
+      document.querySelectorAll(`meta[property^="${prefix}:"], meta[name^="${prefix}:"]`).forEach(element => {
+        const key = (element.getAttribute('property') || element.getAttribute('name')).substring(prefix.length + 1);
+        if (key && tags[key] === undefined) tags[key] = (element.getAttribute('content') || '').trim();
+      });
+      return tags;
+    };
+
+    const icon = document.querySelector('link[rel~="icon"], link[rel="apple-touch-icon"]');
+    const charset = document.querySelector('meta[charset]');
+
+    return {
+      pageUrl: location.href,
+      title: document.title,
+      descriptions: contentOf('meta[name="description" i]'),
+      robots: contentOf('meta[name="robots" i], meta[name="googlebot" i]'),
+      viewport: contentOf('meta[name="viewport" i]')[0] || null,
+      charset: charset ? charset.getAttribute('charset') : document.characterSet,
+      canonicals: Array.from(document.querySelectorAll('link[rel="canonical" i]')).map(link => link.href),
+      openGraph: prefixed('og'),
+      twitter: prefixed('twitter'),
+      hreflang: Array.from(document.querySelectorAll('link[rel="alternate" i][hreflang]'))
+        .map(link => ({ hreflang: link.getAttribute('hreflang'), href: link.href })),
+      favicon: icon ? icon.href : null,
+      lang: document.documentElement.getAttribute('lang') || null
+    };
+  });
+}
+
+// Helper to compare URLs regardless of fragment and trailing slash
+function sameUrl(a, b) {
+  try {
+    const normalize = (url) => {
+      const urlObj = new URL(url);
+      urlObj.hash = '';
+      return urlObj.toString().replace(/\/$/, '');
+    };
+    return normalize(a) === normalize(b);
+  } catch (error) {
+    return a === b;
+  }
+}
+
+function analyzeMeta(raw) {
+  const warnings = [];
+  const title = (raw.title || '').trim();
+  const description = raw.descriptions[0] || null;
+  const robots = raw.robots.join(', ') || null;
+  const robotsDirectives = raw.robots.join(',').toLowerCase().split(',').map(value => value.trim());
+  const canonical = raw.canonicals[0] || null;
+  const isWebPage = /^https?:/i.test(raw.pageUrl);
+
+  if (!title) {
+    warnings.push('Missing title');
+  } else if (title.length > TITLE_MAX_LENGTH) {
+    warnings.push(`Title too long (${title.length} characters, max ${TITLE_MAX_LENGTH})`);
+  }
+
+  if (!description) {
+    warnings.push('Missing meta description');
+  } else if (description.length > DESCRIPTION_MAX_LENGTH) {
+    warnings.push(`Meta description too long (${description.length} characters, max ${DESCRIPTION_MAX_LENGTH})`);
+  } else if (description.length < DESCRIPTION_MIN_LENGTH) {
+    warnings.push(`Meta description too short (${description.length} characters, min ${DESCRIPTION_MIN_LENGTH})`);
+  }
+  if (raw.descriptions.length > 1) {
+    warnings.push(`${raw.descriptions.length} meta descriptions`);
+  }
+
+  if (robotsDirectives.includes('noindex') || robotsDirectives.includes('none')) {
+    warnings.push('Page is noindex');
+  }
+
+  if (!canonical) {
+    warnings.push('Missing canonical URL');
+  } else if (isWebPage && !sameUrl(canonical, raw.pageUrl)) {
+    warnings.push(`Canonical points elsewhere (${canonical})`);
+  }
+  if (raw.canonicals.length > 1) {
+    warnings.push(`${raw.canonicals.length} canonical links`);
+  }
+
+  if (!raw.lang) warnings.push('Missing lang attribute on <html>');
+  if (!raw.viewport) warnings.push('Missing viewport meta tag');
+  if (!raw.favicon) warnings.push('No favicon declared');
+
+  if (Object.keys(raw.openGraph).length === 0) {
+    warnings.push('No Open Graph tags');
+  } else {
+    ['title', 'description', 'image'].forEach(key => {
+      if (!raw.openGraph[key]) warnings.push(`Missing og:${key}`);
+    });
+  }
+
+  if (raw.hreflang.length > 0) {
+    if (!raw.hreflang.some(alternate => alternate.hreflang.toLowerCase() === 'x-default')) {
+      warnings.push('hreflang alternates without x-default');
+    }
+    if (isWebPage && !raw.hreflang.some(alternate => sameUrl(alternate.href, raw.pageUrl))) {
+      warnings.push('hreflang alternates do not include this page');
+    }
+  }
+
+  return {
+    title: title,
+    titleLength: title.length,
+    description: description,
+    descriptionLength: description ? description.length : 0,
+    robots: robots,
+    noindex: robotsDirectives.includes('noindex') || robotsDirectives.includes('none'),
+    nofollow: robotsDirectives.includes('nofollow') || robotsDirectives.includes('none'),
+    canonical: canonical,
+    canonicalIsSelf: canonical && isWebPage ? sameUrl(canonical, raw.pageUrl) : null,
+    lang: raw.lang,
+    viewport: raw.viewport,
+    charset: raw.charset,
+    favicon: raw.favicon,
+    openGraph: raw.openGraph,
+    twitter: raw.twitter,
+    hreflang: raw.hreflang,
+    warnings: warnings
+  };
+}
+
+async function extractMeta(page, results) {
+  const raw = await collectMeta(page);
+  // Inline HTML renders at about:blank, so judge its canonical against the base URL it was saved from
+  if (!/^https?:/i.test(raw.pageUrl) && /^https?:/i.test(results.url || '')) {
+    raw.pageUrl = results.url;
+  }
+  return { meta: analyzeMeta(raw) };
+}
+
+module.exports = { extractMeta, analyzeMeta };
@@ -0,0 +1,248 @@
+// src/extractors/nap.js
+const { LOCAL_BUSINESS_TYPES } = require('./structured-data');
+
+// North American numbers: optional +1, area code in optional parentheses, common separators
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\b([2-9]\d{2})\)?[\s.-]?(\d{3})[\s.-]?(\d{4})\b/g;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+const STREET_SUFFIXES = {
+  street: 'St', avenue: 'Ave', road: 'Rd', boulevard: 'Blvd', drive: 'Dr', lane: 'Ln', way: 'Way',
+  court: 'Ct', place: 'Pl', parkway: 'Pkwy', highway: 'Hwy', circle: 'Cir', trail: 'Trl', terrace: 'Ter',
+  st: 'St', ave: 'Ave', rd: 'Rd', blvd: 'Blvd', dr: 'Dr', ln: 'Ln', ct: 'Ct', pl: 'Pl', pkwy: 'Pkwy',
+  hwy: 'Hwy', cir: 'Cir', trl: 'Trl', ter: 'Ter'
+};
+
+// "1234 N Main Street, Suite 200, Minneapolis, MN 55401"
+const ADDRESS_PATTERN = new RegExp(
+  '\\b\\d{1,6}\\s+(?:[NSEW]\\.?\\s+)?(?:[A-Za-z0-9.\']+\\s+){0,4}?' +
+  `(?:${Object.keys(STREET_SUFFIXES).join('|')})\\.?` +
+  '(?:,?\\s+(?:Suite|Ste\\.?|Unit|#)\\s*[\\w-]+)?' +
+  ',?\\s+[A-Za-z][A-Za-z .\']{1,30}?,\\s*[A-Z]{2}\\s+\\d{5}(?:-\\d{4})?\\b',
+  'gi'
+);
+
+async function collectNap(page) {
+  return page.evaluate(() => {
+    const textOf = (selector) => Array.from(document.querySelectorAll(selector))
+      .map(element => element.innerText || '')
+      .join('\n');
+
+    const regionOf = (element) => {
+      if (element.closest('header, [role="banner"], #header, .header, .site-header')) return 'header';
+      if (element.closest('footer, [role="contentinfo"], #footer, .footer, .site-footer')) return 'footer';
+      return 'body';
+    };
+
+    const links = (prefix) => Array.from(document.querySelectorAll(`a[href^="${prefix}" i]`)).map(link => ({
+      href: link.getAttribute('href'),
+      text: (link.innerText || '').trim(),
+      region: regionOf(link)
+    }));
+
+    const siteName = document.querySelector('meta[property="og:site_name"]');
+    const logo = document.querySelector('header img[alt], [class*="logo" i] img[alt], img[class*="logo" i][alt]');
+
+    return {
+      regions: {
+        header: textOf('header, [role="banner"], #header, .header, .site-header'),
+        footer: textOf('footer, [role="contentinfo"], #footer, .footer, .site-footer'),
+        body: document.body ? document.body.innerText : ''
+      },
+      addressElements: Array.from(document.querySelectorAll('address')).map(element => ({
+        text: (element.innerText || '').replace(/\s*\n\s*/g, ', ').trim(),
+        region: regionOf(element)
+      })),
+      telLinks: links('tel:'),
+      mailtoLinks: links('mailto:'),
+      siteName: siteName ? siteName.getAttribute('content') : null,
+      logoAlt: logo ? logo.getAttribute('alt') : null,
+      title: document.title
+    };
+  });
+}
+
+// Helper to normalize a phone number to E.164 (+16125551234), or null if it is not a NANP number
+function normalizePhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.substring(1) : digits;
+  if (national.length !== 10 || !/^[2-9]/.test(national)) return null;
+  return `+1${national}`;
+}
+
+const formatPhone = (e164) => `(${e164.substring(2, 5)}) ${e164.substring(5, 8)}-${e164.substring(8)}`;
+
+function normalizeAddress(value) {
+  return value
+    .replace(/\s+/g, ' ')
+    .replace(/\s+,/g, ',')
+    .replace(/\b([A-Za-z]+)\b\.?(?=,?\s)/g, (word, name) => {
+      const suffix = STREET_SUFFIXES[name.toLowerCase()];
+      return suffix && name.length > 1 ? suffix : word;
+    })
+    .replace(/,?\s+([A-Za-z]{2})\s+(\d{5}(?:-\d{4})?)$/, (match, state, zip) => `, ${state.toUpperCase()} ${zip}`)
+    .trim();
+}
+
+// Street number + ZIP identifies an address well enough across formatting differences
+const addressKey = (address) => {
+  const number = (address.match(/^\d+/) || [''])[0];
+  const zip = (address.match(/\d{5}(?:-\d{4})?$/) || [''])[0].substring(0, 5);
+  return `${number}|${zip}`;
+};
+
+const normalizeName = (name) => name.toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/\b(llc|inc|co|corp|ltd|company)\b\.?/g, '')
+  .replace(/[^a-z0-9]/g, '');
+
+function findLocalBusiness(structuredData = []) {
+  const entry = structuredData.find(item => item.types && item.types.some(type =>
+    LOCAL_BUSINESS_TYPES.includes(type) || type === 'Organization'));
+  return entry ? entry.data : null;
+}
+
+function schemaAddress(address) {
+  const value = [].concat(address || [])[0];
+  if (!value) return null;
+  if (typeof value === 'string') return normalizeAddress(value);
+  const locality = [value.addressLocality, value.addressRegion].filter(Boolean).join(', ');
+  const parts = [value.streetAddress, locality].filter(Boolean).join(', ');
+  return normalizeAddress(value.postalCode ? `${parts} ${value.postalCode}` : parts);
+}
+
+// Accumulates each distinct value with where it was seen. One occurrence can have several
+// sources: a tel: link in the header is both a 'tel-link' and in the 'header'
+class Collector {
+  constructor() {
+    this.items = new Map();
+  }
+
+  add(key, value, sources, sectionId = null) {
+    if (!key) return;
+    if (!this.items.has(key)) {
+      this.items.set(key, { ...value, sources: [], sectionIds: [], occurrences: 0 });
+    }
+    const item = this.items.get(key);
+    item.occurrences++;
+    [].concat(sources).forEach(source => {
+      if (!item.sources.includes(source)) item.sources.push(source);
+    });
+    if (sectionId && !item.sectionIds.includes(sectionId)) item.sectionIds.push(sectionId);
+  }
+
+  in(source) {
+    return this.list().filter(item => item.sources.includes(source));
+  }
+
+  list() {
+    return Array.from(this.items.values());
+  }
+}
+
+const matchesOf = (pattern, text) => Array.from((text || '').matchAll(pattern)).map(match => match[0]);
+
+function analyzeNap(raw, results) {
+  const phones = new Collector();
+  const emails = new Collector();
+  const addresses = new Collector();
+  const schema = findLocalBusiness(results.structuredData);
+
+  const addPhone = (value, source, sectionId) => {
+    const number = normalizePhone(value);
+    if (number) phones.add(number, { number, display: formatPhone(number) }, source, sectionId);
+  };
+  const addEmail = (value, source, sectionId) => {
+    const address = value.replace(/^mailto:/i, '').split('?')[0].trim().toLowerCase();
+    if (/^[^@\s]+@[^@\s]+\.[a-z]{2,}$/.test(address)) emails.add(address, { address }, source, sectionId);
+  };
+  const addAddress = (value, source, sectionId) => {
+    const address = normalizeAddress(value);
+    addresses.add(addressKey(address), { address }, source, sectionId);
+  };
+
+  // Header and footer text first, so those regions are credited even when the body text repeats them
+  ['header', 'footer'].forEach(region => {
+    matchesOf(PHONE_PATTERN, raw.regions[region]).forEach(value => addPhone(value, region));
+    matchesOf(EMAIL_PATTERN, raw.regions[region]).forEach(value => addEmail(value, region));
+    matchesOf(ADDRESS_PATTERN, raw.regions[region]).forEach(value => addAddress(value, region));
+  });
+  results.sections.forEach(section => {
+    matchesOf(PHONE_PATTERN, section.text).forEach(value => addPhone(value, 'body', section.sectionId));
+    matchesOf(EMAIL_PATTERN, section.text).forEach(value => addEmail(value, 'body', section.sectionId));
+    matchesOf(ADDRESS_PATTERN, section.text).forEach(value => addAddress(value, 'body', section.sectionId));
+  });
+  raw.telLinks.forEach(link => addPhone(link.href.replace(/^tel:/i, ''), ['tel-link', link.region]));
+  raw.mailtoLinks.forEach(link => addEmail(link.href, ['mailto-link', link.region]));
+  raw.addressElements.forEach(element => {
+    matchesOf(ADDRESS_PATTERN, element.text).forEach(value => addAddress(value, element.region));
+  });
+
+  if (schema) {
+    [].concat(schema.telephone || []).forEach(value => addPhone(value, 'schema'));
+    [].concat(schema.email || []).forEach(value => addEmail(String(value), 'schema'));
+    const address = schemaAddress(schema.address);
+    if (address) addAddress(address, 'schema');
+  }
+
+  const titleName = (raw.title || '').split(/\s+[|\-–—]\s+/).pop().trim() || null;
+  const nameSources = {
+    schema: schema && typeof schema.name === 'string' ? schema.name : null,
+    openGraph: raw.siteName || null,
+    logo: raw.logoAlt || null,
+    title: titleName
+  };
+  const name = nameSources.schema || nameSources.openGraph || nameSources.logo || nameSources.title;
+
+  const inconsistencies = [];
+
+  // Header, footer and schema markup should list the same values wherever more than one of them lists any
+  const compareSets = (field, collector, sources, describe) => {
+    for (let i = 0; i < sources.length; i++) {
+      for (let j = i + 1; j < sources.length; j++) {
+        const a = collector.in(sources[i]);
+        const b = collector.in(sources[j]);
+        if (a.length === 0 || b.length === 0) continue;
+        const onlyA = a.filter(item => !item.sources.includes(sources[j]));
+        const onlyB = b.filter(item => !item.sources.includes(sources[i]));
+        if (onlyA.length > 0 || onlyB.length > 0) {
+          inconsistencies.push({
+            field,
+            between: [sources[i], sources[j]],
+            message: `${field} differs between ${sources[i]} and ${sources[j]}`,
+            [sources[i]]: a.map(describe),
+            [sources[j]]: b.map(describe)
+          });
+        }
+      }
+    }
+  };
+  compareSets('phone', phones, ['header', 'footer', 'schema'], item => item.display);
+  compareSets('address', addresses, ['header', 'footer', 'schema'], item => item.address);
+  compareSets('email', emails, ['header', 'footer', 'schema'], item => item.address);
+
+  const names = Object.entries(nameSources).filter(([source, value]) => value && source !== 'title');
+  const distinctNames = [...new Set(names.map(([, value]) => normalizeName(value)))];
+  if (distinctNames.length > 1) {
+    inconsistencies.push({
+      field: 'name',
+      message: 'Business name differs between sources',
+      values: Object.fromEntries(names)
+    });
+  }
+
+  return {
+    name: name,
+    nameSources: nameSources,
+    phones: phones.list(),
+    emails: emails.list(),
+    addresses: addresses.list(),
+    inconsistencies: inconsistencies
+  };
+}
+
+async function extractNap(page, results) {
+  return { nap: analyzeNap(await collectNap(page), results) };
+}
+
+module.exports = { extractNap, analyzeNap, normalizePhone, normalizeAddress };
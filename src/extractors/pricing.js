@@ -0,0 +1,154 @@
+// src/extractors/pricing.js
+
+// "$99", "$1,299.00", "$99 - $149", "$99–149", "$99 to $149"
+const PRICE_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{2}))?(?:\s*(?:-|–|—|to)\s*\$?\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{2}))?)?(\+)?/gi;
+
+// Checked in order, so "three-quarter" wins over "quarter" and "single item" over item names
+const LOAD_SIZES = [
+  { size: 'minimum', pattern: /\bmin(?:imum|\.)?\s*(?:load|charge|pickup|pick-up|fee)\b/gi },
+  { size: 'eighth', pattern: /\b(?:1\/8|one[- ]eighth|eighth)(?:[- ](?:truck|load|trailer))?(?:\s*(?:truck|load|trailer))?\b/gi },
+  { size: 'three-quarter', pattern: /\b(?:3\/4|three[- ]quarters?)(?:\s*(?:truck|load|trailer))?\b/gi },
+  { size: 'quarter', pattern: /\b(?:1\/4|quarter|one[- ]quarter)(?:[- ]?(?:truck|load|trailer))?\b/gi },
+  { size: 'half', pattern: /\b(?:1\/2|half|one[- ]half)(?:[- ]?(?:truck|load|trailer))?\b/gi },
+  { size: 'full', pattern: /\bfull[- ]?(?:truck|load|trailer)(?:load)?\b|\btruckload\b/gi },
+  { size: 'single-item', pattern: /\b(?:single|one|1)[- ]item\b/gi }
+];
+
+const ITEMS = [
+  { item: 'mattress', pattern: /\b(?:mattress(?:es)?|box[- ]?springs?)\b/gi },
+  { item: 'appliance', pattern: /\b(?:appliances?|refrigerators?|fridges?|freezers?|washers?|dryers?|dishwashers?|stoves?|ovens?)\b/gi },
+  { item: 'couch', pattern: /\b(?:couch(?:es)?|sofas?|sectionals?|loveseats?|recliners?)\b/gi },
+  { item: 'hot-tub', pattern: /\b(?:hot[- ]?tubs?|spas?)\b/gi },
+  { item: 'piano', pattern: /\bpianos?\b/gi },
+  { item: 'tv', pattern: /\b(?:tvs?|televisions?)\b/gi },
+  { item: 'tire', pattern: /\btires?\b/gi },
+  { item: 'furniture', pattern: /\bfurniture\b/gi },
+  { item: 'yard-waste', pattern: /\byard (?:waste|debris)\b/gi },
+  { item: 'construction-debris', pattern: /\b(?:construction|renovation) debris\b/gi }
+];
+
+const UNIT_PATTERN = /^\s*(?:\/\s*|per\s+|an?\s+|each\s+)?(load|item|hour|hr|cubic yard|yard|truck|trailer|piece|each|ea)\b/i;
+
+const UNITS = { hr: 'hour', each: 'item', ea: 'item', piece: 'item', truck: 'load', trailer: 'load' };
+
+// How far a load size or item may be from a price and still describe it
+const MAX_TERM_DISTANCE = 80;
+
+// Helper to turn "1,299" and "00" into 1299.00
+const toAmount = (whole, cents) => parseFloat(`${whole.replace(/,/g, '')}.${cents || '00'}`);
+
+function findTerms(text) {
+  const terms = [];
+  const taken = [];
+  const overlaps = (start, end) => taken.some(range => start < range.end && end > range.start);
+
+  const collect = (definitions, category, field) => {
+    definitions.forEach(definition => {
+      for (const match of text.matchAll(definition.pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (overlaps(start, end)) continue;
+        taken.push({ start, end });
+        terms.push({ category, value: definition[field], term: match[0], start, end });
+      }
+    });
+  };
+  collect(LOAD_SIZES, 'load-size', 'size');
+  collect(ITEMS, 'item', 'item');
+
+  return terms;
+}
+
+// Clause boundaries: a price and a term only belong together if nothing like ", " or ". " separates them
+function clauseBounds(text, index) {
+  const boundary = /[,;.!?\n|•]/;
+  let start = index;
+  while (start > 0 && !(boundary.test(text[start - 1]) && !/\d/.test(text[start] || ''))) start--;
+  let end = index;
+  while (end < text.length && !(boundary.test(text[end]) && !/\d/.test(text[end + 1] || ''))) end++;
+  return { start, end };
+}
+
+// Nearest term in the price's own clause; otherwise the nearest term within MAX_TERM_DISTANCE that is not
+// already in another price's clause. Ties go to the term before the price.
+function nearestTerm(terms, price, claimed) {
+  const distance = (term) => term.end <= price.start ? price.start - term.end : term.start - price.end;
+  const byDistance = (a, b) => distance(a) - distance(b) || (a.start < price.start ? -1 : 1);
+
+  const inClause = terms.filter(term => term.start >= price.clause.start && term.end <= price.clause.end);
+  if (inClause.length > 0) return inClause.sort(byDistance)[0];
+
+  const nearby = terms.filter(term => !claimed.has(term) && distance(term) <= MAX_TERM_DISTANCE);
+  return nearby.length > 0 ? nearby.sort(byDistance)[0] : null;
+}
+
+function qualifierOf(before, after, plus) {
+  // "$350. Save $25" - the next sentence's discount is not this price's
+  const rest = after.substring(0, 12).split(/[.!?;\n]/)[0];
+  if (/\b(?:save|off|discount|coupon)\b/i.test(rest) || /\b(?:save|discount of)\s*$/i.test(before)) {
+    return 'discount';
+  }
+  if (plus || /\b(?:start(?:s|ing)? (?:at|from)|from|as low as|low as)\s*$/i.test(before)) return 'starting-at';
+  if (/\b(?:up to|max(?:imum)?|no more than)\s*$/i.test(before)) return 'up-to';
+  return null;
+}
+
+function extractSectionPricing(section) {
+  const text = section.text || '';
+  const terms = findTerms(text);
+  const entries = [];
+  const seen = new Set();
+
+  const prices = Array.from(text.matchAll(PRICE_PATTERN)).map(match => ({
+    match: match,
+    start: match.index,
+    end: match.index + match[0].length,
+    clause: clauseBounds(text, match.index)
+  }));
+  const claimed = new Set(terms.filter(term => prices.some(price =>
+    term.start >= price.clause.start && term.end <= price.clause.end)));
+
+  for (const price of prices) {
+    const { match, start, end } = price;
+    const before = text.substring(Math.max(0, start - 25), start);
+    const after = text.substring(end, end + 30);
+
+    const min = toAmount(match[1], match[2]);
+    const max = match[3] ? toAmount(match[3], match[4]) : min;
+    const unitMatch = after.match(UNIT_PATTERN);
+    const unit = unitMatch ? (UNITS[unitMatch[1].toLowerCase()] || unitMatch[1].toLowerCase()) : null;
+    const term = nearestTerm(terms, price, claimed);
+
+    const key = `${min}|${max}|${term ? term.value : ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    entries.push({
+      price: match[0].replace(/\s+/g, ' ').trim(),
+      min: min,
+      max: max,
+      isRange: max !== min,
+      qualifier: qualifierOf(before, after, match[5]),
+      unit: unit,
+      category: term ? term.category : null,
+      loadSize: term && term.category === 'load-size' ? term.value : null,
+      item: term && term.category === 'item' ? term.value : null,
+      term: term ? term.term : null,
+      context: text.substring(Math.max(0, start - 60), Math.min(text.length, end + 60)).replace(/\s+/g, ' ').trim(),
+      sectionId: section.sectionId,
+      sectionType: section.sectionType
+    });
+  }
+
+  return entries;
+}
+
+function analyzePricing(sections) {
+  return sections.flatMap(extractSectionPricing);
+}
+
+async function extractPricing(page, results) {
+  return { pricing: analyzePricing(results.sections) };
+}
+
+module.exports = { extractPricing, analyzePricing };
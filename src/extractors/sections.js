@@ -0,0 +1,63 @@
+// src/extractors/sections.js
+
+// Attribute set on each section's element so page-side extractor code can map any element back to a section
+const SECTION_ATTRIBUTE = 'data-scraper-section';
+
+// Global the page-side helpers are installed under; extractors read them inside page.evaluate
+const PAGE_HELPERS = '__scraperHelpers';
+
+// Runs in the page once the sections are marked, so every extractor shares one copy of these helpers
+function installPageHelpers(attribute, helpersName) {
+  const marked = Array.from(document.querySelectorAll(`[${attribute}]`));
+
+  window[helpersName] = {
+    // Element's own section, or the last section that starts before it
+    sectionOf: (element) => {
+      const owner = element.closest(`[${attribute}]`);
+      if (owner) return owner.getAttribute(attribute);
+      let found = null;
+      marked.forEach(candidate => {
+        if (candidate.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) found = candidate;
+      });
+      return found ? found.getAttribute(attribute) : null;
+    },
+
+    // Fixed or sticky, itself or through an ancestor, so it stays on screen while the page scrolls
+    isPinned: (element) => {
+      for (let current = element; current && current !== document.body; current = current.parentElement) {
+        if (['fixed', 'sticky'].includes(window.getComputedStyle(current).position)) return true;
+      }
+      return false;
+    }
+  };
+}
+
+// Resolve each section's xpath in the page, tag the element with its section ID and install the page helpers
+async function markSections(page, sections) {
+  const targets = sections
+    .filter(section => section.xpath)
+    .map(section => ({ sectionId: section.sectionId, xpath: section.xpath }));
+
+  const marked = await page.evaluate((targets, attribute) => {
+    let marked = 0;
+    targets.forEach(target => {
+      try {
+        const element = document.evaluate(
+          target.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null
+        ).singleNodeValue;
+        if (element && !element.hasAttribute(attribute)) {
+          element.setAttribute(attribute, target.sectionId);
+          marked++;
+        }
+      } catch (error) {
+        // Ids with quotes produce xpaths document.evaluate cannot parse; those sections stay unmarked
+      }
+    });
+    return marked;
+  }, targets, SECTION_ATTRIBUTE);
+
+  await page.evaluate(installPageHelpers, SECTION_ATTRIBUTE, PAGE_HELPERS);
+  return marked;
+}
+
+module.exports = { markSections, SECTION_ATTRIBUTE, PAGE_HELPERS };
@@ -0,0 +1,238 @@
+// src/extractors/service-areas.js
+const { PAGE_HELPERS } = require('./sections');
+
+const STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+const STATE_BY_NAME = Object.fromEntries(Object.entries(STATES).map(([code, name]) => [name.toLowerCase(), code]));
+
+const STATE_ALTERNATION = [...Object.keys(STATES), ...Object.values(STATES)].join('|');
+
+// Up to three capitalized words ("St. Paul", "Eden Prairie") followed by a state and optional ZIP
+const CITY_STATE_PATTERN = new RegExp(
+  `\\b((?:[A-Z][a-z]+\\.?\\s){0,2}[A-Z][a-z]+),\\s*(${STATE_ALTERNATION})\\b(?:\\s+(\\d{5})(?:-\\d{4})?\\b)?`,
+  'g'
+);
+
+const COUNTY_PATTERN = /\b((?:[A-Z][a-z]+\s){1,2})(County|Parish)\b/g;
+
+// "Hennepin, Ramsey and Dakota Counties"
+const COUNTIES_PATTERN = /\b((?:[A-Z][a-z]+,?\s+)+(?:and|&)\s+[A-Z][a-z]+)\s+Counties\b/g;
+
+const SERVING_PATTERN = /\b(?:proudly serving|now serving|serving|we serve|we also serve|areas we serve|service areas?(?: include)?|cities we serve)\b:?\s+((?:\b(?:St|Ste|Mt|Ft)\.|[^.!?\n])+)/gi;
+
+const ZIP_PATTERN = /(?<![\d$.,-])\b\d{5}\b(?![\d,.]\d|\s+[A-Z][a-z]|\s+(?!and\b|or\b)[a-z])/g;
+
+// ZIP lists: three or more ZIPs in a row
+const ZIP_LIST_PATTERN = /\b\d{5}(?:[,;\s]+\d{5}\b){2,}/g;
+
+// Text that says its numbers are ZIPs rather than prices, years or street numbers
+const AREA_CONTEXT = /\b(zip|postal|service areas?|areas we serve|serving|we serve|cities we serve|communities)\b/i;
+
+// Capitalized words that start marketing phrases rather than place names
+const GENERIC_WORDS = new Set([
+  'junk', 'removal', 'hauling', 'services', 'service', 'call', 'contact', 'us', 'free', 'estimate', 'estimates',
+  'home', 'our', 'we', 'the', 'best', 'top', 'local', 'affordable', 'same', 'day', 'today', 'now', 'serving',
+  'dumpster', 'rental', 'cleanout', 'cleanouts', 'company', 'llc', 'inc', 'areas', 'area', 'all', 'and',
+  'cities', 'communities', 'locations', 'serve', 'zip', 'codes'
+]);
+
+async function collectAreaLists(page) {
+  return page.evaluate((helpers) => {
+    const AREA_LABEL = /service.?areas?|areas?.?(we )?serve|cities.?(we )?serve|communities|locations.?(we )?serve|zip.?codes/i;
+
+    const { sectionOf } = window[helpers];
+
+    const itemsOf = (element) => {
+      const listItems = Array.from(element.querySelectorAll('li'));
+      if (element.tagName === 'LI') listItems.push(element);
+      const texts = listItems.length > 0
+        ? listItems.map(item => item.innerText || '')
+        : (element.innerText || '').split(/[\n,|•·]+/);
+      return texts.map(text => text.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    };
+
+    const lists = [];
+    const seen = new Set();
+    const addList = (element) => {
+      if (Array.from(seen).some(added => added.contains(element))) return;
+      seen.add(element);
+      const items = itemsOf(element);
+      if (items.length > 0) lists.push({ items, sectionId: sectionOf(element) });
+    };
+
+    // Containers labelled as service areas by class or id
+    document.querySelectorAll('[class], [id]').forEach(element => {
+      if (AREA_LABEL.test(`${element.getAttribute('class') || ''} ${element.id}`)) addList(element);
+    });
+
+    // Lists that follow a "Service Areas" / "Cities We Serve" heading, up to the next heading
+    document.querySelectorAll('h1, h2, h3, h4, h5, h6, strong, dt').forEach(heading => {
+      if (!AREA_LABEL.test(heading.innerText || '')) return;
+      let sibling = heading.nextElementSibling;
+      for (let i = 0; sibling && i < 3 && !/^H[1-6]$/.test(sibling.tagName); i++) {
+        if (sibling.matches('ul, ol, p, div, dd')) addList(sibling);
+        sibling = sibling.nextElementSibling;
+      }
+    });
+
+    return lists;
+  }, PAGE_HELPERS);
+}
+
+// Helper to turn "MN" or "Minnesota" into "MN"
+const toStateCode = (value) => {
+  if (!value) return null;
+  if (STATES[value.toUpperCase()] && value.length === 2) return value.toUpperCase();
+  return STATE_BY_NAME[value.toLowerCase()] || null;
+};
+
+// Drop leading marketing words ("Junk Removal Minneapolis" -> "Minneapolis"); null if nothing place-like is left
+function cleanPlaceName(value) {
+  const words = value.replace(/[^A-Za-z.' -]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  while (words.length > 0 && GENERIC_WORDS.has(words[0].toLowerCase().replace(/\.$/, ''))) {
+    words.shift();
+  }
+  if (words.length === 0 || words.length > 4) return null;
+  if (!words.every(word => /^[A-Z]/.test(word) || ['of', 'on', 'la', 'du'].includes(word))) return null;
+  if (words.some(word => GENERIC_WORDS.has(word.toLowerCase()))) return null;
+  return words.join(' ');
+}
+
+class AreaCollector {
+  constructor() {
+    this.areas = new Map();
+  }
+
+  add(type, name, sectionId, details = {}) {
+    if (!name) return null;
+    const key = `${type}:${name.toLowerCase().replace(/\bsaint\b/g, 'st.').replace(/\bst\b(?!\.)/g, 'st.')}`;
+    if (!this.areas.has(key)) {
+      this.areas.set(key, { name, type, state: null, zip: null, sectionIds: [], mentions: 0 });
+    }
+    const area = this.areas.get(key);
+    area.mentions++;
+    if (details.state && !area.state) area.state = details.state;
+    if (details.zip && !area.zip) area.zip = details.zip;
+    if (sectionId && !area.sectionIds.includes(sectionId)) area.sectionIds.push(sectionId);
+    return area;
+  }
+
+  list() {
+    return Array.from(this.areas.values());
+  }
+}
+
+// Split a "serving ..." phrase into places; the list ends at the first piece that is not a place name.
+// Counties are left to the county patterns, so "Hennepin, Ramsey and Dakota Counties" adds no cities
+function parseServingPhrase(phrase) {
+  const places = [];
+  const pieces = phrase
+    .replace(COUNTIES_PATTERN, ';')
+    .replace(COUNTY_PATTERN, ';')
+    .split(/,|;|\/|\s+(?:and|&|or)\s+/);
+
+  for (let i = 0; i < pieces.length; i++) {
+    let piece = pieces[i].trim().replace(/^(?:and|&)\s+/, '');
+    if (!piece) continue;
+
+    const state = toStateCode(piece.replace(/\s+\d{5}$/, ''));
+    if (state && places.length > 0) {
+      places[places.length - 1].state = state;
+      continue;
+    }
+
+    // The first piece may open with "homeowners in ..." or "the greater ..."
+    if (i === 0) {
+      const lead = piece.match(/(?:^|\s)(?:in|includes?|including|throughout|across|around|near|the greater|greater)\s+(.+)$/i);
+      if (lead) piece = lead[1];
+    }
+    piece = piece.replace(/\s+(?:and (?:the )?)?(?:surrounding|nearby)?\s*(?:areas?|suburbs|communities|metro)$/i, '');
+
+    // "Bloomington with same day pickup": the sentence moves on, but the place before it still counts
+    const place = piece.replace(/(?:\s+[a-z][\w'-]*)+$/, '');
+    const name = cleanPlaceName(place);
+    if (!name) break;
+    places.push({ name, state: null });
+    if (place !== piece) break;
+  }
+
+  return places;
+}
+
+function analyzeServiceAreas(sections, lists = []) {
+  const areas = new AreaCollector();
+
+  const addItem = (text, sectionId) => {
+    if (/^\d{5}(?:-\d{4})?$/.test(text)) {
+      areas.add('zip', text.substring(0, 5), sectionId);
+      return;
+    }
+    const county = text.match(/^([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\s+(County|Parish)$/);
+    if (county) {
+      areas.add('county', `${county[1]} ${county[2]}`, sectionId);
+      return;
+    }
+    const withState = text.match(/^(.+?),\s*([A-Za-z ]+?)(?:\s+(\d{5}))?$/);
+    const state = withState ? toStateCode(withState[2]) : null;
+    const name = cleanPlaceName(state ? withState[1] : text);
+    const zip = state && withState[3] ? withState[3] : null;
+    if (name) areas.add('city', name, sectionId, { state, zip });
+    if (zip) areas.add('zip', zip, sectionId);
+  };
+
+  sections.forEach(section => {
+    const text = section.text || '';
+    const sectionId = section.sectionId;
+
+    for (const match of text.matchAll(CITY_STATE_PATTERN)) {
+      const name = cleanPlaceName(match[1]);
+      const state = toStateCode(match[2]);
+      if (name) areas.add('city', name, sectionId, { state, zip: match[3] || null });
+      if (match[3]) areas.add('zip', match[3], sectionId);
+    }
+
+    for (const match of text.matchAll(SERVING_PATTERN)) {
+      parseServingPhrase(match[1]).forEach(place => {
+        areas.add('city', place.name, sectionId, { state: place.state });
+      });
+    }
+
+    for (const match of text.matchAll(COUNTIES_PATTERN)) {
+      match[1].split(/,|\s+(?:and|&)\s+/).map(name => name.trim()).filter(Boolean).forEach(name => {
+        areas.add('county', `${name} County`, sectionId);
+      });
+    }
+    for (const match of text.matchAll(COUNTY_PATTERN)) {
+      const name = cleanPlaceName(match[1]);
+      if (name) areas.add('county', `${name} ${match[2]}`, sectionId);
+    }
+
+    const zips = AREA_CONTEXT.test(text)
+      ? Array.from(text.matchAll(ZIP_PATTERN)).map(match => match[0])
+      : Array.from(text.matchAll(ZIP_LIST_PATTERN)).flatMap(match => match[0].match(/\d{5}/g));
+    zips.forEach(zip => areas.add('zip', zip, sectionId));
+  });
+
+  lists.forEach(list => {
+    list.items.forEach(item => addItem(item, list.sectionId));
+  });
+
+  return areas.list();
+}
+
+async function extractServiceAreas(page, results) {
+  const lists = await collectAreaLists(page);
+  return { serviceAreas: analyzeServiceAreas(results.sections, lists) };
+}
+
+module.exports = { extractServiceAreas, analyzeServiceAreas, parseServingPhrase };
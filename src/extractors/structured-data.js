@@ -0,0 +1,229 @@
+// src/extractors/structured-data.js
+
+// schema.org types that Google treats as a LocalBusiness (the ones junk removal sites actually use)
+const LOCAL_BUSINESS_TYPES = [
+  'LocalBusiness', 'HomeAndConstructionBusiness', 'MovingCompany', 'ProfessionalService',
+  'GeneralContractor', 'HousePainter', 'Plumber', 'Electrician', 'RoofingContractor',
+  'HVACBusiness', 'Locksmith', 'RecyclingCenter', 'AutomotiveBusiness', 'Store'
+];
+
+// Collect raw JSON-LD text, microdata items and RDFa items from the rendered page
+async function collectStructuredData(page) {
+  return page.evaluate(() => {
+    const valueOf = (element, readItem) => {
+      if (readItem) return readItem(element);
+      const tag = element.tagName.toLowerCase();
+      if (element.hasAttribute('content')) return element.getAttribute('content');
+      if (['a', 'link', 'area'].includes(tag)) return element.href;
+      if (['img', 'audio', 'video', 'source', 'iframe', 'embed'].includes(tag)) return element.src;
+      if (tag === 'time' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+      if (['data', 'meter'].includes(tag) && element.hasAttribute('value')) return element.getAttribute('value');
+      return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    };
+
+    const addProperty = (data, name, value) => {
+      if (data[name] === undefined) {
+        data[name] = value;
+      } else {
+        data[name] = [].concat(data[name], value);
+      }
+    };
+
+    // Microdata: properties belong to the nearest enclosing itemscope
+    const readMicrodata = (item) => {
+      const data = {};
+      const types = (item.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean);
+      if (types.length > 0) data['@type'] = types.length === 1 ? types[0] : types;
+      item.querySelectorAll('[itemprop]').forEach(element => {
+        const owner = element.parentElement ? element.parentElement.closest('[itemscope]') : null;
+        if (owner !== item) return;
+        const value = valueOf(element, element.hasAttribute('itemscope') ? readMicrodata : null);
+        element.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => addProperty(data, name, value));
+      });
+      return data;
+    };
+
+    // RDFa Lite: properties belong to the nearest enclosing typeof
+    const readRdfa = (item) => {
+      const data = {};
+      const vocab = (item.closest('[vocab]') || item).getAttribute('vocab') || '';
+      const types = (item.getAttribute('typeof') || '').split(/\s+/).filter(Boolean).map(type => vocab + type);
+      if (types.length > 0) data['@type'] = types.length === 1 ? types[0] : types;
+      item.querySelectorAll('[property]').forEach(element => {
+        const owner = element.parentElement ? element.parentElement.closest('[typeof]') : null;
+        if (owner !== item) return;
+        const value = element.hasAttribute('typeof')
+          ? readRdfa(element)
+          : (element.getAttribute('resource') || valueOf(element));
+        element.getAttribute('property').split(/\s+/).filter(Boolean).forEach(name => addProperty(data, name, value));
+      });
+      return data;
+    };
+
+    return {
+      jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+        .map(script => script.textContent),
+      microdata: Array.from(document.querySelectorAll('[itemscope]'))
+        .filter(item => !item.hasAttribute('itemprop'))
+        .map(readMicrodata),
+      rdfa: Array.from(document.querySelectorAll('[typeof]'))
+        .filter(item => !item.hasAttribute('property'))
+        .map(readRdfa)
+    };
+  });
+}
+
+// Helper to strip vocabulary prefixes so every format reports "LocalBusiness", not "https://schema.org/LocalBusiness"
+const normalizeType = (type) => String(type)
+  .replace(/^https?:\/\/(www\.)?schema\.org\//i, '')
+  .replace(/^schema:/i, '');
+
+const typesOf = (node) => [].concat(node && node['@type'] ? node['@type'] : []).map(normalizeType);
+
+const isMissing = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+
+// Strip vocabulary prefixes from property names and types, recursively
+function normalizeNode(node) {
+  if (Array.isArray(node)) return node.map(normalizeNode);
+  if (!node || typeof node !== 'object') return node;
+
+  const normalized = {};
+  Object.entries(node).forEach(([key, value]) => {
+    const name = key.startsWith('@') ? key : normalizeType(key);
+    if (key === '@type') {
+      const types = [].concat(value).map(normalizeType);
+      normalized[name] = types.length === 1 ? types[0] : types;
+    } else {
+      normalized[name] = normalizeNode(value);
+    }
+  });
+  return normalized;
+}
+
+// Rules for the schema types junk removal sites ship; paths point into the item
+function validateNode(node, path, errors, warnings) {
+  if (Array.isArray(node)) {
+    node.forEach((child, index) => validateNode(child, `${path}[${index}]`, errors, warnings));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  const types = typesOf(node);
+  const label = path || types[0] || 'item';
+
+  // Nested businesses (e.g. a Service provider) are usually partial references, so only check top-level ones
+  if (!path && types.some(type => LOCAL_BUSINESS_TYPES.includes(type))) {
+    ['name', 'address', 'telephone'].forEach(field => {
+      if (isMissing(node[field])) errors.push(`${label}: missing required LocalBusiness field "${field}"`);
+    });
+    const address = [].concat(node.address || [])[0];
+    if (address && typeof address === 'object') {
+      ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode'].forEach(field => {
+        if (isMissing(address[field])) warnings.push(`${label}: address is missing "${field}"`);
+      });
+    } else if (typeof address === 'string') {
+      warnings.push(`${label}: address is plain text instead of a PostalAddress`);
+    }
+    if (isMissing(node.openingHoursSpecification) && isMissing(node.openingHours)) {
+      warnings.push(`${label}: no opening hours`);
+    }
+  }
+
+  if (types.includes('FAQPage')) {
+    const questions = [].concat(node.mainEntity || []);
+    if (questions.length === 0) errors.push(`${label}: FAQPage has no mainEntity questions`);
+    questions.forEach((question, index) => {
+      const answer = [].concat(question && question.acceptedAnswer ? question.acceptedAnswer : [])[0];
+      if (!question || isMissing(question.name)) errors.push(`${label}: question ${index + 1} has no "name"`);
+      if (!answer || isMissing(answer.text)) errors.push(`${label}: question ${index + 1} has no acceptedAnswer text`);
+    });
+  }
+
+  if (types.includes('Review')) {
+    if (isMissing(node.author)) errors.push(`${label}: Review is missing "author"`);
+    if (isMissing(node.reviewRating)) warnings.push(`${label}: Review has no reviewRating`);
+  }
+
+  if (types.includes('AggregateRating')) {
+    if (isMissing(node.ratingValue)) errors.push(`${label}: AggregateRating is missing "ratingValue"`);
+    if (isMissing(node.reviewCount) && isMissing(node.ratingCount)) {
+      errors.push(`${label}: AggregateRating needs "reviewCount" or "ratingCount"`);
+    }
+  }
+
+  if (types.includes('Service')) {
+    if (isMissing(node.name) && isMissing(node.serviceType)) warnings.push(`${label}: Service has no "name" or "serviceType"`);
+    if (isMissing(node.provider)) warnings.push(`${label}: Service has no "provider"`);
+  }
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (!key.startsWith('@') && value && typeof value === 'object') {
+      validateNode(value, path ? `${path}.${key}` : key, errors, warnings);
+    }
+  });
+}
+
+function toEntry(format, data, extraErrors = []) {
+  const node = normalizeNode(data);
+  const types = typesOf(node);
+  const errors = [...extraErrors];
+  const warnings = [];
+  if (types.length === 0) warnings.push('Item has no @type');
+  validateNode(node, '', errors, warnings);
+  return { format, type: types[0] || null, types, data: node, errors, warnings };
+}
+
+// Turn the raw blocks into one normalized entry per top-level item
+function normalizeStructuredData(raw) {
+  const entries = [];
+
+  raw.jsonLd.forEach((text, index) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(text.trim().replace(/^<!--|-->$/g, ''));
+    } catch (error) {
+      entries.push({
+        format: 'json-ld',
+        type: null,
+        types: [],
+        data: null,
+        raw: text.trim().substring(0, 200),
+        errors: [`Invalid JSON in ld+json block ${index + 1}: ${error.message}`],
+        warnings: []
+      });
+      return;
+    }
+
+    [].concat(parsed).forEach(block => {
+      if (!block || typeof block !== 'object') return;
+      const context = block['@context'];
+      // A null or a bare string in @graph would otherwise throw and lose every entry on the page
+      const nodes = (Array.isArray(block['@graph']) ? block['@graph'] : [block])
+        .filter(node => node && typeof node === 'object' && !Array.isArray(node));
+      nodes.forEach(node => {
+        const contextErrors = context || node['@context'] ? [] : ['Missing @context'];
+        const data = { ...node };
+        delete data['@context'];
+        entries.push(toEntry('json-ld', data, contextErrors));
+      });
+    });
+  });
+
+  raw.microdata.forEach(item => entries.push(toEntry('microdata', item)));
+  raw.rdfa.forEach(item => entries.push(toEntry('rdfa', item)));
+
+  return entries;
+}
+
+async function extractStructuredData(page) {
+  const raw = await collectStructuredData(page);
+  return { structuredData: normalizeStructuredData(raw) };
+}
+
+module.exports = {
+  extractStructuredData,
+  normalizeStructuredData,
+  LOCAL_BUSINESS_TYPES,
+  normalizeType
+};
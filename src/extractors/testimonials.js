@@ -0,0 +1,285 @@
+// src/extractors/testimonials.js
+const { PAGE_HELPERS } = require('./sections');
+
+const PLATFORMS = ['google', 'yelp', 'facebook', 'angi', 'homeadvisor', 'bbb', 'thumbtack', 'nextdoor', 'trustpilot', 'houzz'];
+
+// What reviewers praise or complain about, for comparing competitors
+const THEMES = {
+  punctual: /\b(on time|punctual|prompt|showed up|arrived)\b/i,
+  fast: /\b(fast|quick(ly)?|efficient|same[- ]day|in no time)\b/i,
+  friendly: /\b(friendly|polite|courteous|kind|nice|pleasant)\b/i,
+  professional: /\b(professional|knowledgeable|experienced)\b/i,
+  price: /\b(price|pricing|affordable|cheap|reasonable|cost|quote|estimate|value)\b/i,
+  careful: /\b(careful|clean(ed)? up|no damage|respectful|swept)\b/i,
+  communication: /\b(communicat\w*|responsive|called|texted|kept us informed)\b/i,
+  recycling: /\b(recycl\w*|donat\w*|eco|environment\w*)\b/i
+};
+
+async function collectTestimonials(page) {
+  return page.evaluate((helpers, platforms) => {
+    const { sectionOf } = window[helpers];
+
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const words = (text) => clean(text).split(' ').filter(Boolean).length;
+    const classOf = (element) => `${element.getAttribute('class') || ''} ${element.id || ''}`;
+
+    // Review widgets, testimonial sliders and sections headed "What our customers say"
+    const CONTAINER = /testimonial|(^|[\s_-])reviews?([\s_-]|$)|customer[-_]?stor|client[-_]?say/i;
+    const containers = Array.from(document.querySelectorAll('[class], [id], [itemtype], section'))
+      .filter(element => CONTAINER.test(classOf(element)) || /Review/.test(element.getAttribute('itemtype') || '') ||
+        (element.tagName === 'SECTION' && /testimonial|review|what (our )?(customers|clients|neighbors) (say|are saying)/i
+          .test(clean((element.querySelector('h1, h2, h3') || {}).textContent))));
+
+    // The quote itself, most specific markup first; within a pass the innermost match wins so a wrapper
+    // div holding quote and name together is not mistaken for the quote
+    const quotes = [];
+    const QUOTE_PASSES = [
+      'blockquote, q, [itemprop="reviewBody"]',
+      '[class*="quote" i], [class*="text" i], [class*="content" i], [class*="body" i], [class*="comment" i]',
+      'p'
+    ];
+    QUOTE_PASSES.forEach(selector => {
+      containers.forEach(container => {
+        const candidates = Array.from(container.querySelectorAll(selector))
+          .filter(element => words(element.textContent) >= 8 && !/^H[1-6]$/.test(element.tagName));
+        candidates.forEach(element => {
+          if (candidates.some(other => other !== element && element.contains(other))) return;
+          if (quotes.some(quote => quote.element.contains(element) || element.contains(quote.element))) return;
+          quotes.push({ element, container });
+        });
+      });
+    });
+
+    // Widen each quote to the largest ancestor, up to its container, that holds no other quote: the testimonial card
+    const cardOf = ({ element, container }) => {
+      let card = element;
+      while (card !== container && card.parentElement &&
+        !quotes.some(other => other.element !== element && card.parentElement.contains(other.element))) {
+        card = card.parentElement;
+      }
+      return card;
+    };
+
+    const firstText = (card, selector, exclude) => {
+      const element = Array.from(card.querySelectorAll(selector)).find(candidate => !exclude.contains(candidate) &&
+        clean(candidate.textContent));
+      return element ? clean(element.getAttribute('content') || element.textContent) : null;
+    };
+
+    const ratingOf = (card) => {
+      const value = card.querySelector('[itemprop="ratingValue"]');
+      if (value) return { value: parseFloat(value.getAttribute('content') || value.textContent), source: 'schema' };
+
+      const labelled = [card, ...card.querySelectorAll('[aria-label], [title], [data-rating], [data-score]')].find(element =>
+        /(\d(?:\.\d)?)\s*(?:out of|\/|of)\s*5|(\d(?:\.\d)?)\s*stars?/i.test(element.getAttribute('aria-label') || element.getAttribute('title') || '') ||
+        element.hasAttribute('data-rating') || element.hasAttribute('data-score'));
+      if (labelled) {
+        const data = labelled.getAttribute('data-rating') || labelled.getAttribute('data-score');
+        if (data && !isNaN(parseFloat(data))) return { value: parseFloat(data), source: 'attribute' };
+        const match = (labelled.getAttribute('aria-label') || labelled.getAttribute('title') || '')
+          .match(/(\d(?:\.\d)?)\s*(?:out of|\/|of)\s*5|(\d(?:\.\d)?)\s*stars?/i);
+        if (match) return { value: parseFloat(match[1] || match[2]), source: 'label' };
+      }
+
+      const classRating = classOf(card).match(/(?:stars?|rating)[-_]?(\d)(?:[-_](\d))?\b/i) ||
+        Array.from(card.querySelectorAll('[class*="star" i], [class*="rating" i]'))
+          .map(element => classOf(element).match(/(?:stars?|rating)[-_]?(\d)(?:[-_](\d))?\b/i))
+          .find(Boolean);
+      if (classRating) return { value: parseFloat(`${classRating[1]}.${classRating[2] || 0}`), source: 'class' };
+
+      const glyphs = (card.textContent.match(/★/g) || []).length;
+      if (glyphs > 0 && glyphs <= 5) return { value: glyphs, source: 'icons' };
+
+      // Icon stars: count filled ones, halves count 0.5, outlines count nothing
+      const icons = Array.from(card.querySelectorAll('[class*="star" i]'))
+        .filter(element => !element.querySelector('[class*="star" i]'));
+      if (icons.length > 0 && icons.length <= 10) {
+        const value = icons.reduce((total, icon) => {
+          const name = classOf(icon).toLowerCase();
+          if (/empty|outline|-o\b|regular|off|inactive/.test(name)) return total;
+          return total + (/half/.test(name) ? 0.5 : 1);
+        }, 0);
+        if (value > 0 && value <= 5) return { value, source: 'icons' };
+      }
+      return null;
+    };
+
+    const platformOf = (card) => {
+      const hints = [
+        classOf(card),
+        ...Array.from(card.querySelectorAll('img, a, svg, [class*="logo" i], [class*="source" i], [class*="platform" i]'))
+          .map(element => `${classOf(element)} ${element.getAttribute('alt') || ''} ${element.getAttribute('src') || ''} ${element.getAttribute('href') || ''} ${element.getAttribute('aria-label') || ''}`),
+        (card.textContent.match(/\b(?:on|via|from)\s+(google|yelp|facebook|angi|homeadvisor|bbb|thumbtack|nextdoor|trustpilot|houzz)\b/i) || [''])[0]
+      ].join(' ').toLowerCase();
+      return platforms.find(platform => new RegExp(`\\b${platform}`).test(hints)) || null;
+    };
+
+    return quotes.map(({ element: quote, container }) => {
+      const card = cardOf({ element: quote, container });
+      const style = window.getComputedStyle(card);
+      const authorElement = card.querySelector('[itemprop="author"]');
+      return {
+        quote: clean(quote.getAttribute('content') || quote.textContent),
+        cardText: clean(card.innerText || card.textContent),
+        name: authorElement
+          ? clean((authorElement.querySelector('[itemprop="name"]') || authorElement).textContent)
+          : firstText(card, 'cite, [class*="name" i], [class*="author" i], [class*="reviewer" i], [class*="client" i], strong, b, h3, h4, h5, h6', quote),
+        location: firstText(card, '[class*="location" i], [class*="city" i], [class*="place" i], [itemprop="address"]', quote),
+        date: (() => {
+          const time = card.querySelector('time[datetime], [itemprop="datePublished"]');
+          if (time) return time.getAttribute('datetime') || time.getAttribute('content') || clean(time.textContent);
+          return firstText(card, '[class*="date" i], [class*="time" i]', quote);
+        })(),
+        rating: ratingOf(card),
+        platform: platformOf(card),
+        // Carousels clone slides for infinite scrolling
+        clone: !!quote.closest('.slick-cloned, .swiper-slide-duplicate, .cloned, [class*="clone" i]'),
+        hidden: style.display === 'none' || style.visibility === 'hidden' || !!quote.closest('[aria-hidden="true"]'),
+        sectionId: sectionOf(card)
+      };
+    });
+  }, PAGE_HELPERS, PLATFORMS);
+}
+
+const normalizeQuote = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Helper to pull "— Jane D., Edina" or "Jane D. from Edina, MN" out of card text when there is no name markup
+function signatureOf(cardText, quote) {
+  const rest = cardText.replace(quote, ' ').replace(/["“”]/g, ' ').replace(/\s+/g, ' ').trim();
+  const match = rest.match(/(?:^|[-–—~]\s*)([A-Z][a-z]+(?:\s[A-Z][a-z]*\.?)?)(?:\s*(?:,|from|in)\s*([A-Z][a-z]+(?:\s[A-Z][a-z]+)?(?:,\s*[A-Z]{2})?))?/);
+  return match ? { name: match[1], location: match[2] || null } : { name: null, location: null };
+}
+
+// Names often carry the location: "Jane D., Edina MN" or "Jane D. - Minneapolis"
+function splitName(name) {
+  const match = name.match(/^(.+?)\s*(?:,|\s[-–—|]\s|\sfrom\s)\s*(.+)$/);
+  return match ? { name: match[1].trim(), location: match[2].trim() } : { name, location: null };
+}
+
+function schemaReviews(structuredData = []) {
+  const reviews = [];
+  const aggregates = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object') return;
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('Review') && typeof node.reviewBody === 'string') {
+      const author = [].concat(node.author || [])[0];
+      const rating = node.reviewRating && typeof node.reviewRating === 'object' ? node.reviewRating.ratingValue : null;
+      reviews.push({
+        quote: node.reviewBody.replace(/\s+/g, ' ').trim(),
+        name: typeof author === 'string' ? author : (author && author.name) || null,
+        date: node.datePublished || null,
+        rating: rating !== null && rating !== undefined && !isNaN(parseFloat(rating)) ? parseFloat(rating) : null
+      });
+    }
+    if (types.includes('AggregateRating')) {
+      aggregates.push({
+        ratingValue: parseFloat(node.ratingValue) || null,
+        reviewCount: parseInt(node.reviewCount || node.ratingCount, 10) || null
+      });
+    }
+    Object.keys(node).forEach(key => {
+      if (!key.startsWith('@')) visit(node[key]);
+    });
+  };
+  structuredData.forEach(entry => visit(entry.data));
+  return { reviews, aggregates };
+}
+
+function analyzeTestimonials(cards, structuredData) {
+  const items = [];
+  const byQuote = new Map();
+  let duplicates = 0;
+
+  // Visible originals first, so a clone never stands in for the slide it copies
+  const ordered = [...cards].sort((a, b) => (a.clone || a.hidden) - (b.clone || b.hidden));
+
+  ordered.forEach(card => {
+    const key = normalizeQuote(card.quote);
+    if (!key) return;
+    if (byQuote.has(key)) {
+      duplicates++;
+      return;
+    }
+
+    let { name, location } = card.name ? splitName(card.name) : signatureOf(card.cardText, card.quote);
+    if (card.location) location = card.location;
+    if (name && name.length > 60) name = null;
+
+    const item = {
+      quote: card.quote.replace(/^["“]|["”]$/g, '').trim(),
+      name: name,
+      location: location,
+      rating: card.rating ? card.rating.value : null,
+      ratingSource: card.rating ? card.rating.source : null,
+      date: card.date,
+      platform: card.platform,
+      sectionId: card.sectionId,
+      source: 'page'
+    };
+    byQuote.set(key, item);
+    items.push(item);
+  });
+
+  const { reviews, aggregates } = schemaReviews(structuredData);
+  reviews.forEach(review => {
+    const key = normalizeQuote(review.quote);
+    const existing = byQuote.get(key);
+    if (existing) {
+      if (existing.rating === null && review.rating !== null) {
+        existing.rating = review.rating;
+        existing.ratingSource = 'schema';
+      }
+      if (!existing.name) existing.name = review.name;
+      if (!existing.date) existing.date = review.date;
+      return;
+    }
+    const item = {
+      quote: review.quote,
+      name: review.name,
+      location: null,
+      rating: review.rating,
+      ratingSource: review.rating !== null ? 'schema' : null,
+      date: review.date,
+      platform: null,
+      sectionId: null,
+      source: 'schema'
+    };
+    byQuote.set(key, item);
+    items.push(item);
+  });
+
+  const rated = items.filter(item => item.rating !== null);
+  const platforms = {};
+  items.forEach(item => {
+    if (item.platform) platforms[item.platform] = (platforms[item.platform] || 0) + 1;
+  });
+  const themes = {};
+  Object.entries(THEMES).forEach(([theme, pattern]) => {
+    const count = items.filter(item => pattern.test(item.quote)).length;
+    if (count > 0) themes[theme] = count;
+  });
+
+  return {
+    items: items,
+    summary: {
+      count: items.length,
+      duplicatesRemoved: duplicates,
+      withName: items.filter(item => item.name).length,
+      withRating: rated.length,
+      averageRating: rated.length > 0
+        ? Math.round(rated.reduce((total, item) => total + item.rating, 0) / rated.length * 100) / 100
+        : null,
+      platforms: platforms,
+      themes: themes,
+      aggregateRating: aggregates[0] || null
+    }
+  };
+}
+
+async function extractTestimonials(page, results) {
+  return { testimonials: analyzeTestimonials(await collectTestimonials(page), results.structuredData) };
+}
+
+module.exports = { extractTestimonials, analyzeTestimonials };
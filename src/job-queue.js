@@ -0,0 +1,168 @@
+// src/job-queue.js
+const crypto = require('crypto');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+class JobQueue {
+  constructor(runJob, options = {}) {
+    this.runJob = runJob;
+    this.concurrency = Math.max(1, options.concurrency || 2);
+    this.maxQueued = options.maxQueued || 100;
+    this.retention = options.retention || 60 * 60 * 1000; // Keep finished jobs for 1 hour
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+
+    // Periodically drop finished jobs so memory stays bounded
+    this.cleanupTimer = setInterval(() => this.cleanup(), 5 * 60 * 1000);
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+
+  add(type, payload) {
+    if (this.queue.length >= this.maxQueued) {
+      throw new Error(`Job queue is full (${this.maxQueued} jobs waiting)`);
+    }
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type: type,
+      payload: payload,
+      status: JOB_STATUS.QUEUED,
+      progress: { percent: 0, stage: 'queued' },
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      cancelRequested: false
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.processQueue();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  // Queued jobs are cancelled immediately; running jobs stop at their next checkpoint
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) return job;
+
+    job.cancelRequested = true;
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finish(job, JOB_STATUS.CANCELLED);
+    }
+    return job;
+  }
+
+  processQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.execute(job);
+    }
+  }
+
+  async execute(job) {
+    this.running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    job.progress = { percent: 0, stage: 'starting' };
+
+    const context = {
+      reportProgress: (percent, stage) => {
+        job.progress = { percent: Math.min(100, Math.round(percent)), stage: stage || job.progress.stage };
+      },
+      isCancelled: () => job.cancelRequested
+    };
+
+    try {
+      const result = await this.runJob(job, context);
+      if (job.cancelRequested) {
+        this.finish(job, JOB_STATUS.CANCELLED);
+      } else {
+        job.result = result;
+        job.progress = { percent: 100, stage: 'done' };
+        this.finish(job, JOB_STATUS.COMPLETED);
+      }
+    } catch (error) {
+      job.error = error.message;
+      this.finish(job, job.cancelRequested ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED);
+    } finally {
+      this.running--;
+      this.processQueue();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    if (status === JOB_STATUS.CANCELLED) {
+      job.progress = { ...job.progress, stage: 'cancelled' };
+    }
+  }
+
+  cleanup() {
+    const cutoff = Date.now() - this.retention;
+    this.jobs.forEach((job, id) => {
+      if (FINISHED_STATUSES.includes(job.status) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    });
+  }
+
+  // Public view of a job - results are only included when asked for
+  serialize(job, includeResult = true) {
+    const view = {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      url: job.payload.url,
+      progress: job.progress,
+      queuePosition: job.status === JOB_STATUS.QUEUED ? this.queue.indexOf(job) + 1 : null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error
+    };
+    if (includeResult) {
+      view.result = job.result;
+    }
+    return view;
+  }
+
+  stats() {
+    const counts = {};
+    Object.values(JOB_STATUS).forEach(status => { counts[status] = 0; });
+    this.jobs.forEach(job => { counts[job.status]++; });
+    return { concurrency: this.concurrency, running: this.running, waiting: this.queue.length, jobs: counts };
+  }
+
+  close() {
+    clearInterval(this.cleanupTimer);
+    this.queue.forEach(job => {
+      job.cancelRequested = true;
+      this.finish(job, JOB_STATUS.CANCELLED);
+    });
+    this.queue = [];
+  }
+}
+
+module.exports = { JobQueue, JOB_STATUS };
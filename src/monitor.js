@@ -0,0 +1,446 @@
+// src/monitor.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { diffResults } = require('./diff');
+const { getDeviceProfile } = require('./devices');
+
+const NAMED_SCHEDULES = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const MIN_INTERVAL = 5 * 60 * 1000;
+
+const PRICE_PATTERN = /\$\s?\d+(?:,\d{3})*(?:\.\d{2})?/g;
+
+const HEADING_TAG = /^h[1-6]$/i;
+
+// A lock file older than this was left behind by a crashed process and is taken over
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 50;
+
+// Accepts hourly, daily, weekly or an interval such as 30m, 6h or 2d
+function parseSchedule(schedule) {
+  if (NAMED_SCHEDULES[schedule]) return NAMED_SCHEDULES[schedule];
+
+  const match = /^(\d+)\s*([mhd])$/i.exec(String(schedule || '').trim());
+  if (!match) {
+    throw new Error(`Invalid schedule "${schedule}". Use hourly, daily, weekly or an interval like 30m, 6h or 2d`);
+  }
+  const interval = parseInt(match[1], 10) * UNIT_MS[match[2].toLowerCase()];
+  if (interval < MIN_INTERVAL) {
+    throw new Error('Schedule interval must be at least 5 minutes');
+  }
+  return interval;
+}
+
+// Helper to pull dollar amounts out of section text, normalized as "$1,299"
+const extractPrices = (text) => (text.match(PRICE_PATTERN) || []).map(price => price.replace(/\s/g, ''));
+
+const samePrices = (a, b) => a.length === b.length && [...a].sort().join('|') === [...b].sort().join('|');
+
+const snippet = (text) => text.length > 120 ? text.substring(0, 120) + '...' : text;
+
+// Turn a content diff into the changes competitors care about: services, prices and headings
+function detectChanges(previous, current) {
+  const diff = diffResults(previous, current);
+  const beforeById = new Map(previous.sections.map(section => [section.sectionId, section]));
+  const afterById = new Map(current.sections.map(section => [section.sectionId, section]));
+  const changes = [];
+
+  if (diff.summary.titleChanged) {
+    changes.push({ type: 'title-changed', from: previous.title, to: current.title });
+  }
+
+  diff.added.forEach(summary => {
+    const section = afterById.get(summary.sectionId);
+    if (section.sectionType === 'service') {
+      changes.push({ type: 'new-service', sectionId: section.sectionId, text: snippet(section.text) });
+    }
+    if (HEADING_TAG.test(section.element || '')) {
+      changes.push({ type: 'new-heading', sectionId: section.sectionId, element: section.element, text: snippet(section.text) });
+    }
+    const prices = extractPrices(section.text);
+    if (prices.length > 0) {
+      changes.push({ type: 'price-added', sectionId: section.sectionId, prices: prices, text: snippet(section.text) });
+    }
+  });
+
+  diff.removed.forEach(summary => {
+    const section = beforeById.get(summary.sectionId);
+    if (section.sectionType === 'service') {
+      changes.push({ type: 'removed-service', sectionId: section.sectionId, text: snippet(section.text) });
+    }
+    if (HEADING_TAG.test(section.element || '')) {
+      changes.push({ type: 'removed-heading', sectionId: section.sectionId, element: section.element, text: snippet(section.text) });
+    }
+    const prices = extractPrices(section.text);
+    if (prices.length > 0) {
+      changes.push({ type: 'price-removed', sectionId: section.sectionId, prices: prices, text: snippet(section.text) });
+    }
+  });
+
+  diff.modified.forEach(entry => {
+    const before = beforeById.get(entry.before.sectionId);
+    const after = afterById.get(entry.after.sectionId);
+    if (after.sectionType === 'service' && before.sectionType !== 'service') {
+      changes.push({ type: 'new-service', sectionId: after.sectionId, text: snippet(after.text) });
+    }
+    if (HEADING_TAG.test(after.element || '')) {
+      changes.push({
+        type: 'heading-changed',
+        sectionId: after.sectionId,
+        element: after.element,
+        from: snippet(before.text),
+        to: snippet(after.text)
+      });
+    }
+    const beforePrices = extractPrices(before.text);
+    const afterPrices = extractPrices(after.text);
+    if (!samePrices(beforePrices, afterPrices)) {
+      changes.push({
+        type: 'price-changed',
+        sectionId: after.sectionId,
+        from: beforePrices,
+        to: afterPrices,
+        text: snippet(after.text)
+      });
+    }
+  });
+
+  return { diff, changes };
+}
+
+// Helper to write JSON without leaving a half-written file behind
+async function writeJsonAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data), 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+// Helper to hold a lock file shared by every process using the store; resolves to its release function
+async function acquireFileLock(lockPath) {
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(String(process.pid), 'utf8');
+      await handle.close();
+      return () => fs.unlink(lockPath).catch(() => {});
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stats = await fs.stat(lockPath).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      await fs.unlink(lockPath).catch(() => {});
+    } else {
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+}
+
+// Watch list, snapshots and change history on disk, so the server and CLI share them
+class MonitorStore {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join('output', 'monitors');
+    this.maxSnapshots = options.maxSnapshots || 30;
+    this.maxChanges = options.maxChanges || 200;
+    this.lock = Promise.resolve();
+  }
+
+  get monitorsFile() {
+    return path.join(this.directory, 'monitors.json');
+  }
+
+  get lockFile() {
+    return path.join(this.directory, 'monitors.lock');
+  }
+
+  monitorDir(id) {
+    return path.join(this.directory, id);
+  }
+
+  // Serialize read-modify-write cycles on the shared files: the promise chain orders calls within this
+  // process and the lock file keeps another process (the CLI next to the server) out while one runs
+  withLock(fn) {
+    const locked = async () => {
+      const release = await acquireFileLock(this.lockFile);
+      try {
+        return await fn();
+      } finally {
+        await release();
+      }
+    };
+    const run = this.lock.then(locked, locked);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async listMonitors() {
+    return readJson(this.monitorsFile, []);
+  }
+
+  async getMonitor(id) {
+    const monitors = await this.listMonitors();
+    return monitors.find(monitor => monitor.id === id) || null;
+  }
+
+  addMonitor(monitor) {
+    return this.withLock(async () => {
+      const monitors = await this.listMonitors();
+      const existing = monitors.find(entry => entry.url === monitor.url && entry.device === monitor.device);
+      if (existing) {
+        throw new Error(`${monitor.url} is already monitored on ${monitor.device} (monitor ${existing.id})`);
+      }
+      monitors.push(monitor);
+      await writeJsonAtomic(this.monitorsFile, monitors);
+      return monitor;
+    });
+  }
+
+  updateMonitor(id, updates) {
+    return this.withLock(async () => {
+      const monitors = await this.listMonitors();
+      const monitor = monitors.find(entry => entry.id === id);
+      if (!monitor) return null;
+      Object.assign(monitor, updates);
+      await writeJsonAtomic(this.monitorsFile, monitors);
+      return monitor;
+    });
+  }
+
+  removeMonitor(id) {
+    return this.withLock(async () => {
+      const monitors = await this.listMonitors();
+      const remaining = monitors.filter(entry => entry.id !== id);
+      if (remaining.length === monitors.length) return false;
+      await writeJsonAtomic(this.monitorsFile, remaining);
+      await fs.rm(this.monitorDir(id), { recursive: true, force: true });
+      return true;
+    });
+  }
+
+  async listSnapshots(id) {
+    const files = await fs.readdir(path.join(this.monitorDir(id), 'snapshots')).catch(() => []);
+    return files.filter(file => file.endsWith('.json')).sort();
+  }
+
+  async loadSnapshot(id, file) {
+    return readJson(path.join(this.monitorDir(id), 'snapshots', path.basename(file)), null);
+  }
+
+  async latestSnapshot(id) {
+    const files = await this.listSnapshots(id);
+    if (files.length === 0) return null;
+    const file = files[files.length - 1];
+    return { file, result: await this.loadSnapshot(id, file) };
+  }
+
+  async saveSnapshot(id, result) {
+    const file = `${(result.scrapedAt || new Date().toISOString()).replace(/[:.]/g, '-')}.json`;
+    await writeJsonAtomic(path.join(this.monitorDir(id), 'snapshots', file), result);
+
+    // Keep only the newest snapshots
+    const files = await this.listSnapshots(id);
+    await Promise.all(files.slice(0, Math.max(0, files.length - this.maxSnapshots))
+      .map(old => fs.unlink(path.join(this.monitorDir(id), 'snapshots', old)).catch(() => {})));
+    return file;
+  }
+
+  // Newest first
+  async listChanges(id, limit = 50) {
+    const changes = await readJson(path.join(this.monitorDir(id), 'changes.json'), []);
+    return changes.slice(-limit).reverse();
+  }
+
+  appendChange(id, record) {
+    return this.withLock(async () => {
+      const filePath = path.join(this.monitorDir(id), 'changes.json');
+      const changes = await readJson(filePath, []);
+      changes.push(record);
+      await writeJsonAtomic(filePath, changes.slice(-this.maxChanges));
+      return record;
+    });
+  }
+}
+
+class CompetitorMonitor {
+  constructor(scrape, options = {}) {
+    this.scrape = scrape; // async (url, { device }) => scrape result
+    this.store = options.store || new MonitorStore(options);
+    this.checkInterval = options.checkInterval || 60 * 1000;
+    this.log = options.log || (() => {});
+    this.running = new Set();
+    this.checking = false;
+    this.timer = null;
+  }
+
+  // Check for due monitors every checkInterval, starting now
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runDue(), this.checkInterval);
+    if (this.timer.unref) this.timer.unref();
+    this.runDue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async add({ url, schedule = 'daily', name, device = 'desktop' }) {
+    if (!url || !/^https?:\/\//i.test(url)) {
+      throw new Error('A valid HTTP or HTTPS URL is required');
+    }
+    const interval = parseSchedule(schedule);
+    getDeviceProfile(device);
+
+    const now = new Date().toISOString();
+    const monitor = {
+      id: crypto.randomBytes(6).toString('hex'),
+      url: url,
+      name: name || new URL(url).hostname,
+      schedule: schedule,
+      interval: interval,
+      device: device,
+      createdAt: now,
+      nextRunAt: now, // Take the baseline snapshot on the next check
+      lastRunAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastChangeAt: null,
+      runs: 0,
+      changes: 0
+    };
+    return this.store.addMonitor(monitor);
+  }
+
+  list() {
+    return this.store.listMonitors();
+  }
+
+  get(id) {
+    return this.store.getMonitor(id);
+  }
+
+  remove(id) {
+    return this.store.removeMonitor(id);
+  }
+
+  history(id, limit) {
+    return this.store.listChanges(id, limit);
+  }
+
+  // Run every monitor whose next run is due, one at a time so scheduled checks never flood the browser
+  async runDue() {
+    if (this.checking) return [];
+    this.checking = true;
+    const checks = [];
+    try {
+      const now = Date.now();
+      const due = (await this.list())
+        .filter(monitor => new Date(monitor.nextRunAt).getTime() <= now && !this.running.has(monitor.id));
+      for (const monitor of due) {
+        checks.push(await this.check(monitor.id));
+      }
+    } catch (error) {
+      this.log(`Monitor check failed: ${error.message}`);
+    } finally {
+      this.checking = false;
+    }
+    return checks;
+  }
+
+  // Scrape one monitored URL, store the snapshot and record what changed since the last one
+  async check(id) {
+    const monitor = await this.get(id);
+    if (!monitor) {
+      throw new Error(`Monitor ${id} not found`);
+    }
+    if (this.running.has(id)) {
+      throw new Error(`Monitor ${id} is already running`);
+    }
+
+    this.running.add(id);
+    const startedAt = Date.now();
+    this.log(`Checking ${monitor.url} (${monitor.name})`);
+    try {
+      const result = await this.scrape(monitor.url, { device: monitor.device });
+      if (result.sections.length === 0 && result.errors.length > 0) {
+        throw new Error(result.errors.map(err => err.message).join('; '));
+      }
+      // Removed while the scrape was running
+      if (!(await this.get(id))) {
+        return { monitorId: id, url: monitor.url, status: 'removed' };
+      }
+
+      const previous = await this.store.latestSnapshot(id);
+      const snapshot = await this.store.saveSnapshot(id, result);
+      let change = null;
+
+      if (previous && previous.result) {
+        const { diff, changes } = detectChanges(previous.result, result);
+        if (diff.summary.changed || diff.summary.titleChanged) {
+          change = await this.store.appendChange(id, {
+            detectedAt: new Date().toISOString(),
+            previousSnapshot: previous.file,
+            snapshot: snapshot,
+            summary: diff.summary,
+            changes: changes,
+            diff: diff
+          });
+        }
+      }
+
+      const status = !previous ? 'baseline' : (change ? 'changed' : 'unchanged');
+      await this.store.updateMonitor(id, {
+        lastRunAt: new Date(startedAt).toISOString(),
+        nextRunAt: new Date(startedAt + monitor.interval).toISOString(),
+        lastStatus: status,
+        lastError: null,
+        lastChangeAt: change ? change.detectedAt : monitor.lastChangeAt,
+        runs: monitor.runs + 1,
+        changes: monitor.changes + (change ? 1 : 0)
+      });
+      this.log(`${monitor.url}: ${status}${change ? ` (${change.changes.length} notable changes)` : ''}`);
+
+      return { monitorId: id, url: monitor.url, status, snapshot, change };
+    } catch (error) {
+      this.log(`${monitor.url}: failed - ${error.message}`);
+      await this.store.updateMonitor(id, {
+        lastRunAt: new Date(startedAt).toISOString(),
+        nextRunAt: new Date(startedAt + monitor.interval).toISOString(),
+        lastStatus: 'failed',
+        lastError: error.message,
+        runs: monitor.runs + 1
+      });
+      return { monitorId: id, url: monitor.url, status: 'failed', error: error.message };
+    } finally {
+      this.running.delete(id);
+    }
+  }
+}
+
+module.exports = {
+  CompetitorMonitor,
+  MonitorStore,
+  NAMED_SCHEDULES,
+  parseSchedule,
+  detectChanges,
+  extractPrices
+};
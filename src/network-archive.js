@@ -0,0 +1,181 @@
+// src/network-archive.js
+const fs = require('fs').promises;
+const path = require('path');
+
+// Headers that no longer describe the body once Puppeteer has decoded it
+const STRIPPED_REPLAY_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection'];
+
+const requestKey = (method, url, postData) => `${method} ${url}${postData ? ' ' + postData : ''}`;
+
+const toHarHeaders = (headers) => Object.entries(headers).map(([name, value]) => ({ name, value }));
+
+// HAR-like archive of every response seen during one scrape, with base64 bodies
+class NetworkArchive {
+  constructor(data = null) {
+    this.data = data || {
+      log: {
+        version: '1.2',
+        creator: { name: 'junk-removal-scraper', version: '1.0.0' },
+        pages: [],
+        entries: []
+      }
+    };
+    this.pending = [];
+    this.index = null;
+    this.stats = { served: 0, misses: [] };
+  }
+
+  static async load(filePath) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load network archive ${filePath}: ${error.message}`);
+    }
+    if (!data.log || !Array.isArray(data.log.entries)) {
+      throw new Error(`${filePath} is not a network archive`);
+    }
+    return new NetworkArchive(data);
+  }
+
+  get entries() {
+    return this.data.log.entries;
+  }
+
+  get pageInfo() {
+    return this.data.log.pages[0] || null;
+  }
+
+  // Start capturing every response the page receives
+  record(page, url) {
+    this.data.log.pages.push({
+      id: 'page_1',
+      startedDateTime: new Date().toISOString(),
+      title: url
+    });
+
+    page.on('response', (response) => {
+      this.pending.push(this.captureResponse(response));
+    });
+  }
+
+  async captureResponse(response) {
+    const request = response.request();
+    const url = response.url();
+    if (url.startsWith('data:')) return;
+
+    let body = null;
+    const status = response.status();
+    // Redirects and 204/304 responses have no body to read
+    if (!(status >= 300 && status < 400) && status !== 204) {
+      try {
+        body = await response.buffer();
+      } catch (error) {
+        body = null;
+      }
+    }
+
+    const headers = response.headers();
+    this.entries.push({
+      pageref: 'page_1',
+      startedDateTime: new Date().toISOString(),
+      request: {
+        method: request.method(),
+        url: url,
+        headers: toHarHeaders(request.headers()),
+        postData: request.postData() ? { text: request.postData() } : undefined
+      },
+      response: {
+        status: status,
+        statusText: response.statusText(),
+        headers: toHarHeaders(headers),
+        content: {
+          size: body ? body.length : 0,
+          mimeType: headers['content-type'] || '',
+          text: body ? body.toString('base64') : '',
+          encoding: 'base64'
+        }
+      },
+      _resourceType: request.resourceType()
+    });
+  }
+
+  async save(filePath, title = null) {
+    await Promise.all(this.pending);
+    this.pending = [];
+    if (title && this.pageInfo) {
+      this.pageInfo.title = title;
+    }
+
+    const outputDir = path.dirname(filePath);
+    if (outputDir && outputDir !== '.') {
+      await fs.mkdir(outputDir, { recursive: true });
+    }
+    await fs.writeFile(filePath, JSON.stringify(this.data), 'utf8');
+    return { mode: 'record', path: filePath, entries: this.entries.length };
+  }
+
+  buildIndex() {
+    this.index = new Map();
+    this.entries.forEach(entry => {
+      const postData = entry.request.postData ? entry.request.postData.text : null;
+      const key = requestKey(entry.request.method, entry.request.url, postData);
+      if (!this.index.has(key)) this.index.set(key, []);
+      this.index.get(key).push(entry);
+    });
+  }
+
+  // Same URL fetched several times is served in recorded order, then the last copy repeats
+  nextEntry(method, url, postData) {
+    if (!this.index) this.buildIndex();
+    const queue = this.index.get(requestKey(method, url, postData));
+    if (!queue || queue.length === 0) return null;
+    return queue.length > 1 ? queue.shift() : queue[0];
+  }
+
+  // Serve every request from the archive; anything not recorded fails like it would offline
+  async replay(page) {
+    await page.setRequestInterception(true);
+
+    page.on('request', (request) => {
+      const url = request.url();
+      if (url.startsWith('data:')) {
+        request.continue();
+        return;
+      }
+
+      const entry = this.nextEntry(request.method(), url, request.postData());
+      if (!entry) {
+        this.stats.misses.push(url);
+        request.abort('internetdisconnected');
+        return;
+      }
+
+      const headers = {};
+      entry.response.headers.forEach(({ name, value }) => {
+        if (!STRIPPED_REPLAY_HEADERS.includes(name.toLowerCase())) {
+          headers[name] = value;
+        }
+      });
+
+      this.stats.served++;
+      request.respond({
+        status: entry.response.status,
+        headers: headers,
+        body: Buffer.from(entry.response.content.text || '', 'base64')
+      });
+    });
+  }
+
+  replaySummary(filePath) {
+    return {
+      mode: 'replay',
+      path: filePath,
+      entries: this.entries.length,
+      served: this.stats.served,
+      misses: this.stats.misses
+    };
+  }
+}
+
+module.exports = { NetworkArchive };
@@ -0,0 +1,154 @@
+// src/page-pool.js
+
+class PagePool {
+  constructor(browser, options = {}) {
+    this.browser = browser;
+    this.maxPages = Math.max(1, options.maxPages || 4);
+    this.maxUses = options.maxUses || 50; // Recycle tabs periodically to limit memory growth
+    this.acquireTimeout = options.acquireTimeout || 120000;
+    this.log = options.log || (() => {});
+    this.idle = [];
+    this.busy = new Set();
+    this.waiting = [];
+    this.uses = new WeakMap();
+    this.creating = 0;
+    this.closed = false;
+  }
+
+  get openPages() {
+    return this.idle.length + this.busy.size + this.creating;
+  }
+
+  stats() {
+    return {
+      maxPages: this.maxPages,
+      open: this.openPages,
+      busy: this.busy.size,
+      idle: this.idle.length,
+      waiting: this.waiting.length
+    };
+  }
+
+  // options.timeout overrides how long to wait for a free tab
+  async acquire(options = {}) {
+    const timeout = options.timeout || this.acquireTimeout;
+    if (this.closed) {
+      throw new Error('Page pool is closed');
+    }
+
+    // Reuse an idle tab if one is available
+    while (this.idle.length > 0) {
+      const page = this.idle.pop();
+      if (!page.isClosed()) {
+        this.busy.add(page);
+        return page;
+      }
+    }
+
+    if (this.openPages < this.maxPages) {
+      return this.openPage();
+    }
+
+    // Every tab is busy - wait for one to be released
+    this.log(`All ${this.maxPages} tabs busy, queueing request (${this.waiting.length + 1} waiting)`);
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(entry => entry !== waiter);
+        reject(new Error(`Timed out waiting for a free browser tab after ${timeout}ms`));
+      }, timeout);
+      this.waiting.push(waiter);
+    });
+  }
+
+  async openPage() {
+    this.creating++;
+    try {
+      const page = await this.browser.newPage();
+      this.uses.set(page, 0);
+      this.busy.add(page);
+      this.log(`Opened tab (${this.openPages}/${this.maxPages})`);
+      return page;
+    } finally {
+      this.creating--;
+    }
+  }
+
+  async release(page) {
+    if (!this.busy.has(page)) return;
+
+    const uses = (this.uses.get(page) || 0) + 1;
+    this.uses.set(page, uses);
+
+    let reusable = !this.closed && !page.isClosed() && uses < this.maxUses;
+    if (reusable) {
+      reusable = await this.resetPage(page);
+    }
+
+    // The tab keeps its slot until it is closed, so a new acquire() cannot take it from the waiters
+    if (!reusable) {
+      await this.destroy(page);
+      this.busy.delete(page);
+      this.dispatchWaiting();
+      return;
+    }
+
+    // Hand the tab straight to the next waiter, or park it
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(page);
+    } else {
+      this.busy.delete(page);
+      this.idle.push(page);
+    }
+  }
+
+  // Clear per-scrape state so the next scrape starts from a blank tab
+  async resetPage(page) {
+    try {
+      page.removeAllListeners('request');
+      page.removeAllListeners('response');
+      page.removeAllListeners('requestfinished');
+      await page.setRequestInterception(false);
+      await page.goto('about:blank', { timeout: 5000 });
+      return true;
+    } catch (error) {
+      this.log(`Failed to reset tab, discarding it: ${error.message}`);
+      return false;
+    }
+  }
+
+  async destroy(page) {
+    try {
+      if (!page.isClosed()) await page.close();
+    } catch (error) {
+      this.log(`Failed to close tab: ${error.message}`);
+    }
+  }
+
+  // A tab was destroyed - open a fresh one for the next waiter if any. Without a free slot the
+  // waiter stays at the head of the queue with its original timeout
+  dispatchWaiting() {
+    if (this.closed || this.waiting.length === 0 || this.openPages >= this.maxPages) return;
+
+    const waiter = this.waiting.shift();
+    clearTimeout(waiter.timer);
+    this.openPage().then(waiter.resolve, waiter.reject);
+  }
+
+  async close() {
+    this.closed = true;
+    this.waiting.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Page pool is closed'));
+    });
+    this.waiting = [];
+    const pages = [...this.idle, ...this.busy];
+    this.idle = [];
+    this.busy.clear();
+    await Promise.all(pages.map(page => this.destroy(page)));
+  }
+}
+
+module.exports = { PagePool };
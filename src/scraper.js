@@ -4,23 +4,24 @@ const express = require('express');
 const cors = require('cors');
 const yargs = require('yargs');
 const fs = require('fs').promises;
+const path = require('path');
+const { SiteCrawler } = require('./crawler');
+const { SiteDiscovery } = require('./discovery');
+const { PagePool } = require('./page-pool');
+const { getDeviceProfile, compareDeviceResults } = require('./devices');
+const { resolveSource, listHtmlFiles } = require('./sources');
+const { NetworkArchive } = require('./network-archive');
+const { runExtractors } = require('./extractors');
+
+const SECTION_TYPES = ['hero', 'about', 'service', 'cta', 'testimonial', 'faq', 'benefit', 'process', 'footer', 'other'];
 
 class JunkRemovalScraper {
-  constructor(verbose = false) {
+  constructor(verbose = false, options = {}) {
     this.browser = null;
+    this.pagePool = null;
     this.verbose = verbose;
-    this.sectionCounter = {
-      hero: 0,
-      about: 0,
-      service: 0,
-      cta: 0,
-      testimonial: 0,
-      faq: 0,
-      benefit: 0,
-      process: 0,
-      footer: 0,
-      other: 0
-    };
+    this.maxOpenPages = options.maxOpenPages || 4;
+    this.store = options.store || null; // ScrapeStore that persists every scrape
   }
 
   log(message, data = null) {
@@ -46,45 +47,92 @@ class JunkRemovalScraper {
       ],
       timeout: 30000
     });
+    this.pagePool = new PagePool(this.browser, {
+      maxPages: this.maxOpenPages,
+      log: (message) => this.log(`[POOL] ${message}`)
+    });
     this.log('Browser initialized');
   }
 
   async close() {
+    if (this.pagePool) {
+      await this.pagePool.close();
+    }
     if (this.browser) {
       await this.browser.close();
       this.log('Browser closed');
     }
   }
 
-  resetCounters() {
-    Object.keys(this.sectionCounter).forEach(key => {
-      this.sectionCounter[key] = 0;
+  // State that belongs to a single scrape, so concurrent scrapes never share counters
+  createScrapeContext() {
+    const sectionCounter = {};
+    SECTION_TYPES.forEach(type => {
+      sectionCounter[type] = 0;
     });
+    return { sectionCounter };
   }
 
-  async scrapeWebsite(url) {
-    const page = await this.browser.newPage();
-    this.resetCounters();
+  async scrapeWebsite(url, options = {}) {
+    const context = this.createScrapeContext();
+    const device = getDeviceProfile(options.device);
+    const source = resolveSource(url, options);
+    if (options.recordTo && options.replayFrom) {
+      throw new Error('recordTo and replayFrom cannot be used together');
+    }
+    const replayArchive = options.replayFrom ? await NetworkArchive.load(options.replayFrom) : null;
+    const recordArchive = options.recordTo ? new NetworkArchive() : null;
+    const page = await this.pagePool.acquire();
     const results = {
-      url: url,
+      url: source.type === 'html' ? (options.baseUrl || null) : url,
+      source: source.type,
+      device: device.name,
       title: '',
       scrapedAt: new Date().toISOString(),
       sections: [],
       errors: []
     };
     
+    // Progress and cancellation hooks used by the job queue
+    const checkpoint = (percent, stage) => {
+      if (options.isCancelled && options.isCancelled()) {
+        throw new Error('Scrape cancelled');
+      }
+      if (options.onProgress) options.onProgress(percent, stage);
+    };
+    
     try {
-      // Set viewport for desktop view
-      await page.setViewport({ width: 1920, height: 1080 });
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36');
+      checkpoint(5, 'navigating');
       
-      this.log(`Navigating to ${url}...`);
+      // Emulate the requested device (viewport, touch, pixel ratio and user agent)
+      await page.setViewport(device.viewport);
+      await page.setUserAgent(device.userAgent);
       
-      // Navigate with network idle wait for React rendering
-      await page.goto(url, { 
-        waitUntil: 'networkidle0',
-        timeout: 30000 
-      });
+      // Capture or serve network traffic for reproducible scrapes
+      if (recordArchive) {
+        this.log(`Recording network traffic to ${options.recordTo}`);
+        recordArchive.record(page, source.url);
+      } else if (replayArchive) {
+        this.log(`Replaying ${replayArchive.entries.length} archived responses from ${options.replayFrom}`);
+        await replayArchive.replay(page);
+      }
+      
+      if (source.type === 'html') {
+        // Render the HTML string in the same page so extraction runs unchanged
+        this.log(`Rendering ${source.html.length} characters of HTML...`);
+        await page.setContent(source.html, {
+          waitUntil: 'networkidle0',
+          timeout: 30000
+        });
+      } else {
+        this.log(`Navigating to ${source.url}...`);
+        
+        // Navigate with network idle wait for React rendering
+        await page.goto(source.url, { 
+          waitUntil: 'networkidle0',
+          timeout: 30000 
+        });
+      }
       
       this.log('Page loaded, waiting for additional content...');
       
@@ -96,10 +144,12 @@ class JunkRemovalScraper {
       this.log(`Page title: ${results.title}`);
       
       // Scroll to handle lazy-loaded content
+      checkpoint(50, 'scrolling');
       this.log('Scrolling to load lazy content...');
       await this.autoScroll(page);
       
       // Extract and group content
+      checkpoint(70, 'extracting');
       this.log('Extracting content...');
       const rawElements = await page.evaluate(() => {
         const elements = [];
@@ -390,10 +440,10 @@ class JunkRemovalScraper {
       // Convert to final format
       results.sections = groupedSections.map((group, index) => {
         const sectionType = this.determineSectionType(group);
-        this.sectionCounter[sectionType]++;
+        context.sectionCounter[sectionType]++;
         
         const section = {
-          sectionId: `${sectionType}-${this.sectionCounter[sectionType]}`,
+          sectionId: `${sectionType}-${context.sectionCounter[sectionType]}`,
           sectionType: sectionType,
           element: group.primaryElement.tag,
           text: group.combinedText,
@@ -411,6 +461,22 @@ class JunkRemovalScraper {
         return section;
       });
       
+      // Page-level extractors that read beyond the text sections
+      checkpoint(85, 'analyzing');
+      // Link checks borrow extra tabs from the same pool, so they count against maxOpenPages
+      await runExtractors(page, results, { ...options, pagePool: this.pagePool });
+      
+      // Collect outgoing links for crawl mode
+      if (options.collectLinks) {
+        results.finalUrl = page.url();
+        results.links = await page.evaluate(() => {
+          return Array.from(document.querySelectorAll('a[href]'))
+            .map(a => a.href)
+            .filter(href => /^https?:/i.test(href));
+        });
+        this.log(`Collected ${results.links.length} links`);
+      }
+      
       this.log(`Scraping complete: ${results.sections.length} sections found`);
       
     } catch (error) {
@@ -420,12 +486,101 @@ class JunkRemovalScraper {
         stack: error.stack
       });
     } finally {
-      await page.close();
+      try {
+        if (recordArchive) {
+          results.archive = await recordArchive.save(options.recordTo, results.title);
+          this.log(`Saved ${results.archive.entries} responses to ${options.recordTo}`);
+        } else if (replayArchive) {
+          results.archive = replayArchive.replaySummary(options.replayFrom);
+        }
+      } catch (error) {
+        results.errors.push({
+          message: `Network archive error: ${error.message}`,
+          stack: error.stack
+        });
+      }
+      await this.pagePool.release(page);
+    }
+    
+    if (this.store) {
+      try {
+        results.storageId = this.store.save(results);
+        this.log(`Stored scrape #${results.storageId}`);
+      } catch (error) {
+        results.errors.push({
+          message: `Storage error: ${error.message}`,
+          stack: error.stack
+        });
+      }
     }
     
     return results;
   }
   
+  async scrapeHtml(html, options = {}) {
+    return this.scrapeWebsite(null, { ...options, html });
+  }
+  
+  async scrapeDirectory(directory, options = {}) {
+    const files = await listHtmlFiles(directory);
+    if (files.length === 0) {
+      throw new Error(`No HTML files found in ${directory}`);
+    }
+    
+    this.log(`Scraping ${files.length} HTML files from ${directory}`);
+    const pages = [];
+    for (const file of files) {
+      const result = await this.scrapeWebsite(file, options);
+      pages.push({ ...result, file: path.relative(directory, file) });
+    }
+    
+    return {
+      directory: directory,
+      scrapedAt: new Date().toISOString(),
+      pages: pages,
+      summary: {
+        files: pages.length,
+        succeeded: pages.filter(page => page.errors.length === 0).length,
+        failed: pages.filter(page => page.errors.length > 0).length,
+        totalSections: pages.reduce((sum, page) => sum + page.sections.length, 0)
+      }
+    };
+  }
+  
+  async crawlWebsite(startUrl, options = {}) {
+    const crawler = new SiteCrawler(this, options);
+    return crawler.crawl(startUrl);
+  }
+  
+  async compareDevices(url, devices = ['desktop', 'mobile'], options = {}) {
+    if (devices.length !== 2) {
+      throw new Error('Device comparison needs exactly two devices');
+    }
+    if (devices[0] === devices[1]) {
+      throw new Error('Device comparison needs two different devices');
+    }
+    devices.forEach(name => getDeviceProfile(name));
+    
+    const [baseResult, otherResult] = await Promise.all(
+      devices.map(device => this.scrapeWebsite(url, { ...options, device }))
+    );
+    
+    return {
+      url: url,
+      comparedAt: new Date().toISOString(),
+      comparison: compareDeviceResults(baseResult, otherResult),
+      results: {
+        [devices[0]]: baseResult,
+        [devices[1]]: otherResult
+      }
+    };
+  }
+  
+  async discoverUrls(siteUrl, options = {}) {
+    const discovery = new SiteDiscovery({ verbose: this.verbose, ...options });
+    return discovery.discover(siteUrl);
+  }
+  
   async autoScroll(page) {
     await page.evaluate(async () => {
       await new Promise((resolve) => {
@@ -811,4 +966,4 @@ if (require.main === module) {
   }
 }
 
-module.exports = { JunkRemovalScraper, createAPIServer };
+module.exports = { JunkRemovalScraper, createAPIServer, SECTION_TYPES };
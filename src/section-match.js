@@ -0,0 +1,104 @@
+// src/section-match.js
+
+// Sections below this word similarity are treated as removed + added rather than modified
+const MIN_SIMILARITY = 0.5;
+// Same xpath and type is strong evidence of a rewrite, so accept a lower similarity
+const MIN_SIMILARITY_SAME_PLACE = 0.2;
+// Shorter texts are too generic ("Call us") to match by one containing the other
+const MIN_CONTAINED_LENGTH = 20;
+
+// Helper to compare text regardless of case, whitespace and line breaks
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const tokenize = (text) => text.split(/\s+/).filter(Boolean);
+
+function wordCounts(text) {
+  const counts = new Map();
+  tokenize(normalizeText(text)).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return counts;
+}
+
+// Dice coefficient over the words of both texts, ignoring word order
+function textSimilarity(countsA, countsB) {
+  let totalA = 0;
+  let totalB = 0;
+  let shared = 0;
+  countsA.forEach(count => { totalA += count; });
+  countsB.forEach(count => { totalB += count; });
+  if (totalA + totalB === 0) return 1;
+
+  countsA.forEach((count, word) => {
+    shared += Math.min(count, countsB.get(word) || 0);
+  });
+  return (2 * shared) / (totalA + totalB);
+}
+
+// One text containing the other: grouping can merge a heading with its paragraph in one scrape but not the other
+function contains(textA, textB) {
+  return textA.length >= MIN_CONTAINED_LENGTH && textB.length >= MIN_CONTAINED_LENGTH &&
+    (textA.includes(textB) || textB.includes(textA));
+}
+
+// Pair sections across two scrapes (two dates or two devices): identical text first, then the most
+// similar remaining sections, where one text containing the other also counts as similar
+function matchSections(beforeSections, afterSections) {
+  const pairs = [];
+  const unmatchedBefore = new Set(beforeSections);
+  const unmatchedAfter = new Set(afterSections);
+
+  const byText = new Map();
+  afterSections.forEach(section => {
+    const key = normalizeText(section.text);
+    if (!byText.has(key)) byText.set(key, []);
+    byText.get(key).push(section);
+  });
+
+  beforeSections.forEach(section => {
+    const candidates = (byText.get(normalizeText(section.text)) || [])
+      .filter(candidate => unmatchedAfter.has(candidate));
+    const match = candidates.find(candidate => candidate.xpath && candidate.xpath === section.xpath) || candidates[0];
+    if (match) {
+      pairs.push({ before: section, after: match, similarity: 1 });
+      unmatchedBefore.delete(section);
+      unmatchedAfter.delete(match);
+    }
+  });
+
+  const counts = new Map();
+  const texts = new Map();
+  [...unmatchedBefore, ...unmatchedAfter].forEach(section => {
+    counts.set(section, wordCounts(section.text));
+    texts.set(section, normalizeText(section.text));
+  });
+
+  const candidates = [];
+  unmatchedBefore.forEach(before => {
+    unmatchedAfter.forEach(after => {
+      const similarity = textSimilarity(counts.get(before), counts.get(after));
+      const sameXpath = !!before.xpath && before.xpath === after.xpath;
+      const samePlace = sameXpath && before.sectionType === after.sectionType;
+      if (similarity < MIN_SIMILARITY && !(samePlace && similarity >= MIN_SIMILARITY_SAME_PLACE) &&
+        !contains(texts.get(before), texts.get(after))) {
+        return;
+      }
+      // Break ties between equally similar candidates with xpath and type
+      const score = similarity +
+        (sameXpath ? 0.1 : 0) +
+        (before.sectionType === after.sectionType ? 0.05 : 0);
+      candidates.push({ before, after, similarity, score });
+    });
+  });
+
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      if (!unmatchedBefore.has(candidate.before) || !unmatchedAfter.has(candidate.after)) return;
+      pairs.push({ before: candidate.before, after: candidate.after, similarity: candidate.similarity });
+      unmatchedBefore.delete(candidate.before);
+      unmatchedAfter.delete(candidate.after);
+    });
+
+  return { pairs, unmatchedBefore: Array.from(unmatchedBefore), unmatchedAfter: Array.from(unmatchedAfter) };
+}
+
+module.exports = { matchSections, normalizeText, tokenize };
@@ -0,0 +1,68 @@
+// src/sources.js
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const HTML_EXTENSIONS = /\.(html?|xhtml)$/i;
+
+// Work out what a scrape target is: a live URL, a local file or an inline HTML string
+function resolveSource(input, options = {}) {
+  if (typeof options.html === 'string') {
+    return {
+      type: 'html',
+      url: options.baseUrl || 'about:blank',
+      html: options.baseUrl ? injectBaseHref(options.html, options.baseUrl) : options.html
+    };
+  }
+
+  if (!input) {
+    throw new Error('A URL, file path or HTML string is required');
+  }
+
+  if (/^https?:\/\//i.test(input)) {
+    return { type: 'url', url: input };
+  }
+
+  if (/^file:\/\//i.test(input)) {
+    return { type: 'file', url: input };
+  }
+
+  return { type: 'file', url: pathToFileURL(path.resolve(input)).toString() };
+}
+
+// Resolve relative asset links against the page the HTML was saved from
+function injectBaseHref(html, baseUrl) {
+  if (/<base\s[^>]*href=/i.test(html)) return html;
+
+  const baseTag = `<base href="${baseUrl.replace(/"/g, '&quot;')}">`;
+  if (/<head[^>]*>/i.test(html)) {
+    return html.replace(/<head[^>]*>/i, match => `${match}${baseTag}`);
+  }
+  return baseTag + html;
+}
+
+async function listHtmlFiles(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listHtmlFiles(fullPath));
+    } else if (entry.isFile() && HTML_EXTENSIONS.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+async function isDirectory(target) {
+  try {
+    return (await fs.stat(target)).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { resolveSource, injectBaseHref, listHtmlFiles, isDirectory };
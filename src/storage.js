@@ -0,0 +1,293 @@
+// src/storage.js
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS scrapes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT,
+    domain TEXT,
+    title TEXT,
+    source TEXT,
+    device TEXT,
+    scraped_at TEXT NOT NULL,
+    section_count INTEGER NOT NULL,
+    error_count INTEGER NOT NULL,
+    metadata TEXT NOT NULL,
+    errors TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS scrapes_domain_date ON scrapes (domain, scraped_at);
+  CREATE INDEX IF NOT EXISTS scrapes_date ON scrapes (scraped_at);
+
+  CREATE TABLE IF NOT EXISTS sections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scrape_id INTEGER NOT NULL REFERENCES scrapes (id) ON DELETE CASCADE,
+    section_id TEXT,
+    section_type TEXT,
+    element TEXT,
+    position INTEGER,
+    xpath TEXT,
+    text TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sections_scrape ON sections (scrape_id, position);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS sections_fts USING fts5 (text, content = 'sections', content_rowid = 'id');
+  CREATE TRIGGER IF NOT EXISTS sections_fts_insert AFTER INSERT ON sections BEGIN
+    INSERT INTO sections_fts (rowid, text) VALUES (new.id, new.text);
+  END;
+  CREATE TRIGGER IF NOT EXISTS sections_fts_delete AFTER DELETE ON sections BEGIN
+    INSERT INTO sections_fts (sections_fts, rowid, text) VALUES ('delete', old.id, old.text);
+  END;
+`;
+
+// Result fields that get their own columns; everything else is kept as metadata
+const COLUMN_FIELDS = ['url', 'title', 'source', 'device', 'scrapedAt', 'sections', 'errors', 'storageId'];
+
+// Helper to group www.example.com and example.com under one domain
+function normalizeDomain(value) {
+  if (!value) return null;
+  let hostname = value;
+  if (/^[a-z]+:\/\//i.test(value)) {
+    try {
+      hostname = new URL(value).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+  return hostname.toLowerCase().replace(/^www\./, '') || null;
+}
+
+// Accepts full ISO timestamps or plain dates; a plain end date includes that whole day
+function toDateBound(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}". Use YYYY-MM-DD or an ISO timestamp`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    return { value: date.toISOString(), exclusive: true };
+  }
+  return { value: date.toISOString(), exclusive: false };
+}
+
+// Quote every term so user input is never parsed as FTS5 query syntax
+function toFtsQuery(query) {
+  return String(query || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(term => `"${term.replace(/"/g, '""')}"`)
+    .join(' ');
+}
+
+const toSummary = (row) => ({
+  id: row.id,
+  url: row.url,
+  domain: row.domain,
+  title: row.title,
+  source: row.source,
+  device: row.device,
+  scrapedAt: row.scraped_at,
+  sections: row.section_count,
+  errors: row.error_count
+});
+
+// Every scrape in one SQLite file: page row, one row per section, full-text index over section text
+class ScrapeStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('output', 'scrapes.db');
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) return this;
+    if (this.filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    return this;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  save(result) {
+    this.open();
+    const metadata = {};
+    Object.keys(result).forEach(key => {
+      if (!COLUMN_FIELDS.includes(key)) metadata[key] = result[key];
+    });
+    const sections = result.sections || [];
+    const errors = result.errors || [];
+
+    const insertScrape = this.db.prepare(`
+      INSERT INTO scrapes (url, domain, title, source, device, scraped_at, section_count, error_count, metadata, errors)
+      VALUES (@url, @domain, @title, @source, @device, @scrapedAt, @sectionCount, @errorCount, @metadata, @errors)
+    `);
+    const insertSection = this.db.prepare(`
+      INSERT INTO sections (scrape_id, section_id, section_type, element, position, xpath, text, data)
+      VALUES (@scrapeId, @sectionId, @sectionType, @element, @position, @xpath, @text, @data)
+    `);
+
+    const saveAll = this.db.transaction(() => {
+      const { lastInsertRowid } = insertScrape.run({
+        url: result.url || null,
+        domain: normalizeDomain(result.finalUrl || result.url),
+        title: result.title || null,
+        source: result.source || null,
+        device: result.device || null,
+        scrapedAt: result.scrapedAt || new Date().toISOString(),
+        sectionCount: sections.length,
+        errorCount: errors.length,
+        metadata: JSON.stringify(metadata),
+        errors: JSON.stringify(errors)
+      });
+      sections.forEach(section => {
+        insertSection.run({
+          scrapeId: lastInsertRowid,
+          sectionId: section.sectionId || null,
+          sectionType: section.sectionType || null,
+          element: section.element || null,
+          position: section.order !== undefined ? section.order : null,
+          xpath: section.xpath || null,
+          text: section.text || '',
+          data: JSON.stringify(section)
+        });
+      });
+      return Number(lastInsertRowid);
+    });
+
+    return saveAll();
+  }
+
+  // Newest first, optionally narrowed to one domain, URL and/or date range
+  list(filters = {}) {
+    this.open();
+    const conditions = [];
+    const params = {};
+    if (filters.domain) {
+      conditions.push('domain = @domain');
+      params.domain = normalizeDomain(filters.domain);
+    }
+    if (filters.url) {
+      conditions.push('url = @url');
+      params.url = filters.url;
+    }
+    const from = toDateBound(filters.from);
+    if (from) {
+      conditions.push('scraped_at >= @from');
+      params.from = from.value;
+    }
+    const to = toDateBound(filters.to, true);
+    if (to) {
+      conditions.push(to.exclusive ? 'scraped_at < @to' : 'scraped_at <= @to');
+      params.to = to.value;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM scrapes ${where}`).get(params).count;
+    const rows = this.db.prepare(`
+      SELECT * FROM scrapes ${where}
+      ORDER BY scraped_at DESC, id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: filters.limit || 50, offset: filters.offset || 0 });
+
+    return { total, items: rows.map(toSummary) };
+  }
+
+  // Rebuild the original scrape result, with its storage id
+  get(id) {
+    this.open();
+    const row = this.db.prepare('SELECT * FROM scrapes WHERE id = ?').get(id);
+    if (!row) return null;
+
+    const sections = this.db.prepare('SELECT data FROM sections WHERE scrape_id = ? ORDER BY position, id')
+      .all(id)
+      .map(section => JSON.parse(section.data));
+
+    return {
+      url: row.url,
+      source: row.source,
+      device: row.device,
+      title: row.title,
+      scrapedAt: row.scraped_at,
+      ...JSON.parse(row.metadata),
+      sections: sections,
+      errors: JSON.parse(row.errors),
+      storageId: row.id
+    };
+  }
+
+  // Full-text search over section text of every stored scrape, best matches first
+  search(query, filters = {}) {
+    this.open();
+    const match = toFtsQuery(query);
+    if (!match) {
+      throw new Error('A search query is required');
+    }
+
+    const conditions = ['sections_fts MATCH @match'];
+    const params = { match, limit: filters.limit || 50, offset: filters.offset || 0 };
+    if (filters.domain) {
+      conditions.push('scrapes.domain = @domain');
+      params.domain = normalizeDomain(filters.domain);
+    }
+    if (filters.sectionType) {
+      conditions.push('sections.section_type = @sectionType');
+      params.sectionType = filters.sectionType;
+    }
+
+    return this.db.prepare(`
+      SELECT scrapes.id AS scrape_id, scrapes.url, scrapes.domain, scrapes.scraped_at,
+        sections.section_id, sections.section_type, sections.position,
+        snippet(sections_fts, 0, '[', ']', '...', 16) AS snippet
+      FROM sections_fts
+      JOIN sections ON sections.id = sections_fts.rowid
+      JOIN scrapes ON scrapes.id = sections.scrape_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY bm25(sections_fts), scrapes.scraped_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params).map(row => ({
+      scrapeId: row.scrape_id,
+      url: row.url,
+      domain: row.domain,
+      scrapedAt: row.scraped_at,
+      sectionId: row.section_id,
+      sectionType: row.section_type,
+      order: row.position,
+      snippet: row.snippet
+    }));
+  }
+
+  domains() {
+    this.open();
+    return this.db.prepare(`
+      SELECT domain, COUNT(*) AS scrapes, MIN(scraped_at) AS first_scraped_at, MAX(scraped_at) AS last_scraped_at
+      FROM scrapes
+      WHERE domain IS NOT NULL
+      GROUP BY domain
+      ORDER BY last_scraped_at DESC
+    `).all().map(row => ({
+      domain: row.domain,
+      scrapes: row.scrapes,
+      firstScrapedAt: row.first_scraped_at,
+      lastScrapedAt: row.last_scraped_at
+    }));
+  }
+
+  delete(id) {
+    this.open();
+    return this.db.prepare('DELETE FROM scrapes WHERE id = ?').run(id).changes > 0;
+  }
+}
+
+module.exports = { ScrapeStore, normalizeDomain, toFtsQuery };
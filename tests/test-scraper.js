@@ -1,6 +1,35 @@
 // tests/test-scraper.js
 const { JunkRemovalScraper } = require('../src/scraper');
+const { diffResults, diffWords } = require('../src/diff');
+const { ScrapeStore } = require('../src/storage');
+const { RobotsRules, parseSitemap, SiteDiscovery, isSameSite, MAX_CRAWL_DELAY } = require('../src/discovery');
+const { parseUrlList, runBatch } = require('../src/batch');
+const { JobQueue, JOB_STATUS } = require('../src/job-queue');
+const { findMovedPairs, compareDeviceResults } = require('../src/devices');
+const { matchSections } = require('../src/section-match');
+const { NetworkArchive } = require('../src/network-archive');
+const { ResultCache, buildCacheKey, normalizeUrl, parseCacheControl } = require('../src/cache');
+const { MonitorStore, parseSchedule, detectChanges } = require('../src/monitor');
+const { analyzeServiceAreas, parseServingPhrase } = require('../src/extractors/service-areas');
+const { analyzeLinks, classifyLink, checkLinks } = require('../src/extractors/links');
+const { PagePool } = require('../src/page-pool');
+const { analyzeForms, guessPurpose } = require('../src/extractors/forms');
+const { normalizeStructuredData } = require('../src/extractors/structured-data');
+const { analyzeMeta } = require('../src/extractors/meta');
+const { buildOutline, analyzeHeadings } = require('../src/extractors/headings');
+const { analyzeNap, normalizePhone, normalizeAddress } = require('../src/extractors/nap');
+const { analyzePricing } = require('../src/extractors/pricing');
+const { analyzeImages, isFilenameAlt } = require('../src/extractors/images');
+const { analyzeFaq, buildFaqJsonLd } = require('../src/extractors/faq');
+const { analyzeTestimonials } = require('../src/extractors/testimonials');
+const { analyzeHours, parseHoursText, parseTimeRange, parseDays } = require('../src/extractors/hours');
+const { analyzeCtas, toHex } = require('../src/extractors/ctas');
+const { SiteCrawler } = require('../src/crawler');
+const EventEmitter = require('events');
+const http = require('http');
 const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
 
 class ScraperTestSuite {
   constructor() {
@@ -262,21 +291,2258 @@ class ScraperTestSuite {
     );
   }
 
-  async runAllTests() {
+  async testCrawl() {
+    console.log('\n\n🧪 Testing Crawl Mode\n');
+    
+    try {
+      const result = await this.scraper.crawlWebsite('https://www.junkmastersmn.com', {
+        maxDepth: 1,
+        maxPages: 3
+      });
+      
+      // Test 1: Page limit respected
+      this.logTest(
+        'Crawl respects page limit',
+        result.pages.length > 0 && result.pages.length <= 3,
+        `Crawled ${result.pages.length} pages`
+      );
+      
+      // Test 2: Only same-origin pages crawled
+      const startOrigin = new URL(result.pages[0].finalUrl || result.startUrl).origin;
+      const foreignPages = result.pages.filter(p => new URL(p.url).origin !== startOrigin);
+      this.logTest(
+        'Crawl stays on the same origin',
+        foreignPages.length === 0,
+        foreignPages.length > 0 ? `Found ${foreignPages.length} off-site pages` : 'All pages same-origin'
+      );
+      
+      // Test 3: Summary totals match per-page results
+      const totalSections = result.pages.reduce((sum, p) => sum + p.sections.length, 0);
+      this.logTest(
+        'Crawl summary totals are accurate',
+        result.summary.totalSections === totalSections && result.summary.pagesCrawled === result.pages.length,
+        `${result.summary.pagesCrawled} pages, ${result.summary.totalSections} sections`
+      );
+      
+    } catch (error) {
+      console.error('❌ Crawl test failed:', error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testConcurrentScrapes() {
+    console.log('\n\n🧪 Testing Concurrent Scrapes\n');
+    
+    try {
+      const url = 'https://www.junkmastersmn.com';
+      const [first, second] = await Promise.all([
+        this.scraper.scrapeWebsite(url),
+        this.scraper.scrapeWebsite(url)
+      ]);
+      
+      // Section IDs must restart at 1 for each scrape
+      const firstIds = first.sections.map(s => s.sectionId).join(',');
+      const secondIds = second.sections.map(s => s.sectionId).join(',');
+      this.logTest(
+        'Concurrent scrapes produce independent section IDs',
+        first.sections.length > 0 && firstIds === secondIds,
+        `${first.sections.length} and ${second.sections.length} sections`
+      );
+      
+      const stats = this.scraper.pagePool.stats();
+      this.logTest(
+        'Browser tabs returned to the pool',
+        stats.busy === 0 && stats.open <= stats.maxPages,
+        `${stats.open} open, ${stats.idle} idle`
+      );
+      
+    } catch (error) {
+      console.error('❌ Concurrency test failed:', error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testInlineHtml() {
+    console.log('\n\n🧪 Testing Inline HTML Scraping\n');
+    
+    const html = `
+      <html>
+        <head><title>Fixture Junk Removal</title></head>
+        <body>
+          <section class="hero">
+            <h1>Same Day Junk Removal In Minneapolis</h1>
+            <p>We haul away furniture, appliances and yard waste from your home.</p>
+          </section>
+          <section class="services">
+            <div class="service-card">
+              <h3>Residential Junk Removal</h3>
+              <p>Garage, basement and attic cleanouts handled by our friendly crew.</p>
+            </div>
+          </section>
+        </body>
+      </html>`;
+    
+    try {
+      const result = await this.scraper.scrapeHtml(html, { baseUrl: 'https://fixture.example/' });
+      
+      this.logTest(
+        'Inline HTML rendered',
+        result.source === 'html' && result.title === 'Fixture Junk Removal' && result.errors.length === 0,
+        `Title: "${result.title}", source: ${result.source}`
+      );
+      
+      const hero = result.sections.find(s => s.sectionType === 'hero');
+      this.logTest(
+        'Inline HTML hero detected',
+        !!hero && hero.text.includes('Same Day Junk Removal'),
+        hero ? `Found: "${hero.text.substring(0, 60)}..."` : 'Not found'
+      );
+      
+      const service = result.sections.find(s => s.sectionType === 'service');
+      this.logTest(
+        'Inline HTML service card detected',
+        !!service && service.text.includes('Residential'),
+        service ? `Found: "${service.text.substring(0, 60)}..."` : 'Not found'
+      );
+      
+    } catch (error) {
+      console.error('❌ Inline HTML test failed:', error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testPageAnalysis() {
+    console.log('\n\n🧪 Testing Page Analysis Extractors\n');
+    
+    const html = `
+      <html lang="en">
+        <head>
+          <title>Fixture Junk Removal</title>
+          <meta name="description" content="Short description">
+          <link rel="canonical" href="https://fixture.example/other-page">
+          <meta property="og:title" content="Fixture Junk Co">
+          <script type="application/ld+json">
+            { "@context": "https://schema.org", "@type": "LocalBusiness", "name": "Fixture Junk Co",
+              "address": { "@type": "PostalAddress", "streetAddress": "100 Main St", "addressLocality": "Minneapolis" },
+              "openingHours": "Mo-Fr 08:00-17:00" }
+          </script>
+          <script type="application/ld+json">{ "@context": "https://schema.org", "@type": </script>
+        </head>
+        <body>
+          <header><a href="tel:+16125550100">Call (612) 555-0100</a></header>
+          <section class="hero">
+            <h1>Same Day Junk Removal In Minneapolis</h1>
+            <p>We haul away furniture, appliances and yard waste from your home.</p>
+            <a class="btn" href="https://calendly.com/fixture/pickup" style="display:inline-block;padding:14px 24px;background:#ff5722;color:#fff">Book a Pickup</a>
+            <img src="data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7" width="120" height="80">
+            <img src="data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7" width="120" height="80" alt="IMG_1234.jpg" loading="lazy">
+          </section>
+          <section class="services">
+            <h3>Appliance Removal</h3>
+            <p>Old refrigerators, washers and dryers hauled away and recycled responsibly.</p>
+            <p>Half truck loads start at $349, or $79 per item for a single mattress.</p>
+          </section>
+          <div itemscope itemtype="https://schema.org/Review">
+            <span itemprop="author">Jane D.</span>
+            <p itemprop="reviewBody">The crew was fast, friendly and careful with our floors.</p>
+            <span class="stars" aria-label="Rated 5 out of 5">★★★★★</span>
+            <a href="https://reviews.example/fixture" rel="nofollow ugc" target="_blank">Read more reviews</a>
+          </div>
+          <div class="reviews">
+            <div class="slick-slide slick-cloned" aria-hidden="true">
+              <p>The crew was fast, friendly and careful with our floors.</p>
+            </div>
+          </div>
+          <section class="areas">
+            <h2>Areas We Serve</h2>
+            <ul><li>Edina</li><li>Maple Grove, MN</li><li>55401</li></ul>
+          </section>
+          <section class="faq">
+            <h2>Frequently Asked Questions</h2>
+            <details><summary>Do you take mattresses?</summary><p>Yes, we haul and recycle mattresses and box springs.</p></details>
+            <button type="button" aria-expanded="false" aria-controls="faq-hot-tub">Can you remove a hot tub?</button>
+            <div id="faq-hot-tub" hidden></div>
+            <script>
+              // The answer only exists once the question is clicked
+              document.querySelector('[aria-controls="faq-hot-tub"]').addEventListener('click', function () {
+                var panel = document.getElementById('faq-hot-tub');
+                var open = this.getAttribute('aria-expanded') === 'true';
+                if (!open && !panel.textContent) panel.textContent = 'Yes, we cut it up and haul it away.';
+                panel.hidden = open;
+                this.setAttribute('aria-expanded', String(!open));
+              });
+            </script>
+          </section>
+          <section class="estimate">
+            <h2>Get a Free Quote Today</h2>
+            <form action="/quote" method="post">
+              <label for="quote-name">Name *</label><input id="quote-name" name="name">
+              <label>Phone <input type="tel" name="phone" required></label>
+              <textarea name="items" placeholder="What needs to go?"></textarea>
+              <input type="hidden" name="source" value="website">
+              <button type="submit">Get My Quote</button>
+            </form>
+          </section>
+          <footer>
+            <p>Fixture Junk Co, 100 Main Street, Minneapolis, MN 55401 | 612.555.0199</p>
+            <a href="mailto:Info@Fixture.example?subject=Quote">Email us</a>
+            <ul class="hours"><li>Mon–Fri 8am–6pm</li><li>Sat 9am–2pm</li><li>Sun Closed</li></ul>
+          </footer>
+        </body>
+      </html>`;
+    
+    try {
+      const result = await this.scraper.scrapeHtml(html, { baseUrl: 'https://fixture.example/' });
+      const data = result.structuredData || [];
+      
+      const business = data.find(item => item.type === 'LocalBusiness');
+      this.logTest(
+        'JSON-LD LocalBusiness extracted',
+        !!business && business.data.name === 'Fixture Junk Co',
+        business ? `Errors: ${business.errors.join('; ')}` : 'Not found'
+      );
+      
+      this.logTest(
+        'Missing telephone flagged',
+        !!business && business.errors.some(error => error.includes('telephone'))
+      );
+      
+      this.logTest(
+        'Invalid JSON-LD flagged',
+        data.some(item => item.data === null && item.errors[0].startsWith('Invalid JSON'))
+      );
+      
+      const review = data.find(item => item.format === 'microdata' && item.type === 'Review');
+      this.logTest(
+        'Microdata review extracted',
+        !!review && review.data.author === 'Jane D.',
+        review ? `Author: ${review.data.author}` : 'Not found'
+      );
+      
+      const meta = result.meta || { warnings: [] };
+      this.logTest(
+        'Meta tags extracted',
+        meta.description === 'Short description' && meta.lang === 'en' && meta.openGraph.title === 'Fixture Junk Co',
+        `Description: "${meta.description}", lang: ${meta.lang}`
+      );
+      
+      this.logTest(
+        'Meta warnings reported',
+        meta.warnings.some(warning => warning.startsWith('Canonical points elsewhere')) &&
+          meta.warnings.some(warning => warning.startsWith('Meta description too short')),
+        meta.warnings.join('; ')
+      );
+      
+      const outline = result.headingOutline || [];
+      this.logTest(
+        'Heading outline nests under H1',
+        outline.length === 1 && outline[0].tag === 'h1' && outline[0].children.some(child => child.tag === 'h3'),
+        `Top-level headings: ${outline.length}`
+      );
+      
+      const issues = result.headingAnalysis ? result.headingAnalysis.issues : [];
+      this.logTest(
+        'Skipped heading level flagged',
+        issues.some(issue => issue.type === 'skipped-level' && issue.text === 'Appliance Removal'),
+        issues.map(issue => issue.message).join('; ')
+      );
+      
+      const nap = result.nap || { phones: [], emails: [], inconsistencies: [] };
+      const headerPhone = nap.phones.find(phone => phone.number === '+16125550100');
+      this.logTest(
+        'NAP phones and emails normalized',
+        !!headerPhone && headerPhone.sources.includes('tel-link') &&
+          nap.phones.some(phone => phone.display === '(612) 555-0199') &&
+          nap.emails.some(email => email.address === 'info@fixture.example'),
+        `Phones: ${nap.phones.map(phone => phone.display).join(', ')}`
+      );
+      
+      this.logTest(
+        'Header vs footer phone mismatch flagged',
+        nap.inconsistencies.some(issue => issue.field === 'phone' && issue.between.join() === 'header,footer'),
+        nap.inconsistencies.map(issue => issue.message).join('; ')
+      );
+      
+      const areas = result.serviceAreas || [];
+      const edina = areas.find(area => area.name === 'Edina');
+      const minneapolis = areas.find(area => area.name === 'Minneapolis');
+      this.logTest(
+        'Service areas extracted and deduplicated',
+        !!edina && edina.sectionIds.length > 0 && !!minneapolis && minneapolis.state === 'MN' &&
+          areas.filter(area => area.name === '55401').length === 1,
+        areas.map(area => area.name).join(', ')
+      );
+      
+      const pricing = result.pricing || [];
+      const halfLoad = pricing.find(entry => entry.min === 349);
+      const mattress = pricing.find(entry => entry.min === 79);
+      this.logTest(
+        'Prices linked to load sizes and items',
+        !!halfLoad && halfLoad.loadSize === 'half' && halfLoad.qualifier === 'starting-at' && !!halfLoad.sectionId &&
+          !!mattress && mattress.item === 'mattress' && mattress.unit === 'item',
+        pricing.map(entry => `${entry.price} ${entry.loadSize || entry.item || '?'}`).join(', ')
+      );
+      
+      const inventory = result.linkInventory || { summary: {}, links: [] };
+      const reviewLink = inventory.links.find(link => link.href === 'https://reviews.example/fixture');
+      this.logTest(
+        'Link inventory classifies links',
+        inventory.summary.tel === 1 && inventory.summary.mailto === 1 &&
+          !!reviewLink && reviewLink.type === 'external' && reviewLink.nofollow && reviewLink.ugc &&
+          reviewLink.opensNewTab && reviewLink.text === 'Read more reviews',
+        `Links: ${inventory.summary.total}, external: ${inventory.summary.external}`
+      );
+      
+      const images = result.imageInventory ? result.imageInventory.images : [];
+      const imageWarnings = images.map(image => image.warnings.map(warning => warning.type).join('+'));
+      this.logTest(
+        'Image alt text audited',
+        images.length === 2 && imageWarnings.includes('missing-alt') && imageWarnings.includes('filename-alt') &&
+          images.some(image => image.lazy && image.natural && image.natural.width === 1),
+        `Warnings: ${imageWarnings.join(', ')}`
+      );
+      
+      const faq = result.faq || { items: [] };
+      const mattressQuestion = faq.items.find(item => item.question === 'Do you take mattresses?');
+      const hotTubQuestion = faq.items.find(item => item.question === 'Can you remove a hot tub?');
+      this.logTest(
+        'Collapsed FAQ answer paired with its question',
+        !!mattressQuestion && mattressQuestion.wasHidden && mattressQuestion.answer.startsWith('Yes, we haul') &&
+          !!faq.jsonLd && faq.jsonLd.mainEntity[0]['@type'] === 'Question',
+        `Questions: ${faq.items.length}`
+      );
+      this.logTest(
+        'Accordion answer rendered on click is read',
+        !!hotTubQuestion && hotTubQuestion.wasHidden && hotTubQuestion.answer === 'Yes, we cut it up and haul it away.' &&
+          hotTubQuestion.source === 'accordion',
+        hotTubQuestion ? hotTubQuestion.answer : 'Not found'
+      );
+      
+      const testimonials = result.testimonials || { items: [], summary: {} };
+      const janeReview = testimonials.items[0];
+      this.logTest(
+        'Testimonials extracted without carousel clones',
+        testimonials.items.length === 1 && testimonials.summary.duplicatesRemoved === 1 &&
+          janeReview.name === 'Jane D.' && janeReview.rating === 5,
+        testimonials.items.map(item => `${item.name} (${item.rating})`).join(', ')
+      );
+      
+      const hours = result.hours || { weekly: {}, mismatches: [] };
+      this.logTest(
+        'Opening hours normalized and checked against schema',
+        JSON.stringify(hours.weekly.monday) === '[{"opens":"08:00","closes":"18:00"}]' &&
+          JSON.stringify(hours.weekly.sunday) === '[]' && hours.mismatches.length === 5 &&
+          !!result.availability && result.availability.sameDay,
+        `Saturday: ${JSON.stringify(hours.weekly.saturday)}, mismatches: ${hours.mismatches.length}`
+      );
+      
+      const ctas = result.ctaInventory || { summary: { byKind: {} }, items: [] };
+      const booking = ctas.items.find(item => item.kind === 'booking');
+      this.logTest(
+        'CTA inventory measured at each viewport',
+        ctas.summary.byKind.call === 1 && ctas.summary.byKind.email === 1 && !!booking &&
+          booking.backgroundColor === '#ff5722' && !!booking.sectionId &&
+          booking.aboveFold.desktop && 'mobile' in booking.aboveFold,
+        ctas.items.map(item => `${item.kind}: ${item.text}`).join(', ')
+      );
+      
+      const forms = result.forms || { items: [] };
+      const quoteForm = forms.items.find(item => item.action === 'https://fixture.example/quote');
+      this.logTest(
+        'Quote form fields inventoried',
+        !!quoteForm && quoteForm.purpose === 'quote' && quoteForm.submitText === 'Get My Quote' &&
+          quoteForm.hiddenFields === 1 && quoteForm.requiredCount === 2 &&
+          quoteForm.fields.map(field => field.label).join('|') === 'Name|Phone|What needs to go?',
+        quoteForm ? quoteForm.fields.map(field => `${field.label} (${field.type})`).join(', ') : 'Not found'
+      );
+      
+    } catch (error) {
+      console.error('❌ Page analysis test failed:', error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testContentDiff() {
+    console.log('\n\n🧪 Testing Content Diff\n');
+    
+    const page = (serviceText, extra = '') => `
+      <html>
+        <body>
+          <section class="hero">
+            <h1>Same Day Junk Removal In Minneapolis</h1>
+            <p>We haul away furniture, appliances and yard waste from your home.</p>
+          </section>
+          <section class="services">
+            <div class="service-card">
+              <h3>Residential Junk Removal</h3>
+              <p>${serviceText}</p>
+            </div>
+          </section>
+          ${extra}
+        </body>
+      </html>`;
+    
+    try {
+      const before = await this.scraper.scrapeHtml(page('Garage, basement and attic cleanouts handled by our friendly crew.'));
+      const after = await this.scraper.scrapeHtml(page(
+        'Garage, basement, shed and attic cleanouts handled by our friendly local crew.',
+        '<section class="pricing"><h2>Pricing</h2><p>Half truck loads start at just $199 including disposal fees.</p></section>'
+      ));
+      const diff = diffResults(before, after);
+      
+      this.logTest(
+        'Diff detects rewritten section',
+        diff.modified.some(entry => entry.textDiff.some(part => part.type === 'added' && part.text.includes('shed'))),
+        `Modified: ${diff.summary.modifiedSections}`
+      );
+      
+      this.logTest(
+        'Diff detects added section',
+        diff.added.some(section => section.text.includes('$199')) && diff.removed.length === 0,
+        `Added: ${diff.summary.addedSections}, removed: ${diff.summary.removedSections}`
+      );
+      
+      const unchanged = diffResults(before, before);
+      this.logTest(
+        'Diff of identical results is empty',
+        !unchanged.summary.changed,
+        `Unchanged sections: ${unchanged.summary.unchangedSections}`
+      );
+      
+    } catch (error) {
+      console.error('❌ Content diff test failed:', error.message);
+      this.testsFailed++;
+    }
+  }
+
+  async testStorage() {
+    console.log('\n\n🧪 Testing Scrape Storage\n');
+    
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    const store = new ScrapeStore({ filePath: path.join(directory, 'scrapes.db') });
+    const section = (sectionId, sectionType, order, text) => ({ sectionId, sectionType, element: 'section', order, text });
+    const result = (url, scrapedAt, sections, extra = {}) => ({
+      url, title: 'Fixture Junk Co', device: 'desktop', scrapedAt, sections, errors: [], ...extra
+    });
+    try {
+      const firstId = store.save(result('https://www.fixture.example/', '2024-06-01T10:00:00.000Z', [
+        section('section-1', 'hero', 0, 'Same day junk removal in Minneapolis'),
+        section('section-2', 'service', 1, 'Hot-tub removal: we cut up and haul away old hot tubs and spas')
+      ], { meta: { description: 'Junk removal' } }));
+      const secondId = store.save(result('https://fixture.example/pricing', '2024-06-15T10:00:00.000Z', [
+        section('section-1', 'pricing', 0, 'Half truck load $249')
+      ], { errors: [{ message: 'pricing extraction failed' }] }));
+      store.save(result('https://other.example/', '2024-07-01T10:00:00.000Z', [
+        section('section-1', 'service', 0, 'Hot tub and piano removal')
+      ]));
+      
+      const { total, items } = store.list({ domain: 'www.fixture.example' });
+      const june = store.list({ from: '2024-06-01', to: '2024-06-01' });
+      this.logTest(
+        'Stored scrapes listed by domain and date',
+        total === 2 && items.map(item => item.id).join() === `${secondId},${firstId}` &&
+          items[0].sections === 1 && items[0].errors === 1 && items[1].domain === 'fixture.example' &&
+          june.total === 1 && june.items[0].id === firstId,
+        `Found ${total} stored scrapes for fixture.example`
+      );
+      
+      const stored = store.get(firstId);
+      this.logTest(
+        'Stored scrape round-trips',
+        !!stored && stored.storageId === firstId && stored.sections.length === 2 &&
+          stored.sections[1].sectionType === 'service' && stored.meta.description === 'Junk removal' &&
+          store.get(9999) === null,
+        stored ? `${stored.sections.length} sections` : 'Not found'
+      );
+      
+      const matches = store.search('hot tubs');
+      // Quoted as a phrase, so the hyphen is not read as FTS5 syntax
+      const hyphenated = store.search('hot-tub');
+      const services = store.search('hot tub', { domain: 'fixture.example', sectionType: 'service' });
+      this.logTest(
+        'Section text is searchable',
+        matches.length === 1 && matches[0].scrapeId === firstId && hyphenated.length === 2 &&
+          services.length === 1 && services[0].sectionId === 'section-2' && services[0].snippet.includes('[') &&
+          store.search('"unbalanced OR').length === 0,
+        `Matches: ${matches.length}, hot-tub: ${hyphenated.length}`
+      );
+      
+      const domains = store.domains();
+      this.logTest(
+        'Stored domains summarized',
+        domains.length === 2 && domains[0].domain === 'other.example' && domains[1].domain === 'fixture.example' &&
+          domains[1].scrapes === 2 && domains[1].firstScrapedAt === '2024-06-01T10:00:00.000Z',
+        domains.map(entry => `${entry.domain} (${entry.scrapes})`).join(', ')
+      );
+      
+    } catch (error) {
+      console.error('❌ Storage test failed:', error.message);
+      this.testsFailed++;
+    } finally {
+      store.close();
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+
+  async testRobotsRules() {
+    console.log('\n\n🧪 Testing robots.txt Rules\n');
+
+    const robots = new RobotsRules([
+      '# Comments and blank lines are ignored',
+      'User-agent: *',
+      'Disallow: /wp-admin/',
+      'Allow: /wp-admin/admin-ajax.php',
+      'Disallow: /*.pdf$',
+      'Crawl-delay: 5',
+      '',
+      'User-agent: BadBot',
+      'User-agent: JunkRemovalScraper',
+      'Disallow: /private',
+      'Allow: /private/ok',
+      'Disallow: /page',
+      'Allow: /page',
+      'Crawl-delay: 2',
+      '',
+      'Sitemap: https://fixture.example/sitemap_index.xml'
+    ].join('\n'));
+
+    this.logTest(
+      'Consecutive User-agent lines share a group',
+      robots.groups.length === 2 && robots.groups[1].agents.join() === 'badbot,junkremovalscraper',
+      `Groups: ${robots.groups.map(group => group.agents.join('+')).join(', ')}`
+    );
+
+    this.logTest(
+      'Most specific agent group wins over *',
+      robots.getGroup('Mozilla/5.0 (compatible; JunkRemovalScraper/1.0)') === robots.groups[1] &&
+        robots.getGroup('SomeOtherBot') === robots.groups[0] &&
+        robots.isAllowed('https://fixture.example/wp-admin/', 'JunkRemovalScraper')
+    );
+
+    this.logTest(
+      'Longest matching rule wins',
+      !robots.isAllowed('https://fixture.example/wp-admin/options.php', 'SomeOtherBot') &&
+        robots.isAllowed('https://fixture.example/wp-admin/admin-ajax.php', 'SomeOtherBot') &&
+        !robots.isAllowed('https://fixture.example/private/data', 'JunkRemovalScraper') &&
+        robots.isAllowed('https://fixture.example/private/ok/page', 'JunkRemovalScraper')
+    );
+
+    this.logTest(
+      'Allow wins a tie with Disallow',
+      robots.isAllowed('https://fixture.example/page', 'JunkRemovalScraper')
+    );
+
+    const pdfRule = robots.getBlockingRule('https://fixture.example/files/price-list.pdf', 'SomeOtherBot');
+    this.logTest(
+      'Wildcards and $ anchors match',
+      !!pdfRule && pdfRule.path === '/*.pdf$' &&
+        robots.isAllowed('https://fixture.example/files/price-list.pdf?download=1', 'SomeOtherBot'),
+      pdfRule ? `Blocked by ${pdfRule.path}` : 'Not blocked'
+    );
+
+    this.logTest(
+      'Crawl-delay read per group',
+      robots.getCrawlDelay('SomeOtherBot') === 5 && robots.getCrawlDelay('JunkRemovalScraper') === 2 &&
+        new RobotsRules('Disallow: /').getCrawlDelay() === null
+    );
+
+    this.logTest(
+      'Sitemap lines collected outside groups',
+      robots.sitemaps.length === 1 && robots.sitemaps[0] === 'https://fixture.example/sitemap_index.xml'
+    );
+
+    this.logTest(
+      'Empty Disallow allows everything',
+      new RobotsRules('User-agent: *\nDisallow:').isAllowed('https://fixture.example/anything')
+    );
+  }
+
+  async testSitemapDiscovery() {
+    console.log('\n\n🧪 Testing Sitemap Parsing and Discovery Limits\n');
+
+    const urlset = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <url><loc>https://fixture.example/</loc><lastmod>2024-01-10</lastmod></url>
+        <url>
+          <loc><![CDATA[https://fixture.example/services?type=garage&amp;area=edina]]></loc>
+        </url>
+        <url><loc>https://fixture.example/a?b=1&amp;c=2</loc></url>
+        <url><lastmod>2024-01-11</lastmod></url>
+      </urlset>`);
+    this.logTest(
+      'Sitemap urlset parsed',
+      urlset.type === 'urlset' && urlset.entries.length === 3 &&
+        urlset.entries[0].lastmod === '2024-01-10' && urlset.entries[1].lastmod === null &&
+        urlset.entries[2].loc === 'https://fixture.example/a?b=1&c=2',
+      urlset.entries.map(entry => entry.loc).join(', ')
+    );
+
+    const index = parseSitemap(`<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <sitemap><loc>https://fixture.example/page-sitemap.xml</loc></sitemap>
+        <sitemap><loc>https://fixture.example/post-sitemap.xml.gz</loc><lastmod>2024-02-01</lastmod></sitemap>
+      </sitemapindex>`);
+    this.logTest(
+      'Sitemap index parsed',
+      index.type === 'index' && index.entries.length === 2 && index.entries[1].lastmod === '2024-02-01'
+    );
+
+    this.logTest(
+      'Garbage sitemap yields no entries',
+      parseSitemap('<html><body>Not found</body></html>').entries.length === 0
+    );
+
+    const discovery = new SiteDiscovery({ respectRobots: true });
+    discovery.robots = new RobotsRules('User-agent: *\nCrawl-delay: 86400');
+    this.logTest(
+      'Crawl-delay capped',
+      discovery.getCrawlDelay() === MAX_CRAWL_DELAY && discovery.getRequestedCrawlDelay() === 86400,
+      `Waits ${discovery.getCrawlDelay()}s`
+    );
+
+    this.logTest(
+      'Same site allows www and scheme changes only',
+      isSameSite('https://www.fixture.example/sitemap.xml', 'http://fixture.example/') &&
+        !isSameSite('http://169.254.169.254/latest/meta-data', 'https://fixture.example/') &&
+        !isSameSite('file:///etc/passwd', 'https://fixture.example/')
+    );
+
+    // Rejected before any request is made, so this needs no network
+    const errors = [];
+    const { fetched } = await discovery.collectSitemapUrls(
+      ['http://127.0.0.1:9/sitemap.xml', 'https://elsewhere.example/sitemap.xml'],
+      errors,
+      'https://fixture.example/'
+    );
+    this.logTest(
+      'Sitemaps on other hosts not fetched',
+      fetched.length === 0 && errors.length === 2 &&
+        errors.every(error => error.message === 'Sitemap on another site not fetched'),
+      errors.map(error => error.url).join(', ')
+    );
+
+    // A sitemap on the bare domain that lists www. URLs (stubbed fetches, so no network)
+    const seeding = new SiteDiscovery();
+    seeding.fetchRobots = async (origin) => {
+      seeding.robots = new RobotsRules('');
+      return { url: `${origin}/robots.txt`, found: false, status: 404 };
+    };
+    seeding.collectSitemapUrls = async () => ({
+      fetched: [],
+      entries: ['https://www.fixture.example/services', 'http://fixture.example/about', 'https://cdn.elsewhere.example/page']
+        .map(loc => ({ loc, lastmod: null }))
+    });
+    const seeded = await seeding.discover('https://fixture.example/');
+    this.logTest(
+      'Sitemap URLs with or without www. are kept',
+      seeded.urls.map(entry => entry.url).join() === 'https://www.fixture.example/services,http://fixture.example/about' &&
+        seeded.filtered.map(entry => entry.url).join() === 'https://cdn.elsewhere.example/page',
+      `URLs: ${seeded.urls.map(entry => entry.url).join(', ')}`
+    );
+
+    // 127.0.0.1 redirects robots.txt to localhost, which counts as another site
+    const server = http.createServer((req, res) => {
+      if (req.headers.host.startsWith('127.0.0.1')) {
+        res.writeHead(301, { Location: `http://localhost:${server.address().port}/robots.txt` });
+        res.end();
+      } else {
+        res.end('User-agent: *\nDisallow: /\nSitemap: http://localhost/sitemap.xml');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const guarded = new SiteDiscovery({ respectRobots: true });
+      const robots = await guarded.fetchRobots(`http://127.0.0.1:${server.address().port}`);
+      this.logTest(
+        'Redirected robots.txt on another site ignored',
+        !robots.found && /to another site/.test(robots.error) &&
+          guarded.robots.sitemaps.length === 0 && guarded.checkUrl('http://127.0.0.1/page').allowed,
+        robots.error
+      );
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  async testUrlList() {
+    console.log('\n\n🧪 Testing URL List Parsing\n');
+
+    const plain = parseUrlList([
+      '# Competitors',
+      'https://fixture.example/search?tags=junk,hauling',
+      'www.fixture.example',
+      'https://fixture.example/search?tags=junk,hauling',
+      'not a url',
+      ''
+    ].join('\n'));
+    this.logTest(
+      'Comma inside a URL does not make a list CSV',
+      plain.urls.length === 2 && plain.urls[0] === 'https://fixture.example/search?tags=junk,hauling' &&
+        plain.urls[1] === 'https://www.fixture.example/' && plain.invalid.join() === 'not a url',
+      `URLs: ${plain.urls.join(', ')}`
+    );
+
+    const csv = parseUrlList('\uFEFFName,Website,City\nAcme Hauling,acme.example,Edina\n"Beta, Inc","https://beta.example/?a=1,2",Minneapolis\nGamma,,Bloomington');
+    this.logTest(
+      'CSV URL column found by header',
+      csv.urls.join() === 'https://acme.example/,https://beta.example/?a=1,2' && csv.invalid.length === 0,
+      `URLs: ${csv.urls.join(', ')}`
+    );
+
+    const headerless = parseUrlList('Acme Hauling,acme.example\nBeta,beta.example');
+    this.logTest(
+      'Headerless CSV uses the first URL column',
+      headerless.urls.join() === 'https://acme.example/,https://beta.example/'
+    );
+
+    const singleColumn = parseUrlList('url\nhttps://fixture.example/?ids=1,2,3');
+    this.logTest(
+      'Single-column CSV keeps commas in URLs',
+      singleColumn.urls.join() === 'https://fixture.example/?ids=1,2,3',
+      `URLs: ${singleColumn.urls.join(', ')}`
+    );
+  }
+
+  async testBatchRunner() {
+    console.log('\n\n🧪 Testing Batch Runner\n');
+
+    let running = 0;
+    let maxRunning = 0;
+    const fakeScraper = {
+      scrapeWebsite: async (url) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        running--;
+        if (url.includes('throws')) throw new Error('Navigation timeout');
+        return {
+          url,
+          sections: [{ sectionId: 'hero-1' }],
+          errors: url.includes('partial') ? [{ message: 'faq extraction failed: boom' }] : []
+        };
+      }
+    };
+    const urls = [1, 2, 3, 4, 5].map(n => `https://site${n}.example/`)
+      .concat(['https://throws.example/', 'https://partial.example/']);
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-test-'));
+
+    try {
+      const reported = [];
+      const summary = await runBatch(fakeScraper, urls, {
+        concurrency: 2,
+        outputDir,
+        onResult: (entry, index) => reported.push(index)
+      });
+
+      this.logTest(
+        'Batch respects concurrency limit',
+        maxRunning === 2,
+        `Max in flight: ${maxRunning}`
+      );
+
+      this.logTest(
+        'Batch keeps input order and reports every URL',
+        summary.results.map(entry => entry.url).join() === urls.join() && reported.length === urls.length
+      );
+
+      const thrown = summary.results.find(entry => entry.url === 'https://throws.example/');
+      const partial = summary.results.find(entry => entry.url === 'https://partial.example/');
+      this.logTest(
+        'Batch reports thrown and recorded errors',
+        summary.total === 7 && summary.succeeded === 5 && summary.failed === 2 &&
+          thrown.status === 'failed' && thrown.error === 'Navigation timeout' && thrown.file === null &&
+          partial.status === 'failed' && partial.error.startsWith('faq extraction failed') && !!partial.file,
+        `Succeeded: ${summary.succeeded}, failed: ${summary.failed}`
+      );
+
+      const written = await fs.readdir(outputDir);
+      this.logTest(
+        'Batch writes one result file per scraped URL',
+        written.length === 6,
+        `Files: ${written.length}`
+      );
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  async testJobQueue() {
+    console.log('\n\n🧪 Testing Job Queue\n');
+
+    // Each job waits until the test releases it, so the queue state can be inspected in between
+    const releases = {};
+    let running = 0;
+    let maxRunning = 0;
+    const queue = new JobQueue(async (job, context) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      context.reportProgress(50, 'scraping');
+      try {
+        const outcome = await new Promise(resolve => { releases[job.payload.url] = resolve; });
+        if (outcome === 'fail') throw new Error('Scrape failed');
+        if (context.isCancelled()) return null;
+        return { url: job.payload.url };
+      } finally {
+        running--;
+      }
+    }, { concurrency: 2 });
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    try {
+      const [first, second, third, fourth] = ['a', 'b', 'c', 'd']
+        .map(name => queue.add('scrape', { url: `https://${name}.example/` }));
+      await settle();
+
+      this.logTest(
+        'Job queue respects concurrency limit',
+        running === 2 && first.status === JOB_STATUS.RUNNING && second.status === JOB_STATUS.RUNNING &&
+          third.status === JOB_STATUS.QUEUED && queue.serialize(fourth).queuePosition === 2,
+        `Running: ${running}, waiting: ${queue.stats().waiting}`
+      );
+
+      this.logTest(
+        'Running job reports progress',
+        first.progress.percent === 50 && first.progress.stage === 'scraping' && first.startedAt !== null
+      );
+
+      queue.cancel(third.id);
+      this.logTest(
+        'Cancelling a queued job finishes it at once',
+        third.status === JOB_STATUS.CANCELLED && third.finishedAt !== null && third.startedAt === null &&
+          queue.stats().waiting === 1
+      );
+
+      queue.cancel(second.id);
+      this.logTest(
+        'Cancelling a running job waits for its checkpoint',
+        second.status === JOB_STATUS.RUNNING && second.cancelRequested
+      );
+
+      releases[first.payload.url]('ok');
+      releases[second.payload.url]('ok');
+      await settle();
+      this.logTest(
+        'Finished jobs move to completed or cancelled',
+        first.status === JOB_STATUS.COMPLETED && first.result.url === 'https://a.example/' &&
+          first.progress.percent === 100 && second.status === JOB_STATUS.CANCELLED && second.result === null &&
+          fourth.status === JOB_STATUS.RUNNING,
+        `First: ${first.status}, second: ${second.status}, fourth: ${fourth.status}`
+      );
+
+      releases[fourth.payload.url]('fail');
+      await settle();
+      this.logTest(
+        'Throwing job is marked failed with its error',
+        fourth.status === JOB_STATUS.FAILED && fourth.error === 'Scrape failed' && queue.running === 0
+      );
+
+      this.logTest(
+        'Job queue never exceeded its concurrency',
+        maxRunning === 2,
+        `Max in flight: ${maxRunning}`
+      );
+    } finally {
+      queue.close();
+    }
+  }
+
+  async testDeviceComparison() {
+    console.log('\n\n🧪 Testing Device Comparison\n');
+
+    const section = (sectionId, sectionType, order, text) => ({ sectionId, sectionType, order, text });
+    const desktop = [
+      section('header-1', 'header', 0, 'Acme Junk Removal  Call (612) 555-0100'),
+      section('hero-1', 'hero', 1, 'Same day junk removal in Minneapolis'),
+      section('services-1', 'services', 2, 'Furniture removal, appliance removal and yard waste hauling'),
+      section('testimonials-1', 'testimonials', 3, 'Great crew, fast pickup and fair prices'),
+      section('footer-1', 'footer', 4, 'Copyright 2024 Acme Junk Removal')
+    ];
+    const mobile = [
+      section('header-1', 'header', 0, 'ACME JUNK REMOVAL\nCall (612) 555-0100'),
+      section('testimonials-1', 'testimonials', 1, 'Great crew, fast pickup and fair prices'),
+      section('hero-1', 'content', 2, 'Same day junk removal in Minneapolis'),
+      section('services-1', 'services', 3, 'Our services: Furniture removal, appliance removal and yard waste hauling. Book today'),
+      section('menu-1', 'navigation', 4, 'Menu'),
+      section('footer-1', 'footer', 5, 'Copyright 2024 Acme Junk Removal')
+    ];
+
+    const matched = matchSections(desktop, mobile);
+    const pairs = matched.pairs.map(pair => [pair.before, pair.after]);
+    const pairedIds = pairs.map(([base, other]) => `${base.sectionId}=${other.sectionId}`).sort();
+    this.logTest(
+      'Sections match by normalised and contained text',
+      pairs.length === 5 && pairedIds.every(pair => pair.split('=')[0] === pair.split('=')[1]) &&
+        matched.unmatchedBefore.length === 0 && matched.unmatchedAfter.map(other => other.sectionId).join() === 'menu-1',
+      `Pairs: ${pairedIds.join(', ')}`
+    );
+
+    const shortOnly = matchSections([section('a', 'content', 0, 'Call us')], [section('b', 'content', 0, 'Call us today for a free quote')]);
+    this.logTest(
+      'Short texts are not matched by containment',
+      shortOnly.pairs.length === 0
+    );
+
+    const moved = findMovedPairs(pairs);
+    this.logTest(
+      'Moved sections are those outside the longest ordered run',
+      moved.length === 1 && moved[0][0].sectionId === 'testimonials-1',
+      `Moved: ${moved.map(pair => pair[0].sectionId).join(', ')}`
+    );
+
+    this.logTest(
+      'Unchanged order has no moved sections',
+      findMovedPairs(desktop.map(base => [base, base])).length === 0 && findMovedPairs([]).length === 0
+    );
+
+    const comparison = compareDeviceResults(
+      { device: 'desktop', sections: desktop },
+      { device: 'mobile', sections: mobile }
+    );
+    const reordered = comparison.orderDifferences[0];
+    this.logTest(
+      'Device comparison reports moved, retyped and device-only sections',
+      comparison.devices.join() === 'desktop,mobile' &&
+        comparison.orderDifferences.length === 1 && reordered.desktop.position === 4 &&
+        reordered.mobile.position === 2 && reordered.shift === -2 &&
+        comparison.typeDifferences.length === 1 && comparison.typeDifferences[0].desktop === 'hero' &&
+        comparison.typeDifferences[0].mobile === 'content' &&
+        comparison.onlyOn.mobile.map(only => only.sectionId).join() === 'menu-1' && comparison.onlyOn.desktop.length === 0,
+      `Summary: ${JSON.stringify(comparison.summary)}`
+    );
+
+    this.logTest(
+      'Device comparison summary counts',
+      comparison.summary.desktopSections === 5 && comparison.summary.mobileSections === 6 &&
+        comparison.summary.sharedSections === 5 && comparison.summary.onlyMobile === 1 &&
+        comparison.summary.onlyDesktop === 0 && comparison.summary.reorderedSections === 1 &&
+        comparison.summary.retypedSections === 1
+    );
+  }
+
+  async testNetworkArchive() {
+    console.log('\n\n🧪 Testing Network Archive\n');
+
+    // Minimal stand-ins for the Puppeteer page, request and response objects the archive uses
+    const fakeRequest = (method, url, postData = undefined) => {
+      const request = {
+        method: () => method,
+        url: () => url,
+        postData: () => postData,
+        headers: () => ({ accept: '*/*' }),
+        resourceType: () => 'document',
+        handled: null
+      };
+      request.continue = () => { request.handled = { action: 'continue' }; };
+      request.abort = (reason) => { request.handled = { action: 'abort', reason }; };
+      request.respond = (response) => { request.handled = { action: 'respond', response }; };
+      return request;
+    };
+    const fakeResponse = (request, status, body, headers = {}) => ({
+      request: () => request,
+      url: () => request.url(),
+      status: () => status,
+      statusText: () => 'OK',
+      headers: () => ({ 'content-type': 'text/html', ...headers }),
+      buffer: async () => Buffer.from(body)
+    });
+
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+    const archivePath = path.join(outputDir, 'site.har.json');
+
+    try {
+      const recordPage = new EventEmitter();
+      const recorder = new NetworkArchive();
+      recorder.record(recordPage, 'https://fixture.example/');
+
+      const pageRequest = fakeRequest('GET', 'https://fixture.example/');
+      recordPage.emit('response', fakeResponse(pageRequest, 200, '<h1>Acme</h1>', { 'content-encoding': 'gzip', 'content-length': '13' }));
+      const quoteRequest = fakeRequest('POST', 'https://fixture.example/api/quote', '{"zip":"55401"}');
+      recordPage.emit('response', fakeResponse(quoteRequest, 200, '{"price":99}'));
+      recordPage.emit('response', fakeResponse(fakeRequest('GET', 'https://fixture.example/api/status'), 200, 'pending'));
+      recordPage.emit('response', fakeResponse(fakeRequest('GET', 'https://fixture.example/api/status'), 200, 'done'));
+      recordPage.emit('response', fakeResponse(fakeRequest('GET', 'data:image/png;base64,AAAA'), 200, 'x'));
+
+      const saved = await recorder.save(archivePath, 'Acme Junk Removal');
+      this.logTest(
+        'Archive records responses except data URLs',
+        saved.mode === 'record' && saved.entries === 4,
+        `Entries: ${saved.entries}`
+      );
+
+      const archive = await NetworkArchive.load(archivePath);
+      const replayPage = new EventEmitter();
+      replayPage.setRequestInterception = async () => {};
+      await archive.replay(replayPage);
+      const send = (request) => {
+        replayPage.emit('request', request);
+        return request.handled;
+      };
+
+      const page = send(fakeRequest('GET', 'https://fixture.example/'));
+      this.logTest(
+        'Replay serves recorded body without stale encoding headers',
+        archive.pageInfo.title === 'Acme Junk Removal' && page.action === 'respond' &&
+          page.response.body.toString() === '<h1>Acme</h1>' && page.response.headers['content-type'] === 'text/html' &&
+          !page.response.headers['content-encoding'] && !page.response.headers['content-length']
+      );
+
+      const quote = send(fakeRequest('POST', 'https://fixture.example/api/quote', '{"zip":"55401"}'));
+      const otherQuote = send(fakeRequest('POST', 'https://fixture.example/api/quote', '{"zip":"90210"}'));
+      const getQuote = send(fakeRequest('GET', 'https://fixture.example/api/quote'));
+      this.logTest(
+        'Replay matches on method, URL and post body',
+        quote.action === 'respond' && quote.response.body.toString() === '{"price":99}' &&
+          otherQuote.action === 'abort' && getQuote.action === 'abort'
+      );
+
+      const polls = [1, 2, 3].map(() => send(fakeRequest('GET', 'https://fixture.example/api/status')).response.body.toString());
+      this.logTest(
+        'Repeated requests replay in recorded order, then repeat the last',
+        polls.join() === 'pending,done,done',
+        `Responses: ${polls.join(', ')}`
+      );
+
+      const missing = send(fakeRequest('GET', 'https://cdn.example/widget.js'));
+      const dataUrl = send(fakeRequest('GET', 'data:image/png;base64,AAAA'));
+      const summary = archive.replaySummary(archivePath);
+      this.logTest(
+        'Requests not in the archive fail offline and are reported',
+        missing.action === 'abort' && missing.reason === 'internetdisconnected' && dataUrl.action === 'continue' &&
+          summary.served === 5 && summary.misses.join() ===
+            'https://fixture.example/api/quote,https://fixture.example/api/quote,https://cdn.example/widget.js',
+        `Served: ${summary.served}, misses: ${summary.misses.length}`
+      );
+
+      await fs.writeFile(path.join(outputDir, 'bad.json'), '{"pages":[]}', 'utf8');
+      let loadError = null;
+      try {
+        await NetworkArchive.load(path.join(outputDir, 'bad.json'));
+      } catch (error) {
+        loadError = error.message;
+      }
+      this.logTest(
+        'Loading a file that is not an archive fails clearly',
+        !!loadError && loadError.includes('is not a network archive'),
+        loadError
+      );
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  async testResultCache() {
+    console.log('\n\n🧪 Testing Result Cache\n');
+
+    const directives = [
+      ['', { mode: 'default' }],
+      ['no-cache', { mode: 'refresh' }],
+      ['no-store, no-cache', { mode: 'bypass' }],
+      ['No-Cache, no-store', { mode: 'bypass' }],
+      ['max-age=300', { mode: 'default', maxAge: 300 }],
+      ['max-age=0', { mode: 'refresh', maxAge: 0 }],
+      ['max-age=abc', { mode: 'default' }]
+    ];
+    const wrongDirectives = directives.filter(([header, expected]) =>
+      JSON.stringify(parseCacheControl(header)) !== JSON.stringify(expected));
+    this.logTest(
+      'Cache-Control header maps onto cache modes',
+      wrongDirectives.length === 0,
+      wrongDirectives.map(([header]) => `"${header}": ${JSON.stringify(parseCacheControl(header))}`).join(', ')
+    );
+
+    this.logTest(
+      'Cache key ignores trivial URL differences but not the device',
+      normalizeUrl('https://Fixture.EXAMPLE:443/services/?b=2&a=1#quote') === 'https://fixture.example/services?a=1&b=2' &&
+        buildCacheKey('https://fixture.example/?b=2&a=1', { device: 'desktop' }) ===
+          buildCacheKey('https://FIXTURE.example/?a=1&b=2#top', { device: 'desktop', pretty: true }) &&
+        buildCacheKey('https://fixture.example/', { device: 'desktop' }) !==
+          buildCacheKey('https://fixture.example/', { device: 'mobile' })
+    );
+
+    let scrapes = 0;
+    const scrape = (errors = []) => async () => {
+      scrapes++;
+      return { url: 'https://fixture.example/', sections: [], errors, scrapeNumber: scrapes };
+    };
+    const realNow = Date.now;
+    let now = realNow();
+    Date.now = () => now;
+
+    try {
+      const cache = new ResultCache({ ttl: 60 });
+      const url = 'https://fixture.example/';
+
+      const first = await cache.fetch(url, { device: 'desktop' }, scrape());
+      const second = await cache.fetch(url, { device: 'desktop' }, scrape());
+      const mobile = await cache.fetch(url, { device: 'mobile' }, scrape());
+      this.logTest(
+        'Second scrape of a URL is served from cache per device',
+        first.cache.status === 'miss' && second.cache.status === 'hit' && second.result.scrapeNumber === 1 &&
+          mobile.cache.status === 'miss' && scrapes === 2,
+        `Statuses: ${first.cache.status}, ${second.cache.status}, ${mobile.cache.status}`
+      );
+
+      now += 30 * 1000;
+      const young = await cache.fetch(url, { device: 'desktop' }, scrape(), { maxAge: 10 });
+      // The max-age miss stored a fresh entry, so it expires a full TTL later
+      now += 61 * 1000;
+      const expired = await cache.fetch(url, { device: 'desktop' }, scrape());
+      this.logTest(
+        'Entries expire after the TTL or a shorter max age',
+        young.cache.status === 'miss' && expired.cache.status === 'miss' && scrapes === 4,
+        `Statuses: ${young.cache.status}, ${expired.cache.status}`
+      );
+
+      const refreshed = await cache.fetch(url, { device: 'desktop' }, scrape(), { mode: 'refresh' });
+      const bypassed = await cache.fetch(url, { device: 'desktop' }, scrape(), { mode: 'bypass' });
+      const afterBypass = await cache.fetch(url, { device: 'desktop' }, scrape());
+      this.logTest(
+        'Refresh stores a fresh scrape, bypass leaves the cache alone',
+        refreshed.cache.status === 'refresh' && bypassed.cache.status === 'bypass' &&
+          afterBypass.cache.status === 'hit' && afterBypass.result.scrapeNumber === refreshed.result.scrapeNumber
+      );
+
+      const failedUrl = 'https://broken.example/';
+      const failed = await cache.fetch(failedUrl, {}, scrape([{ message: 'Navigation timeout' }]));
+      const retried = await cache.fetch(failedUrl, {}, scrape());
+      this.logTest(
+        'Results with errors are not cached',
+        failed.cache.status === 'miss' && failed.cache.stored === false && retried.cache.status === 'miss',
+        `Statuses: ${failed.cache.status}, ${retried.cache.status}`
+      );
+
+      const inline = await cache.fetch(url, { html: '<h1>Acme</h1>' }, scrape());
+      const checked = await cache.fetch(url, { device: 'desktop', checkLinks: true }, scrape());
+      this.logTest(
+        'Inline HTML and link-checked scrapes skip the cache',
+        inline.cache.status === 'bypass' && checked.cache.status === 'bypass'
+      );
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  async testMonitor() {
+    console.log('\n\n🧪 Testing Competitor Monitor\n');
+
+    const scheduleError = (schedule) => {
+      try {
+        parseSchedule(schedule);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+    this.logTest(
+      'Schedules accept names and intervals of at least 5 minutes',
+      parseSchedule('hourly') === 60 * 60 * 1000 && parseSchedule('weekly') === 7 * 24 * 60 * 60 * 1000 &&
+        parseSchedule('30m') === 30 * 60 * 1000 && parseSchedule(' 6H ') === 6 * 60 * 60 * 1000 &&
+        parseSchedule('2d') === 2 * 24 * 60 * 60 * 1000 && parseSchedule('5m') === 5 * 60 * 1000 &&
+        scheduleError('4m').includes('at least 5 minutes') && scheduleError('monthly').includes('Invalid schedule') &&
+        scheduleError('').includes('Invalid schedule') && scheduleError('1.5h').includes('Invalid schedule')
+    );
+
+    const section = (sectionId, sectionType, element, order, text) =>
+      ({ sectionId, sectionType, element, order, xpath: `/html/body/div[${order + 1}]`, text });
+    const previous = {
+      title: 'Acme Junk Removal',
+      sections: [
+        section('hero-1', 'hero', 'h1', 0, 'Same Day Junk Removal in Minneapolis'),
+        section('pricing-1', 'pricing', 'div', 1, 'Single item pickup from $99. Full truck load $549.'),
+        section('service-1', 'service', 'div', 2, 'Hot tub removal and disposal for any size spa'),
+        section('footer-1', 'footer', 'footer', 3, 'Copyright 2024 Acme Junk Removal')
+      ]
+    };
+    const current = {
+      title: 'Acme Junk Removal | Minneapolis',
+      sections: [
+        section('hero-1', 'hero', 'h1', 0, 'Same Day Junk Removal in Minneapolis and St. Paul'),
+        section('pricing-1', 'pricing', 'div', 1, 'Single item pickup from $89. Full truck load $549.'),
+        section('service-2', 'service', 'div', 2, 'Estate cleanouts handled start to finish, from $1,299'),
+        section('footer-1', 'footer', 'footer', 3, 'Copyright 2024 Acme Junk Removal')
+      ]
+    };
+
+    const { changes } = detectChanges(previous, current);
+    const byType = (type) => changes.filter(change => change.type === type);
+    const priceChange = byType('price-changed')[0];
+    this.logTest(
+      'Monitor detects title, heading, price and service changes',
+      byType('title-changed').length === 1 && byType('heading-changed').length === 1 &&
+        priceChange && priceChange.from.join() === '$99,$549' && priceChange.to.join() === '$89,$549' &&
+        byType('new-service').length === 1 && byType('removed-service').length === 1 &&
+        byType('price-added')[0].prices.join() === '$1,299',
+      `Changes: ${changes.map(change => change.type).join(', ')}`
+    );
+
+    this.logTest(
+      'Unchanged pages report no changes',
+      detectChanges(previous, JSON.parse(JSON.stringify(previous))).changes.length === 0
+    );
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'monitor-test-'));
+    try {
+      const store = new MonitorStore({ directory, maxChanges: 15 });
+
+      // Without the lock these read-modify-write cycles would overwrite each other
+      const monitors = [1, 2, 3, 4, 5].map(n => ({ id: `m${n}`, url: `https://site${n}.example/`, device: 'desktop' }));
+      await Promise.all(monitors.map(monitor => store.addMonitor(monitor)));
+      await Promise.all(Array.from({ length: 20 }, (value, i) => store.appendChange('m1', { change: i })));
+      const saved = await store.listMonitors();
+      const history = await store.listChanges('m1', 50);
+      this.logTest(
+        'Monitor store lock keeps concurrent writes',
+        saved.length === 5 && history.length === 15 && history[0].change === 19 && history[14].change === 5,
+        `Monitors: ${saved.length}, changes kept: ${history.length}`
+      );
+
+      let duplicateError = null;
+      const [duplicate, updated] = await Promise.all([
+        store.addMonitor({ id: 'm6', url: 'https://site1.example/', device: 'desktop' }).catch(error => {
+          duplicateError = error.message;
+        }),
+        store.updateMonitor('m2', { lastCheckedAt: '2024-01-20T10:00:00Z' })
+      ]);
+      this.logTest(
+        'Monitor store lock survives a failed write',
+        duplicate === undefined && duplicateError.includes('already monitored') &&
+          updated.lastCheckedAt === '2024-01-20T10:00:00Z' &&
+          (await store.getMonitor('m2')).lastCheckedAt === '2024-01-20T10:00:00Z' &&
+          (await store.listMonitors()).length === 5
+      );
+
+      // A second store has its own in-process chain, like the CLI running next to the server
+      const other = new MonitorStore({ directory, maxChanges: 15 });
+      await Promise.all(Array.from({ length: 10 }, (value, i) => (i % 2 ? store : other)
+        .appendChange('m3', { change: i })));
+      this.logTest(
+        'Monitor store lock file keeps writes from another process',
+        (await store.listChanges('m3', 50)).length === 10
+      );
+
+      // A lock left by a crashed process is taken over once it is stale
+      await fs.writeFile(store.lockFile, '12345');
+      const staleTime = new Date(Date.now() - 60 * 1000);
+      await fs.utimes(store.lockFile, staleTime, staleTime);
+      const afterStale = await store.updateMonitor('m4', { runs: 1 });
+      this.logTest(
+        'Monitor store takes over a stale lock file',
+        afterStale && afterStale.runs === 1 &&
+          (await fs.access(store.lockFile).then(() => false, () => true))
+      );
+
+      const removed = await store.removeMonitor('m1');
+      const missing = await store.removeMonitor('m1');
+      this.logTest(
+        'Removing a monitor deletes its history',
+        removed && !missing && (await store.listChanges('m1')).length === 0 && (await store.listMonitors()).length === 4
+      );
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  async testServiceAreas() {
+    console.log('\n\n🧪 Testing Service Area Extraction\n');
+
+    const names = (areas, type) => areas.filter(area => area.type === type).map(area => area.name).join(', ');
+
+    const counties = analyzeServiceAreas([{ sectionId: 'areas-1', text: 'We serve Hennepin, Ramsey and Dakota Counties.' }]);
+    this.logTest(
+      'County lists are not read as cities',
+      names(counties, 'city') === '' && names(counties, 'county') === 'Hennepin County, Ramsey County, Dakota County',
+      `Cities: ${names(counties, 'city') || 'none'}; counties: ${names(counties, 'county')}`
+    );
+
+    const serving = parseServingPhrase('Minneapolis, St. Paul, Edina and Bloomington with same day pickup');
+    this.logTest(
+      'Serving phrase keeps the place before trailing words',
+      serving.map(place => place.name).join(', ') === 'Minneapolis, St. Paul, Edina, Bloomington',
+      `Places: ${serving.map(place => place.name).join(', ')}`
+    );
+
+    const mixed = analyzeServiceAreas([
+      { sectionId: 'hero-1', text: 'Proudly serving Minneapolis, St. Paul, Edina and Bloomington with same day pickup.' },
+      { sectionId: 'areas-1', text: 'Serving homeowners in Saint Paul, MN and all of Hennepin County. ZIP codes 55401, 55402 and 55403.' }
+    ]);
+    const stPaul = mixed.find(area => area.name === 'St. Paul');
+    this.logTest(
+      'Serving phrases add cities, states and counties once',
+      names(mixed, 'city') === 'Minneapolis, St. Paul, Edina, Bloomington' &&
+        stPaul.state === 'MN' && stPaul.sectionIds.join() === 'hero-1,areas-1' &&
+        names(mixed, 'county') === 'Hennepin County' && names(mixed, 'zip') === '55401, 55402, 55403',
+      `Areas: ${mixed.map(area => area.name).join(', ')}`
+    );
+
+    const listed = analyzeServiceAreas(
+      [{ sectionId: 'footer-1', text: 'Fixture Junk Co, 100 Main Street, Minneapolis, MN 55401' }],
+      [{ sectionId: 'areas-1', items: ['Edina', 'Maple Grove, MN', 'Washington County', '55401', 'Call Today'] }]
+    );
+    const mapleGrove = listed.find(area => area.name === 'Maple Grove');
+    this.logTest(
+      'Area lists and city-state mentions are merged',
+      names(listed, 'city') === 'Minneapolis, Edina, Maple Grove' && mapleGrove.state === 'MN' &&
+        names(listed, 'county') === 'Washington County' &&
+        listed.filter(area => area.name === '55401').length === 1,
+      `Areas: ${listed.map(area => area.name).join(', ')}`
+    );
+  }
+
+  async testLinkChecks() {
+    console.log('\n\n🧪 Testing Link Checks\n');
+
+    // Tabs that answer every goto after a delay; about:blank is the pool resetting a released tab
+    const requested = [];
+    let loading = 0;
+    let maxLoading = 0;
+    let delay = 20;
+    const fakeBrowser = {
+      newPage: async () => {
+        const tab = new EventEmitter();
+        let closed = false;
+        tab.isClosed = () => closed;
+        tab.close = async () => { closed = true; };
+        tab.setRequestInterception = async () => {};
+        tab.goto = async (url, options = {}) => {
+          if (url === 'about:blank') return null;
+          requested.push(url);
+          loading++;
+          maxLoading = Math.max(maxLoading, loading);
+          const timedOut = options.timeout < delay;
+          await new Promise(resolve => setTimeout(resolve, timedOut ? options.timeout : delay));
+          loading--;
+          if (timedOut) {
+            const error = new Error(`Navigation timeout of ${options.timeout} ms exceeded`);
+            error.name = 'TimeoutError';
+            throw error;
+          }
+          const status = url.includes('missing') ? 404 : 200;
+          return { status: () => status, url: () => url, request: () => ({ redirectChain: () => [] }) };
+        };
+        return tab;
+      }
+    };
+
+    const pool = new PagePool(fakeBrowser, { maxPages: 3 });
+    try {
+      // The page being scraped holds one of the three tabs while its links are checked
+      const scrapedPage = await pool.acquire();
+      const urls = [1, 2, 3, 4, 5, 6].map(n => `https://fixture.example/page-${n}`)
+        .concat(['https://fixture.example/missing', 'https://fixture.example/page-1#top']);
+      const cache = new Map();
+      const first = await checkLinks(pool, urls, { concurrency: 5, cache });
+
+      this.logTest(
+        'Link checks stay within the page pool',
+        maxLoading === 2 && pool.openPages === 3 && first.results.length === 7 && first.skipped.length === 0,
+        `Concurrent requests: ${maxLoading}, open tabs: ${pool.openPages}`
+      );
+
+      this.logTest(
+        'Link checks report broken links and return tabs to the pool',
+        first.results.filter(entry => !entry.ok).map(entry => entry.url).join() === 'https://fixture.example/missing' &&
+          pool.stats().busy === 1 && pool.stats().idle === 2
+      );
+
+      const requestsBefore = requested.length;
+      const second = await checkLinks(pool, ['https://fixture.example/page-1', 'https://fixture.example/contact'], { cache });
+      this.logTest(
+        'Link check cache is shared across pages',
+        second.results.length === 2 && requested.length === requestsBefore + 1 &&
+          requested[requested.length - 1] === 'https://fixture.example/contact',
+        `New requests: ${requested.length - requestsBefore}`
+      );
+
+      delay = 60;
+      const slow = [1, 2, 3, 4, 5].map(n => `https://slow.example/page-${n}`);
+      const budgeted = await checkLinks(pool, slow, { concurrency: 1, budget: 100, limit: 4 });
+      // The second link is cut off by the budget, so it is not checked rather than broken
+      this.logTest(
+        'Link checks stop at the time budget',
+        budgeted.budgetExceeded && budgeted.results.length === 1 && budgeted.results[0].ok &&
+          budgeted.skipped.length === 4 &&
+          budgeted.skipped.includes('https://slow.example/page-5'),
+        `Checked: ${budgeted.results.length}, skipped: ${budgeted.skipped.length}`
+      );
+
+      await pool.release(scrapedPage);
+    } finally {
+      await pool.close();
+    }
+  }
+
+  async testFormAnalysis() {
+    console.log('\n\n🧪 Testing Lead Form Analysis\n');
+
+    const field = (label, type = 'text', extra = {}) =>
+      ({ label, name: label.toLowerCase(), placeholder: null, type, required: false, visible: true, ...extra });
+
+    const quote = guessPurpose({
+      heading: 'Get a Free Quote',
+      submitText: 'Send',
+      fields: [field('Name'), field('Phone', 'tel'), field('Email', 'email'), field('Message', 'textarea'), field('Comments', 'textarea')]
+    });
+    this.logTest(
+      'Quote heading outweighs message fields',
+      quote.purpose === 'quote',
+      `Purpose: ${quote.purpose} (${quote.signals.join(', ')})`
+    );
+
+    const tie = guessPurpose({
+      heading: 'Schedule Your Pickup',
+      submitText: 'Send',
+      fields: [field('Name'), field('Message', 'textarea'), field('Comments', 'textarea'), field('Questions', 'textarea')]
+    });
+    this.logTest(
+      'Booking heading wins a tie against contact',
+      tie.purpose === 'booking',
+      `Purpose: ${tie.purpose} (${tie.signals.join(', ')})`
+    );
+
+    const contact = guessPurpose({
+      heading: 'Contact Us',
+      submitText: 'Send Message',
+      fields: [field('Name'), field('Email', 'email'), field('Estimate number')]
+    });
+    const newsletter = guessPurpose({ heading: 'Stay in the loop', fields: [field('Email', 'email')] });
+    const unlabelled = guessPurpose({ fields: [field('Name'), field('Details', 'textarea')] });
+    this.logTest(
+      'Contact, newsletter and unlabelled forms recognised',
+      contact.purpose === 'contact' && newsletter.purpose === 'newsletter' && unlabelled.purpose === 'contact',
+      `Purposes: ${contact.purpose}, ${newsletter.purpose}, ${unlabelled.purpose}`
+    );
+
+    const forms = analyzeForms({
+      forms: [{
+        id: 'estimate', name: null, className: 'wpforms-form', action: 'https://fixture.example/quote', method: 'post',
+        heading: 'Get a Free Quote Today', submitText: 'Get My Quote', hiddenFields: 1, captcha: false,
+        visible: true, sectionId: 'estimate-1',
+        fields: [
+          field('Name *'), field('Phone', 'tel', { required: true }), field('What needs to go?', 'textarea'),
+          field('Referrer', 'text', { visible: false })
+        ]
+      }],
+      iframes: [{ src: 'https://calendly.com/fixture/pickup', title: 'Book online', heading: null, visible: true, sectionId: 'hero-1' }]
+    });
+    const [quoteForm, widget] = forms.items;
+    this.logTest(
+      'Form fields inventoried with required markers',
+      quoteForm.purpose === 'quote' && quoteForm.fields.map(entry => entry.label).join('|') === 'Name|Phone|What needs to go?|Referrer' &&
+        quoteForm.fieldCount === 3 && quoteForm.requiredCount === 2 && quoteForm.provider === 'wpforms',
+      `Fields: ${quoteForm.fieldCount}, required: ${quoteForm.requiredCount}, provider: ${quoteForm.provider}`
+    );
+
+    this.logTest(
+      'Embedded booking widgets counted as lead forms',
+      widget.purpose === 'booking' && widget.provider === 'calendly' && widget.embedded.type === 'iframe' &&
+        forms.summary.leadForms === 2 && forms.summary.embeddedWidgets === 1 && forms.summary.shortestLeadForm === 3,
+      `Summary: ${JSON.stringify(forms.summary)}`
+    );
+  }
+
+  async testStructuredDataAnalysis() {
+    console.log('\n\n🧪 Testing Structured Data Validation\n');
+
+    const data = normalizeStructuredData({
+      jsonLd: [
+        JSON.stringify({
+          '@context': 'https://schema.org',
+          '@type': 'MovingCompany',
+          name: 'Fixture Junk Co',
+          address: { '@type': 'PostalAddress', streetAddress: '100 Main St', addressLocality: 'Minneapolis' },
+          openingHours: 'Mo-Fr 08:00-17:00'
+        }),
+        JSON.stringify({
+          '@context': 'https://schema.org',
+          '@graph': [
+            { '@type': 'FAQPage', mainEntity: [{ '@type': 'Question', name: 'Do you take mattresses?' }] },
+            null,
+            'https://fixture.example/#website',
+            { '@type': 'AggregateRating', ratingValue: '4.9' }
+          ]
+        }),
+        '{ "@context": "https://schema.org", "@type": '
+      ],
+      microdata: [{ '@type': 'https://schema.org/Review', author: 'Jane D.', reviewBody: 'Fast and friendly.' }],
+      rdfa: [{ '@type': 'http://schema.org/LocalBusiness', 'http://schema.org/name': 'Fixture Junk Co', telephone: '612-555-0100' }]
+    });
+    const byType = (type) => data.find(entry => entry.type === type);
+
+    const business = byType('MovingCompany');
+    this.logTest(
+      'LocalBusiness subtype validated',
+      !!business && business.errors.join() === 'MovingCompany: missing required LocalBusiness field "telephone"' &&
+        business.warnings.some(warning => warning.includes('"postalCode"')),
+      business ? `Errors: ${business.errors.join('; ')}` : 'Not found'
+    );
+
+    const faq = byType('FAQPage');
+    const rating = byType('AggregateRating');
+    this.logTest(
+      '@graph items validated one by one',
+      !!faq && faq.errors.some(error => error.includes('no acceptedAnswer text')) &&
+        !!rating && rating.errors.some(error => error.includes('"reviewCount" or "ratingCount"')) &&
+        !('@context' in faq.data) && data.length === 6,
+      `Types: ${data.map(entry => entry.type).join(', ')}`
+    );
+
+    const invalid = data.find(entry => entry.format === 'json-ld' && entry.data === null);
+    this.logTest(
+      'Invalid JSON-LD reported with its source',
+      !!invalid && invalid.errors[0].startsWith('Invalid JSON in ld+json block 3') && invalid.raw.includes('@context')
+    );
+
+    const review = byType('Review');
+    const rdfaBusiness = data.find(entry => entry.format === 'rdfa');
+    this.logTest(
+      'Microdata and RDFa types and properties normalized',
+      !!review && review.format === 'microdata' && review.errors.length === 0 &&
+        review.warnings.includes('Review: Review has no reviewRating') &&
+        rdfaBusiness.type === 'LocalBusiness' && rdfaBusiness.data.name === 'Fixture Junk Co' &&
+        rdfaBusiness.errors.some(error => error.includes('"address"'))
+    );
+  }
+
+  async testMetaAnalysis() {
+    console.log('\n\n🧪 Testing Meta Tag Analysis\n');
+
+    const rawMeta = (overrides = {}) => ({
+      pageUrl: 'https://fixture.example/services/',
+      title: 'Junk Removal Services | Fixture Junk Co',
+      descriptions: ['Same day junk removal in Minneapolis and St. Paul. Furniture, appliances, hot tubs and full cleanouts with upfront pricing.'],
+      robots: [],
+      viewport: 'width=device-width, initial-scale=1',
+      charset: 'utf-8',
+      canonicals: ['https://fixture.example/services#top'],
+      openGraph: { title: 'Fixture Junk Co', description: 'Same day junk removal', image: 'https://fixture.example/og.jpg' },
+      twitter: {},
+      hreflang: [],
+      favicon: 'https://fixture.example/favicon.ico',
+      lang: 'en',
+      ...overrides
+    });
+
+    const clean = analyzeMeta(rawMeta());
+    this.logTest(
+      'Complete meta tags raise no warnings',
+      clean.warnings.length === 0 && clean.canonicalIsSelf === true && !clean.noindex,
+      clean.warnings.join('; ')
+    );
+
+    const broken = analyzeMeta(rawMeta({
+      title: 'Fixture Junk Co - Junk Removal, Hauling, Cleanouts and Dumpster Rental in Minneapolis',
+      descriptions: ['Short description', 'Another description'],
+      robots: ['noindex, follow'],
+      canonicals: ['https://fixture.example/other-page'],
+      openGraph: { title: 'Fixture Junk Co' },
+      hreflang: [{ hreflang: 'es', href: 'https://fixture.example/es/services' }],
+      favicon: null,
+      lang: null
+    }));
+    const expected = [
+      'Title too long', 'Meta description too short', '2 meta descriptions', 'Page is noindex',
+      'Canonical points elsewhere', 'Missing lang', 'No favicon', 'Missing og:description', 'Missing og:image',
+      'hreflang alternates without x-default', 'hreflang alternates do not include this page'
+    ];
+    const missing = expected.filter(prefix => !broken.warnings.some(warning => warning.startsWith(prefix)));
+    this.logTest(
+      'Meta warnings reported',
+      missing.length === 0 && broken.noindex && !broken.nofollow && broken.canonicalIsSelf === false,
+      missing.length > 0 ? `Missing: ${missing.join(', ')}` : `${broken.warnings.length} warnings`
+    );
+
+    const inline = analyzeMeta(rawMeta({ pageUrl: 'about:blank', canonicals: ['https://fixture.example/'], hreflang: [] }));
+    this.logTest(
+      'Inline HTML is not compared with its canonical',
+      inline.canonicalIsSelf === null && !inline.warnings.some(warning => warning.startsWith('Canonical'))
+    );
+  }
+
+  async testHeadingAnalysis() {
+    console.log('\n\n🧪 Testing Heading Analysis\n');
+
+    const heading = (level, text, hidden = false) => ({ level, text, top: 0, hidden });
+    const headings = [
+      heading(2, 'Call Today'),
+      heading(1, 'Same Day Junk Removal'),
+      heading(2, 'Our Services'),
+      heading(4, 'Appliance Removal'),
+      heading(3, 'Hot Tub Removal'),
+      heading(2, 'Our Services', true),
+      heading(3, ''),
+      heading(1, 'Free Quotes')
+    ];
+
+    const outline = buildOutline(headings);
+    const h1 = outline[1];
+    this.logTest(
+      'Heading outline nests under the closest higher heading',
+      outline.length === 3 && outline[0].tag === 'h2' && h1.tag === 'h1' &&
+        h1.children.map(child => child.text).join('|') === 'Our Services|Our Services' &&
+        h1.children[0].children.map(child => child.tag).join() === 'h4,h3' && h1.children[1].children[0].order === 7,
+      `Top-level headings: ${outline.map(node => node.tag).join(', ')}`
+    );
+
+    const analysis = analyzeHeadings(headings);
+    const types = analysis.issues.map(issue => issue.type);
+    const duplicate = analysis.issues.find(issue => issue.type === 'duplicate-heading');
+    this.logTest(
+      'Heading hierarchy issues flagged',
+      types.includes('multiple-h1') && types.includes('first-not-h1') && types.includes('empty-heading') &&
+        analysis.issues.filter(issue => issue.type === 'skipped-level').map(issue => issue.text).join() === 'Appliance Removal' &&
+        duplicate.count === 2 && duplicate.levels.join() === 'h2',
+      analysis.issues.map(issue => issue.message).join('; ')
+    );
+
+    this.logTest(
+      'Heading counts by level',
+      analysis.total === 8 && analysis.hidden === 1 && analysis.byLevel.h1 === 2 && analysis.byLevel.h2 === 3 &&
+        analyzeHeadings([]).issues.map(issue => issue.type).join() === 'missing-h1'
+    );
+  }
+
+  async testNapAnalysis() {
+    console.log('\n\n🧪 Testing NAP Analysis\n');
+
+    this.logTest(
+      'Phone numbers normalized to E.164',
+      normalizePhone('(612) 555-1234') === '+16125551234' && normalizePhone('+1 612.555.1234') === '+16125551234' &&
+        normalizePhone('555-1234') === null && normalizePhone('(112) 555-1234') === null
+    );
+
+    const address = normalizeAddress('1234 Main  Street , Minneapolis, mn 55401');
+    this.logTest(
+      'Addresses normalized',
+      address === '1234 Main St, Minneapolis, MN 55401',
+      address
+    );
+
+    const raw = {
+      regions: {
+        header: 'Call (612) 555-1234',
+        footer: 'Fixture Junk Co\n1234 Main Street, Minneapolis, MN 55401\nCall 612-555-9999\ninfo@fixture.example',
+        body: ''
+      },
+      addressElements: [],
+      telLinks: [{ href: 'tel:+16125551234', text: 'Call now', region: 'header' }],
+      mailtoLinks: [{ href: 'mailto:Info@Fixture.example?subject=Quote', text: 'Email us', region: 'body' }],
+      siteName: 'Fixture Junk Co',
+      logoAlt: 'Fixture Junk Company LLC',
+      title: 'Junk Removal | Fixture Junk Co'
+    };
+    const results = {
+      sections: [{ sectionId: 'section-2', text: 'Questions? Call (612) 555-1234 today.' }],
+      structuredData: [{
+        types: ['LocalBusiness'],
+        data: {
+          name: 'Fixture Hauling',
+          telephone: '+1-612-555-1234',
+          address: { streetAddress: '1234 Main St', addressLocality: 'Minneapolis', addressRegion: 'MN', postalCode: '55401' }
+        }
+      }]
+    };
+
+    const nap = analyzeNap(raw, results);
+    const main = nap.phones.find(phone => phone.number === '+16125551234');
+    this.logTest(
+      'NAP values merged across sources',
+      nap.phones.length === 2 && main.display === '(612) 555-1234' &&
+        ['header', 'body', 'tel-link', 'schema'].every(source => main.sources.includes(source)) &&
+        main.sectionIds.join() === 'section-2' && main.occurrences === 4 &&
+        nap.emails.length === 1 && nap.emails[0].address === 'info@fixture.example' && nap.emails[0].occurrences === 2 &&
+        nap.addresses.length === 1 && nap.addresses[0].sources.join() === 'footer,schema',
+      `Phones: ${nap.phones.map(phone => `${phone.display} (${phone.sources.join('/')})`).join(', ')}`
+    );
+
+    const fields = nap.inconsistencies.map(issue => `${issue.field}:${(issue.between || []).join('/')}`);
+    this.logTest(
+      'NAP inconsistencies flagged',
+      fields.includes('phone:header/footer') && fields.includes('phone:footer/schema') &&
+        !fields.includes('phone:header/schema') && !fields.some(field => field.startsWith('address')) &&
+        fields.includes('name:') && nap.name === 'Fixture Hauling',
+      fields.join(', ')
+    );
+  }
+
+  async testPricingAnalysis() {
+    console.log('\n\n🧪 Testing Pricing Analysis\n');
+
+    const pricing = analyzePricing([{
+      sectionId: 'section-3',
+      sectionType: 'pricing',
+      text: 'Minimum load $99. Half truck $249 - $299, full truck load $499+. ' +
+        'Mattress removal $50 each. Hot tubs starting at $350. Save $25 off your first pickup. Half truck $249 - $299.'
+    }]);
+    const byTerm = (field, value) => pricing.find(entry => entry[field] === value) || {};
+
+    const half = byTerm('loadSize', 'half');
+    this.logTest(
+      'Load size prices parsed',
+      byTerm('loadSize', 'minimum').min === 99 &&
+        half.isRange && half.min === 249 && half.max === 299 &&
+        byTerm('loadSize', 'full').qualifier === 'starting-at',
+      pricing.map(entry => `${entry.price} -> ${entry.loadSize || entry.item || '?'}`).join(', ')
+    );
+
+    const mattress = byTerm('item', 'mattress');
+    this.logTest(
+      'Item prices, units and qualifiers parsed',
+      mattress.min === 50 && mattress.unit === 'item' &&
+        byTerm('item', 'hot-tub').qualifier === 'starting-at' &&
+        pricing.some(entry => entry.min === 25 && entry.qualifier === 'discount')
+    );
+
+    this.logTest(
+      'Repeated prices listed once per section',
+      pricing.filter(entry => entry.loadSize === 'half').length === 1 &&
+        pricing.every(entry => entry.sectionId === 'section-3' && entry.sectionType === 'pricing'),
+      `${pricing.length} prices`
+    );
+
+    const split = analyzePricing([{ sectionId: 'section-4', text: '$1,299.00 for a full trailer, or $149 for a quarter load' }]);
+    this.logTest(
+      'Prices keep to their own clause',
+      split.length === 2 && split[0].min === 1299 && split[0].loadSize === 'full' && split[1].loadSize === 'quarter',
+      split.map(entry => `${entry.price} -> ${entry.loadSize}`).join(', ')
+    );
+  }
+
+  async testLinkAnalysis() {
+    console.log('\n\n🧪 Testing Link Analysis\n');
+
+    const base = 'https://www.fixture.example/services';
+    const types = [
+      ['tel:+16125551234', ''], ['mailto:info@fixture.example', ''], ['#quote', ''],
+      ['/contact', 'https://www.fixture.example/contact'], ['https://fixture.example/about', ''],
+      ['https://maps.example/place', ''], ['ftp://files.fixture.example/menu.pdf', ''], ['http://[bad', '']
+    ].map(([rawHref, resolved]) => classifyLink(rawHref, resolved, base).type);
+    this.logTest(
+      'Links classified by scheme and host',
+      types.join() === 'tel,mailto,anchor,internal,internal,external,other,invalid',
+      types.join(', ')
+    );
+
+    const link = (rawHref, overrides = {}) => ({
+      rawHref, href: '', text: 'Link', textSource: 'text', rel: [], target: null,
+      position: 0, visible: true, region: 'body', sectionId: null, ...overrides
+    });
+    const { summary, links } = analyzeLinks({
+      pageUrl: 'about:blank',
+      links: [
+        link('/contact', { region: 'header' }),
+        link('/contact', { region: 'footer' }),
+        link('https://reviews.example/fixture', { target: '_blank' }),
+        link('https://partner.example', { target: '_blank', rel: ['sponsored', 'noopener'] }),
+        link('https://forum.example', { rel: ['ugc', 'nofollow'], text: '' }),
+        link('tel:6125551234')
+      ]
+    }, base);
+    this.logTest(
+      'Link summary counts',
+      links[0].href === 'https://www.fixture.example/contact' && summary.total === 6 && summary.unique === 5 &&
+        summary.internal === 2 && summary.external === 3 && summary.tel === 1 && summary.nofollow === 1 &&
+        summary.sponsored === 1 && summary.ugc === 1 && summary.opensNewTab === 2 &&
+        summary.newTabWithoutNoopener === 1 && summary.emptyText === 1,
+      JSON.stringify(summary)
+    );
+  }
+
+  async testImageAnalysis() {
+    console.log('\n\n🧪 Testing Image Analysis\n');
+
+    const filenames = ['IMG_1234.jpg', 'hero-banner-2', 'DSC00042', 'truck'];
+    const descriptive = ['Crew loading a couch into the truck', 'Hot tub removal in Edina'];
+    this.logTest(
+      'File name alt text recognized',
+      filenames.every(alt => isFilenameAlt(alt, 'https://fixture.example/images/truck.png')) &&
+        descriptive.every(alt => !isFilenameAlt(alt, 'https://fixture.example/images/IMG_1234.jpg')) &&
+        !isFilenameAlt('   ', null)
+    );
+
+    const image = (overrides = {}) => ({
+      kind: 'img', src: 'https://fixture.example/images/crew.jpg', alt: 'Our crew', decorative: false,
+      rendered: { width: 400, height: 300 }, attributes: {}, natural: { width: 800, height: 600 },
+      loading: null, scriptLazy: false, srcset: null, bytes: 40000, sectionId: 'section-1', ...overrides
+    });
+    const { summary, images } = analyzeImages({
+      devicePixelRatio: 2,
+      images: [
+        image(),
+        image({ alt: null, loading: 'lazy' }),
+        image({ alt: '', rendered: { width: 48, height: 48 }, natural: null, linkHasText: false }),
+        image({ alt: '', rendered: { width: 48, height: 48 }, natural: null, decorative: true }),
+        image({ alt: 'crew', natural: { width: 4000, height: 3000 }, bytes: 900 * 1024, sectionId: 'section-2' }),
+        image({ kind: 'background', alt: null, natural: null, scriptLazy: true, sectionId: 'section-2' })
+      ]
+    }, [{ sectionId: 'section-1', sectionType: 'hero' }]);
+    const warnings = images.map(entry => entry.warnings.map(warning => warning.type).join('+') || 'none');
+    this.logTest(
+      'Image warnings reported',
+      warnings.join() === 'none,missing-alt,empty-alt,none,filename-alt+oversized+large-file,missing-alt' &&
+        images[4].warnings[1].ratio === 5,
+      warnings.join(', ')
+    );
+
+    this.logTest(
+      'Image summary counts',
+      summary.total === 6 && summary.backgrounds === 1 && summary.missingAlt === 2 && summary.emptyAlt === 1 &&
+        summary.filenameAlt === 1 && summary.oversized === 1 && summary.largeFiles === 1 && summary.lazy === 2 &&
+        images[0].sectionType === 'hero' && images[4].sectionType === null,
+      JSON.stringify(summary)
+    );
+  }
+
+  async testFaqAnalysis() {
+    console.log('\n\n🧪 Testing FAQ Analysis\n');
+
+    const pair = (question, answer, overrides = {}) => ({
+      question, answer, source: 'details', wasHidden: true, sectionId: 'section-4', ...overrides
+    });
+    const structuredData = [{
+      types: ['FAQPage'],
+      data: {
+        mainEntity: [
+          { '@type': 'Question', name: 'Do you take hot tubs?' },
+          { '@type': 'Question', name: 'Are you insured?' }
+        ]
+      }
+    }];
+    const faq = analyzeFaq([
+      pair('Q: Do you take hot tubs?', 'A: Yes, we cut them up and haul them away.'),
+      pair('1. How soon can you come?', 'Usually the same day.', { source: 'heading', wasHidden: false }),
+      pair('Do you take hot tubs', 'Repeated in a second accordion.')
+    ], structuredData);
+
+    this.logTest(
+      'FAQ pairs cleaned and deduplicated',
+      faq.items.length === 2 && faq.items[0].question === 'Do you take hot tubs?' &&
+        faq.items[0].answer === 'Yes, we cut them up and haul them away.' && faq.items[1].question === 'How soon can you come?',
+      faq.items.map(item => item.question).join(' | ')
+    );
+
+    this.logTest(
+      'FAQ compared with FAQPage schema',
+      faq.items[0].inSchema && !faq.items[1].inSchema && faq.summary.inSchema === 1 && faq.summary.notInSchema === 1 &&
+        faq.summary.hiddenAnswers === 1 && faq.summary.schemaOnly.join() === 'Are you insured?',
+      JSON.stringify(faq.summary)
+    );
+
+    const jsonLd = buildFaqJsonLd(faq.items);
+    this.logTest(
+      'FAQPage JSON-LD generated',
+      jsonLd['@type'] === 'FAQPage' && jsonLd.mainEntity.length === 2 &&
+        jsonLd.mainEntity[1].acceptedAnswer.text === 'Usually the same day.' && buildFaqJsonLd([]) === null
+    );
+  }
+
+  async testTestimonialAnalysis() {
+    console.log('\n\n🧪 Testing Testimonial Analysis\n');
+
+    const card = (quote, overrides = {}) => ({
+      quote, cardText: quote, name: null, location: null, rating: null, date: null,
+      platform: null, sectionId: 'section-5', clone: false, hidden: false, ...overrides
+    });
+    const cards = [
+      card('"They showed up on time and swept the garage."', { clone: true, sectionId: 'section-9' }),
+      card('"They showed up on time and swept the garage."', {
+        name: 'Jane D., Edina MN', rating: { value: 5, source: 'stars' }, platform: 'google'
+      }),
+      card('Fair price and a friendly crew.', { cardText: 'Fair price and a friendly crew. — Mark T., Bloomington' }),
+      card('Quick and professional.', { platform: 'google' })
+    ];
+    const structuredData = [{
+      types: ['LocalBusiness'],
+      data: {
+        '@type': 'LocalBusiness',
+        aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.8', reviewCount: '212' },
+        review: [
+          { '@type': 'Review', reviewBody: 'Quick and professional.', author: { name: 'Sam' }, reviewRating: { ratingValue: '4' } },
+          { '@type': 'Review', reviewBody: 'Hauled a piano, no damage.', author: 'Lee', datePublished: '2024-05-01' }
+        ]
+      }
+    }];
+
+    const { items, summary } = analyzeTestimonials(cards, structuredData);
+    const [jane, mark, quick, piano] = items;
+    this.logTest(
+      'Testimonial names, locations and clones',
+      items.length === 4 && summary.duplicatesRemoved === 1 &&
+        jane.quote === 'They showed up on time and swept the garage.' && jane.sectionId === 'section-5' &&
+        jane.name === 'Jane D.' && jane.location === 'Edina MN' && mark.name === 'Mark T.' && mark.location === 'Bloomington',
+      items.map(item => `${item.name} (${item.location})`).join(', ')
+    );
+
+    this.logTest(
+      'Schema reviews merged with page testimonials',
+      quick.source === 'page' && quick.name === 'Sam' && quick.rating === 4 && quick.ratingSource === 'schema' &&
+        piano.source === 'schema' && piano.name === 'Lee' && piano.date === '2024-05-01' && piano.rating === null
+    );
+
+    this.logTest(
+      'Testimonial summary',
+      summary.withRating === 2 && summary.averageRating === 4.5 && summary.platforms.google === 2 &&
+        summary.themes.punctual === 1 && summary.themes.careful === 2 && summary.themes.price === 1 &&
+        summary.aggregateRating.ratingValue === 4.8 && summary.aggregateRating.reviewCount === 212,
+      JSON.stringify(summary)
+    );
+  }
+
+  async testHoursAnalysis() {
+    console.log('\n\n🧪 Testing Hours Analysis\n');
+
+    this.logTest(
+      'Day specs expanded',
+      parseDays('Mon-Fri').length === 5 && parseDays('Fri-Mon').join() === 'friday,saturday,sunday,monday' &&
+        parseDays('Sat & Sun.').join() === 'saturday,sunday' && parseDays('weekends').join() === 'saturday,sunday' &&
+        parseDays('daily').length === 7 && parseDays('Someday').length === 0
+    );
+
+    const range = (spec) => {
+      const parsed = parseTimeRange(spec);
+      return parsed ? (parsed.closed ? 'closed' : `${parsed.opens}-${parsed.closes}`) : null;
+    };
+    const ranges = ['8am - 6pm', '8-5', '1-5pm', '7:30 a.m. to noon', '6pm-midnight', 'closed', 'open 24 hours', 'soon'].map(range);
+    this.logTest(
+      'Time ranges read as business hours',
+      ranges.join() === '08:00-18:00,08:00-17:00,13:00-17:00,07:30-12:00,18:00-24:00,closed,00:00-24:00,',
+      ranges.join(', ')
+    );
+
+    const entries = parseHoursText('Hours: Mon-Fri: 8am - 6pm, Saturday 9:00 AM to 4:00 PM, Sunday: Closed. Or 7am-9pm weekends by appointment');
+    this.logTest(
+      'Hours parsed from free text in either order',
+      entries.length === 4 && entries[0].days.length === 5 && entries[2].closed &&
+        entries[3].opens === '07:00' && entries[3].days.join() === 'saturday,sunday',
+      entries.map(entry => entry.text).join(' | ')
+    );
+
+    const structuredData = [{
+      types: ['LocalBusiness'],
+      data: {
+        openingHoursSpecification: [
+          { dayOfWeek: ['https://schema.org/Monday', 'Tuesday'], opens: '08:00:00', closes: '17:00:00' },
+          { dayOfWeek: 'Sunday', opens: '00:00', closes: '00:00' }
+        ],
+        openingHours: 'We 08:00-18:00, Th 08:00-18:00'
+      }
+    }];
+    const { hours, availability } = analyzeHours(
+      [{ text: 'Mon-Tue 8am-6pm', sectionId: 'section-6' }],
+      [{ sectionId: 'section-1', text: 'Same day junk removal, open weekends.' }],
+      structuredData
+    );
+    this.logTest(
+      'Page hours take precedence over schema',
+      hours.weekly.monday[0].closes === '18:00' && hours.weekly.wednesday[0].opens === '08:00' &&
+        hours.weekly.sunday.length === 0 && hours.weekly.friday === null &&
+        hours.mismatches.map(mismatch => mismatch.day).join() === 'monday,tuesday',
+      JSON.stringify(hours.mismatches)
+    );
+
+    this.logTest(
+      'Availability claims detected',
+      availability.sameDay && availability.weekends && !availability.nextDay && !availability.twentyFourSeven &&
+        !availability.sevenDays && availability.claims.every(claim => claim.sectionId === 'section-1'),
+      availability.claims.map(claim => claim.type).join(', ')
+    );
+  }
+
+  async testCtaAnalysis() {
+    console.log('\n\n🧪 Testing CTA Analysis\n');
+
+    this.logTest(
+      'Colours converted to hex',
+      toHex('rgb(255, 87, 34)') === '#ff5722' && toHex('rgba(0, 0, 0, 0.5)') === '#000000' &&
+        toHex('rgba(0, 0, 0, 0)') === null && toHex('rgb(255 87 34 / 0)') === null && toHex('') === null
+    );
+
+    const cta = (index, text, overrides = {}) => ({
+      index, text, rawHref: null, href: null, formAction: null, tag: 'a', backgroundColor: 'rgb(255, 87, 34)',
+      color: 'rgb(255, 255, 255)', fontSize: '16px', sticky: false, region: 'body', target: null,
+      sectionId: 'section-1', ...overrides
+    });
+    const raw = [
+      cta(0, 'Call Now', { rawHref: 'tel:+16125551234', href: 'tel:+16125551234', sticky: true }),
+      cta(1, 'Book Online', { rawHref: 'https://calendly.com/fixture', href: 'https://calendly.com/fixture', target: '_blank' }),
+      cta(2, 'Get a Free Quote', { rawHref: '/contact', href: 'https://fixture.example/contact', sectionId: 'section-3' }),
+      cta(3, 'Send', { tag: 'button', formAction: 'https://fixture.example/submit', sectionId: 'section-3' }),
+      cta(4, 'Text Us', { rawHref: 'sms:+16125551234' })
+    ];
+    const box = (top, width = 160, height = 48, visible = true) => ({ top, left: 20, width, height, visible });
+    const measurements = {
+      desktop: { viewportHeight: 800, boxes: [box(20), box(300), box(1200), box(1500, 80, 32), null] },
+      mobile: { viewportHeight: 640, boxes: [box(580, 300, 56), box(0, 0, 0, false), box(900), box(1400), box(600, 40, 40)] }
+    };
+    const sections = [
+      { sectionId: 'section-1', sectionType: 'hero', text: 'Junk removal done right '.repeat(20) },
+      { sectionId: 'section-2', sectionType: 'services', text: 'Furniture and appliances' },
+      { sectionId: 'section-3', sectionType: 'contact', text: 'Tell us what you need hauled' }
+    ];
+
+    const { summary, items } = analyzeCtas(raw, measurements, sections, 'desktop');
+    this.logTest(
+      'CTA kinds and destinations',
+      items.map(item => item.kind).join() === 'call,booking,booking,submit,text' &&
+        items[0].destination === 'tel:+16125551234' && items[3].destination === 'https://fixture.example/submit' &&
+        items[1].opensNewTab && items[0].backgroundColor === '#ff5722' && items[2].sectionType === 'contact',
+      items.map(item => `${item.text}: ${item.kind}`).join(', ')
+    );
+
+    this.logTest(
+      'CTA visibility measured per viewport',
+      items[3].smallTarget && !items[0].smallTarget && items[0].size.width === 160 &&
+        items[4].visible && !items[4].smallTarget && items[1].aboveFold.desktop && !items[1].aboveFold.mobile &&
+        summary.aboveFold.desktop === 2 && summary.aboveFold.mobile === 2 &&
+        summary.firstCtaTop.desktop === 20 && summary.firstCtaTop.mobile === 580,
+      JSON.stringify({ aboveFold: summary.aboveFold, firstCtaTop: summary.firstCtaTop })
+    );
+
+    const mobile = analyzeCtas(raw, measurements, sections, 'mobile');
+    this.logTest(
+      'CTA summary',
+      summary.total === 5 && summary.visible === 5 && summary.byKind.booking === 2 && summary.sectionsWithCta === 2 &&
+        summary.sections === 3 && summary.perThousandWords === 56.2 && summary.smallTargets === 1 && summary.sticky === 1 &&
+        mobile.items[0].size.width === 300 && mobile.summary.smallTargets === 1 && mobile.items[4].smallTarget &&
+        summary.widthOnlyViewports.join() === 'mobile' && mobile.summary.widthOnlyViewports.join() === 'desktop',
+      JSON.stringify(summary)
+    );
+  }
+
+  async testResultDiff() {
+    console.log('\n\n🧪 Testing Result Diff\n');
+
+    const section = (sectionId, sectionType, order, xpath, text) => ({ sectionId, sectionType, order, xpath, text });
+    const before = {
+      url: 'https://fixture.example/',
+      title: 'Fixture Junk Co',
+      scrapedAt: '2024-06-01T10:00:00.000Z',
+      sections: [
+        section('header-1', 'header', 0, '/html/body/header', 'Fixture Junk Co Call (612) 555-0100'),
+        section('hero-1', 'hero', 1, '/html/body/section[1]', 'Same day junk removal in Minneapolis'),
+        section('services-1', 'services', 2, '/html/body/section[2]', 'Garage, basement and attic cleanouts handled by our friendly crew'),
+        section('reviews-1', 'testimonials', 3, '/html/body/section[3]', 'Great crew, fast pickup and fair prices'),
+        section('promo-1', 'content', 4, '/html/body/section[4]', 'Spring special: ten percent off every full truck load'),
+        section('footer-1', 'footer', 5, '/html/body/footer', 'Copyright 2024 Fixture Junk Co')
+      ]
+    };
+    const after = {
+      url: 'https://fixture.example/',
+      title: 'Fixture Junk Co | Same Day Junk Removal',
+      scrapedAt: '2024-06-08T10:00:00.000Z',
+      sections: [
+        section('header-1', 'header', 0, '/html/body/header', 'FIXTURE JUNK CO\nCall (612) 555-0100'),
+        section('reviews-1', 'testimonials', 1, '/html/body/section[1]', 'Great crew, fast pickup and fair prices'),
+        section('hero-1', 'content', 2, '/html/body/section[2]', 'Same day junk removal in Minneapolis'),
+        section('services-1', 'services', 3, '/html/body/section[3]', 'Garage, basement, shed and attic cleanouts handled by our friendly local crew'),
+        section('pricing-1', 'pricing', 4, '/html/body/section[4]', 'Half truck loads start at $199 including disposal'),
+        section('footer-1', 'footer', 5, '/html/body/footer', 'Copyright 2024 Fixture Junk Co')
+      ]
+    };
+
+    const diff = diffResults(before, after);
+    this.logTest(
+      'Added and removed sections reported',
+      diff.added.map(entry => entry.sectionId).join() === 'pricing-1' &&
+        diff.removed.map(entry => entry.sectionId).join() === 'promo-1',
+      `Added: ${diff.summary.addedSections}, removed: ${diff.summary.removedSections}`
+    );
+
+    this.logTest(
+      'Moved sections reported by position',
+      diff.moved.length === 1 && diff.moved[0].after.sectionId === 'reviews-1' &&
+        diff.moved[0].before.position === 4 && diff.moved[0].after.position === 2 && diff.moved[0].shift === -2,
+      `Moved: ${diff.moved.map(entry => `${entry.after.sectionId} (${entry.shift})`).join(', ')}`
+    );
+
+    const rewritten = diff.modified.find(entry => entry.after.sectionId === 'services-1');
+    const retyped = diff.modified.find(entry => entry.after.sectionId === 'hero-1');
+    this.logTest(
+      'Rewritten and retyped sections reported',
+      diff.modified.length === 2 && rewritten.wordsAdded === 3 && rewritten.wordsRemoved === 1 &&
+        retyped.typeChange.from === 'hero' && retyped.typeChange.to === 'content' && retyped.wordsAdded === 0,
+      `Modified: ${diff.modified.map(entry => entry.after.sectionId).join(', ')}`
+    );
+
+    this.logTest(
+      'Diff summary counts',
+      diff.summary.changed && diff.summary.titleChanged && diff.summary.unchangedSections === 3 &&
+        diff.summary.retypedSections === 1 && diff.summary.wordsAdded === 3 + 8 && diff.summary.wordsRemoved === 1 + 9 &&
+        !diffResults(before, before).summary.changed,
+      JSON.stringify(diff.summary)
+    );
+
+    const words = diffWords('Garage, basement and attic cleanouts', 'Garage, basement, shed and attic cleanouts today');
+    this.logTest(
+      'Word diff keeps unchanged runs together',
+      words.map(part => `${part.type}:${part.text}`).join('|') ===
+        'equal:Garage,|removed:basement|added:basement, shed|equal:and attic cleanouts|added:today',
+      JSON.stringify(words)
+    );
+
+    let rejected = false;
+    try {
+      diffResults(before, { sections: null });
+    } catch (error) {
+      rejected = error.message.startsWith('After result is not a scrape result');
+    }
+    this.logTest('Non-result input rejected', rejected);
+  }
+
+  async testCrawlOrigin() {
+    console.log('\n\n🧪 Testing Crawl Origin\n');
+
+    // The start page redirects to www.; a sitemap seed redirects to another host
+    const redirects = {
+      'https://fixture.example/': 'https://www.fixture.example/',
+      'https://fixture.example/old-page': 'https://cdn.elsewhere.example/old-page'
+    };
+    const links = {
+      'https://fixture.example/': ['https://www.fixture.example/services'],
+      'https://fixture.example/old-page': ['https://www.fixture.example/about', 'https://cdn.elsewhere.example/other']
+    };
+    const scraped = [];
+    const scraper = {
+      verbose: false,
+      log: () => {},
+      scrapeWebsite: async (url) => {
+        scraped.push(url);
+        return { url, finalUrl: redirects[url] || url, title: url, sections: [], errors: [], links: links[url] || [] };
+      }
+    };
+    const crawler = new SiteCrawler(scraper, { maxDepth: 1, maxPages: 10, seedFromSitemap: true });
+    crawler.prepareDiscovery = async () => ({
+      robots: null,
+      sitemaps: [],
+      urls: [{ url: 'https://fixture.example/old-page' }],
+      skipped: [],
+      filtered: [],
+      errors: []
+    });
+
+    const report = await crawler.crawl('https://fixture.example/');
+    this.logTest(
+      'Only the start page redirect sets the crawl origin',
+      scraped.join() === 'https://fixture.example/,https://fixture.example/old-page,' +
+        'https://www.fixture.example/services,https://www.fixture.example/about' &&
+        report.pages.length === 4,
+      `Scraped: ${scraped.join(', ')}`
+    );
+  }
+
+  async testPagePool() {
+    console.log('\n\n🧪 Testing Page Pool\n');
+
+    // Tabs take a moment to close, like a real browser
+    const fakeBrowser = {
+      newPage: async () => {
+        const tab = new EventEmitter();
+        let closed = false;
+        tab.isClosed = () => closed;
+        tab.close = async () => {
+          await new Promise(resolve => setTimeout(resolve, 10));
+          closed = true;
+        };
+        tab.setRequestInterception = async () => {};
+        tab.goto = async () => null;
+        return tab;
+      }
+    };
+
+    // Every tab is used once, so each release closes the tab and opens a fresh one for the next waiter
+    const pool = new PagePool(fakeBrowser, { maxPages: 1, maxUses: 1, acquireTimeout: 1000 });
+    try {
+      const order = [];
+      const track = (name, promise) => promise.then(page => {
+        order.push(name);
+        return page;
+      });
+
+      const first = await pool.acquire();
+      const firstWaiter = track('first waiter', pool.acquire());
+      const secondWaiter = track('second waiter', pool.acquire());
+      const releasing = pool.release(first);
+      // Arrives while the released tab is still closing
+      const latecomer = track('latecomer', pool.acquire());
+
+      await releasing;
+      await pool.release(await firstWaiter);
+      await pool.release(await secondWaiter);
+      await pool.release(await latecomer);
+
+      this.logTest(
+        'Waiters keep their place when a released tab is replaced',
+        order.join() === 'first waiter,second waiter,latecomer' && pool.stats().waiting === 0 && pool.openPages === 0,
+        `Order: ${order.join(', ')}`
+      );
+    } finally {
+      await pool.close();
+    }
+  }
+
+  // Tests of pure functions and in-process classes; they need no browser or network
+  async runUnitTests() {
+    await this.testRobotsRules();
+    await this.testSitemapDiscovery();
+    await this.testUrlList();
+    await this.testBatchRunner();
+    await this.testJobQueue();
+    await this.testDeviceComparison();
+    await this.testNetworkArchive();
+    await this.testResultCache();
+    await this.testMonitor();
+    await this.testServiceAreas();
+    await this.testLinkChecks();
+    await this.testFormAnalysis();
+    await this.testStructuredDataAnalysis();
+    await this.testMetaAnalysis();
+    await this.testHeadingAnalysis();
+    await this.testNapAnalysis();
+    await this.testPricingAnalysis();
+    await this.testLinkAnalysis();
+    await this.testImageAnalysis();
+    await this.testFaqAnalysis();
+    await this.testTestimonialAnalysis();
+    await this.testHoursAnalysis();
+    await this.testCtaAnalysis();
+    await this.testStorage();
+    await this.testResultDiff();
+    await this.testCrawlOrigin();
+    await this.testPagePool();
+  }
+
+  printSummary() {
+    console.log('\n\n📊 Test Summary:');
+    console.log(`   ✅ Passed: ${this.testsPassed}`);
+    console.log(`   ❌ Failed: ${this.testsFailed}`);
+    console.log(`   📈 Success Rate: ${((this.testsPassed / (this.testsPassed + this.testsFailed)) * 100).toFixed(1)}%\n`);
+    if (this.testsFailed > 0) process.exitCode = 1;
+  }
+
+  async runAllTests(options = {}) {
     try {
-      await this.initialize();
+      await this.runUnitTests();
+      if (options.unitOnly) return;
+
+      try {
+        await this.initialize();
+      } catch (error) {
+        console.log(`\n⚠️  Browser unavailable, skipping browser tests: ${error.message.split('\n')[0]}`);
+        return;
+      }
+
       await this.testJunkMastersMN();
       await this.runGeneralTests();
-      
-      // Summary
-      console.log('\n\n📊 Test Summary:');
-      console.log(`   ✅ Passed: ${this.testsPassed}`);
-      console.log(`   ❌ Failed: ${this.testsFailed}`);
-      console.log(`   📈 Success Rate: ${((this.testsPassed / (this.testsPassed + this.testsFailed)) * 100).toFixed(1)}%\n`);
-      
+      await this.testCrawl();
+      await this.testConcurrentScrapes();
+      await this.testInlineHtml();
+      await this.testPageAnalysis();
+      await this.testContentDiff();
+
     } catch (error) {
       console.error('Fatal error:', error);
+      process.exitCode = 1;
     } finally {
+      this.printSummary();
       await this.cleanup();
     }
   }
@@ -311,7 +2577,10 @@ if (require.main === module) {
   // Check for command line arguments
   const args = process.argv.slice(2);
   
-  if (args.includes('--multiple')) {
+  if (args.includes('--unit')) {
+    // Only the tests that need no browser or network
+    testSuite.runAllTests({ unitOnly: true });
+  } else if (args.includes('--multiple')) {
     // Test multiple sites
     const sites = [
       'https://www.junkmastersmn.com',